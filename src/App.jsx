@@ -2,10 +2,12 @@
  * App.jsx - Main Application Component
  * 
  * Layout:
- * - Header
+ * - Header (project Save / Open)
+ * - SessionRestore (autosave / crash recovery)
  * - SpectrumUploader
  * - PeakDetectionParameter + RuleMatchingParameter (side by side)
  * - SpectrumChart (full width)
+ * - PeakFittingPanel (after detection)
  * - PeakAnnotationTable (full width)
  * - PeakReviewPanel
  * - StatusBar
@@ -18,9 +20,12 @@ import SpectrumUploader from './components/SpectrumUploader'
 import PeakDetectionParameter from './components/PeakDetectionParameter'
 import RuleMatchingParameter from './components/RuleMatchingParameter'
 import SpectrumChart from './components/SpectrumChart'
+import PeakFittingPanel from './components/PeakFittingPanel'
 import PeakAnnotationTable from './components/PeakAnnotationTable'
 import PeakReviewPanel from './components/PeakReviewPanel'
 import ExportPanel from './components/ExportPanel'
+import ProjectControls from './components/ProjectControls'
+import SessionRestore from './components/SessionRestore'
 import './App.css'
 
 export default function App() {
@@ -33,6 +38,7 @@ export default function App() {
         <div className="header-content">
           <h1>🧪 FTIR Spectrum Annotator</h1>
           <p>Automatic peak detection and vibration mode classification</p>
+          <ProjectControls />
         </div>
       </header>
 
@@ -43,6 +49,9 @@ export default function App() {
           <ProgressBar />
         </section>
 
+        {/* Autosaved Sessions */}
+        <SessionRestore />
+
         {/* Spectrum Uploader */}
         <section className="section uploader-section">
           <SpectrumUploader />
@@ -63,6 +72,11 @@ export default function App() {
           <SpectrumChart />
         </section>
 
+        {/* Peak Fitting */}
+        <section className="section fitting-section">
+          <PeakFittingPanel />
+        </section>
+
         {/* Peak Annotation Table */}
         <section className="section table-section">
           <PeakAnnotationTable />
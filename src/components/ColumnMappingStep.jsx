@@ -0,0 +1,133 @@
+/**
+ * ColumnMappingStep.jsx
+ *
+ * Column mapping for multi-column CSV imports
+ * - Pick the X (wavenumber) column
+ * - Pick one or more Y columns, each becomes a spectrum
+ * - Set each Y column's unit (auto / transmittance / absorbance)
+ *   and the X column's unit (auto / cm⁻¹ / µm / nm)
+ */
+
+import React from 'react'
+import { X_AXIS_UNITS } from '../lib/unitConverter'
+import './ColumnMappingStep.css'
+
+const Y_UNIT_OPTIONS = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'transmittance', label: 'Transmittance (%)' },
+  { value: 'absorbance', label: 'Absorbance' }
+]
+
+const X_UNIT_OPTIONS = [
+  { value: 'auto', label: 'Auto' },
+  ...Object.entries(X_AXIS_UNITS).map(([value, unit]) => ({ value, label: unit.label }))
+]
+
+export default function ColumnMappingStep({ fileName, table, mapping, busy = false, onChange, onConfirm, onCancel }) {
+  const { xColumn, yColumns, yUnits, xUnit = 'auto' } = mapping
+
+  const handleXChange = (col) => {
+    onChange({
+      ...mapping,
+      xColumn: col,
+      yColumns: yColumns.filter(c => c !== col)
+    })
+  }
+
+  const handleYToggle = (col) => {
+    const selected = yColumns.includes(col)
+      ? yColumns.filter(c => c !== col)
+      : [...yColumns, col].sort((a, b) => a - b)
+    onChange({ ...mapping, yColumns: selected })
+  }
+
+  const handleUnitChange = (col, unit) => {
+    onChange({ ...mapping, yUnits: { ...yUnits, [col]: unit } })
+  }
+
+  // First data row as a sample value per column
+  const sampleRow = table.rows[0] || []
+
+  return (
+    <div className="column-mapping">
+      <div className="column-mapping-header">
+        <h4>🧩 欄位對應</h4>
+        <p className="file-name">{fileName}</p>
+      </div>
+      <p className="column-mapping-desc">
+        偵測到 {table.numericColumns.length} 個數值欄位。請選擇 X 軸（波數）與要載入的 Y 欄位，每個 Y 欄位會成為一條光譜。
+      </p>
+
+      <table className="column-mapping-table">
+        <thead>
+          <tr>
+            <th>欄位</th>
+            <th>範例值</th>
+            <th>X</th>
+            <th>Y</th>
+            <th>單位</th>
+          </tr>
+        </thead>
+        <tbody>
+          {table.numericColumns.map(col => (
+            <tr key={col} className={col === xColumn ? 'is-x' : yColumns.includes(col) ? 'is-y' : ''}>
+              <td className="column-name">{table.columnNames[col]}</td>
+              <td className="column-sample">{sampleRow[col] ?? '—'}</td>
+              <td>
+                <input
+                  type="radio"
+                  name="x-column"
+                  checked={col === xColumn}
+                  onChange={() => handleXChange(col)}
+                />
+              </td>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={yColumns.includes(col)}
+                  disabled={col === xColumn}
+                  onChange={() => handleYToggle(col)}
+                />
+              </td>
+              <td>
+                {col === xColumn ? (
+                  <select
+                    value={xUnit}
+                    onChange={(e) => onChange({ ...mapping, xUnit: e.target.value })}
+                  >
+                    {X_UNIT_OPTIONS.map(opt => (
+                      <option key={opt.value} value={opt.value}>{opt.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <select
+                    value={yUnits[col] || 'auto'}
+                    disabled={!yColumns.includes(col)}
+                    onChange={(e) => handleUnitChange(col, e.target.value)}
+                  >
+                    {Y_UNIT_OPTIONS.map(opt => (
+                      <option key={opt.value} value={opt.value}>{opt.label}</option>
+                    ))}
+                  </select>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="column-mapping-actions">
+        <button className="btn-mapping-cancel" onClick={onCancel}>
+          取消
+        </button>
+        <button
+          className="btn-mapping-confirm"
+          onClick={onConfirm}
+          disabled={yColumns.length === 0 || busy}
+        >
+          載入 {yColumns.length} 條光譜
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -2,23 +2,37 @@
  * ExportPanel.jsx
  * 
  * Export annotated results:
- * - Download PNG chart (via Plotly)
- * - Download CSV table (reviewed results)
+ * - Download PNG chart (via Plotly), titled with the sample metadata
+ * - Download CSV table (reviewed results) with `# key: value` metadata header
  */
 
 import React from 'react'
 import Plotly from 'plotly.js/lib/core'
 import { useAppStore } from '../store/appStore'
+import { metadataToCommentLines } from '../lib/spectrumMetadata'
 import './ExportPanel.css'
 
 const CHART_ID = 'ftir-spectrum-chart'
 
 export default function ExportPanel() {
+  const spectrum = useAppStore(state => state.spectrum)
   const annotations = useAppStore(state => state.annotations)
   const peakAnnotations = useAppStore(state => state.peakAnnotations)
 
   const hasData = annotations && annotations.length > 0
 
+  /**
+   * Sample name + date for download file names
+   */
+  const fileSuffix = () => {
+    const date = new Date().toISOString().slice(0, 10)
+    const sample = (spectrum?.metadata?.sampleName || '')
+      .replace(/[\\/:*?"<>|]+/g, '')
+      .trim()
+      .replace(/\s+/g, '_')
+    return sample ? `${sample}-${date}` : date
+  }
+
   /**
    * Download annotated chart as PNG
    */
@@ -31,7 +45,7 @@ export default function ExportPanel() {
 
     Plotly.downloadImage(chartEl, {
       format: 'png',
-      filename: `ftir-annotated-${new Date().toISOString().slice(0, 10)}`,
+      filename: `ftir-annotated-${fileSuffix()}`,
       width: 1400,
       height: 700,
       scale: 2
@@ -53,7 +67,7 @@ export default function ExportPanel() {
     ]
 
     const rows = annotations.map((ann, idx) => {
-      const reviewStatus = peakAnnotations?.[idx]
+      const reviewStatus = peakAnnotations?.[ann.peakIndex]
       const candidates = ann.topFiveCandidates || []
 
       let annotationText = ''
@@ -88,6 +102,7 @@ export default function ExportPanel() {
     })
 
     const csvLines = [
+      ...metadataToCommentLines(spectrum?.metadata),
       headers.join(','),
       ...rows.map(row => row.join(','))
     ]
@@ -105,7 +120,7 @@ export default function ExportPanel() {
 
     const link = document.createElement('a')
     link.href = url
-    link.download = `ftir-results-${new Date().toISOString().slice(0, 10)}.csv`
+    link.download = `ftir-results-${fileSuffix()}.csv`
     document.body.appendChild(link)
     link.click()
     document.body.removeChild(link)
@@ -0,0 +1,154 @@
+/**
+ * ImportDiagnostics.jsx
+ *
+ * Expandable parse report for the loaded spectrum
+ * - Detected format, delimiter, decimal separator, header
+ * - `# key: value` comment metadata from CSV files
+ * - Parsed / skipped rows with line numbers and reasons
+ * - Y-axis unit inference evidence
+ * - Reject import action
+ */
+
+import React from 'react'
+import { X_AXIS_UNITS } from '../lib/unitConverter'
+import './ImportDiagnostics.css'
+
+const DELIMITER_LABELS = {
+  ',': 'Comma (,)',
+  ';': 'Semicolon (;)',
+  '\t': 'Tab',
+  ' ': 'Whitespace'
+}
+
+const UNIT_SOURCE_LABELS = {
+  header: '標頭',
+  range: '數值範圍',
+  default: '預設',
+  manual: '手動指定'
+}
+
+// Long skip lists are truncated to keep the panel readable
+const MAX_SKIPPED_ROWS_SHOWN = 200
+
+export default function ImportDiagnostics({ report, onReject }) {
+  if (!report) return null
+
+  const skippedRows = report.skippedRows || []
+  const skippedCount = skippedRows.length + (report.skippedPoints || 0)
+  const warnings = report.warnings || []
+  const unitInference = report.yAxisUnit
+  const commentEntries = Object.entries(report.commentMetadata || {})
+
+  return (
+    <details className={`import-diagnostics ${skippedCount > 0 || warnings.length > 0 ? 'has-issues' : ''}`}>
+      <summary>
+        🩺 Import diagnostics
+        {skippedCount > 0 ? `（跳過 ${skippedCount} ${skippedRows.length > 0 ? '行' : '點'}）` : '（無跳過資料）'}
+      </summary>
+
+      <div className="diagnostics-content">
+        <dl className="diagnostics-grid">
+          <dt>格式</dt>
+          <dd>{report.format || '—'}</dd>
+
+          {report.delimiter !== undefined && (
+            <>
+              <dt>分隔符號</dt>
+              <dd>{DELIMITER_LABELS[report.delimiter] || JSON.stringify(report.delimiter)}</dd>
+            </>
+          )}
+
+          {report.decimalSeparator !== undefined && (
+            <>
+              <dt>小數點</dt>
+              <dd>{report.decimalSeparator === ',' ? 'Comma (,)' : 'Period (.)'}</dd>
+            </>
+          )}
+
+          <dt>標頭</dt>
+          <dd>{report.headerFound ? (report.headerLine || '✓') : '未偵測到'}</dd>
+
+          {report.xColumn && (
+            <>
+              <dt>欄位</dt>
+              <dd>X: {report.xColumn} / Y: {report.yColumn}</dd>
+            </>
+          )}
+
+          {commentEntries.length > 0 && (
+            <>
+              <dt>檔案註解</dt>
+              <dd>
+                <ul className="comment-metadata">
+                  {commentEntries.map(([key, value]) => (
+                    <li key={key}>{key}: {value}</li>
+                  ))}
+                </ul>
+              </dd>
+            </>
+          )}
+
+          <dt>X 軸單位</dt>
+          <dd>{X_AXIS_UNITS[report.xAxisUnit]?.label || '—'}</dd>
+
+          <dt>數據行</dt>
+          <dd>
+            {report.parsedRows} / {report.totalRows} 已解析
+            {report.duplicatesRemoved > 0 && `，移除 ${report.duplicatesRemoved} 個重複波數`}
+          </dd>
+
+          {unitInference && (
+            <>
+              <dt>Y 軸單位</dt>
+              <dd>
+                {unitInference.unit === 'absorbance' ? 'Absorbance' : 'Transmittance'}
+                {' '}（依據: {UNIT_SOURCE_LABELS[unitInference.source] || unitInference.source}）
+                <ul className="unit-evidence">
+                  {unitInference.evidence.map((item, idx) => (
+                    <li key={idx}>{item}</li>
+                  ))}
+                </ul>
+              </dd>
+            </>
+          )}
+        </dl>
+
+        {warnings.length > 0 && (
+          <ul className="diagnostics-warnings">
+            {warnings.map((warning, idx) => (
+              <li key={idx}>⚠️ {warning}</li>
+            ))}
+          </ul>
+        )}
+
+        {skippedRows.length > 0 && (
+          <div className="skipped-rows">
+            <table>
+              <thead>
+                <tr>
+                  <th>行號</th>
+                  <th>原因</th>
+                </tr>
+              </thead>
+              <tbody>
+                {skippedRows.slice(0, MAX_SKIPPED_ROWS_SHOWN).map(row => (
+                  <tr key={row.line}>
+                    <td>{row.line}</td>
+                    <td>{row.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {skippedRows.length > MAX_SKIPPED_ROWS_SHOWN && (
+              <p className="skipped-more">… 另有 {skippedRows.length - MAX_SKIPPED_ROWS_SHOWN} 行</p>
+            )}
+          </div>
+        )}
+
+        <button className="btn-reject-import" onClick={onReject}>
+          ✗ 拒絕此匯入
+        </button>
+      </div>
+    </details>
+  )
+}
@@ -0,0 +1,43 @@
+/**
+ * MetadataEditor.jsx
+ *
+ * Editable sample / instrument metadata for the loaded spectrum
+ * - Pre-filled from CSV header/comment lines, JCAMP-DX labels or SPC header
+ * - Carried into JSON, CSV and PNG exports
+ */
+
+import React from 'react'
+import { METADATA_FIELDS } from '../lib/spectrumMetadata'
+import './MetadataEditor.css'
+
+const PLACEHOLDERS = {
+  sampleName: '例如 PET film #3',
+  instrument: '例如 Bruker Alpha II',
+  resolution: '例如 4',
+  scans: '例如 32',
+  atrCrystal: '例如 Diamond',
+  acquisitionDate: '例如 2026-10-18'
+}
+
+export default function MetadataEditor({ metadata, onChange }) {
+  if (!metadata) return null
+
+  return (
+    <div className="metadata-editor">
+      <h4>🏷️ 樣品資訊</h4>
+      <div className="metadata-grid">
+        {METADATA_FIELDS.map(field => (
+          <label key={field.key} className="metadata-field">
+            <span className="metadata-label">{field.label}</span>
+            <input
+              type="text"
+              value={metadata[field.key] || ''}
+              placeholder={PLACEHOLDERS[field.key]}
+              onChange={(e) => onChange({ [field.key]: e.target.value })}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
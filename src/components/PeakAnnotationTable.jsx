@@ -5,16 +5,19 @@
  * - Default: highest confidence candidate
  * - Updates in real-time during review phase
  * - Sortable columns
+ * - Peaks flagged unstable by the sensitivity sweep
  */
 
 import React, { useState, useMemo } from 'react'
 import { useAppStore } from '../store/appStore'
+import { peakStability, UNSTABLE_THRESHOLD } from '../lib/sensitivityAnalysis'
 import './PeakAnnotationTable.css'
 
 export default function PeakAnnotationTable() {
   const annotations = useAppStore(state => state.annotations)
   const peaks = useAppStore(state => state.peaks)
   const peakAnnotations = useAppStore(state => state.peakAnnotations)
+  const sensitivity = useAppStore(state => state.sensitivity)
 
   const [sortColumn, setSortColumn] = useState('position')
   const [sortDirection, setSortDirection] = useState('desc')
@@ -24,7 +27,7 @@ export default function PeakAnnotationTable() {
     if (!annotations || annotations.length === 0) return []
 
     return annotations.map((ann, idx) => {
-      const reviewStatus = peakAnnotations?.[idx]
+      const reviewStatus = peakAnnotations?.[ann.peakIndex]
       const candidates = ann.topFiveCandidates || []
 
       let annotationText = '—'
@@ -53,12 +56,17 @@ export default function PeakAnnotationTable() {
         position: ann.peakPosition,
         intensity: ann.peakIntensity || 0,
         fwhm: ann.peakFwhm || 0,
+        isSubPeak: Boolean(ann.isSubPeak),
+        isShoulder: ann.peakType === 'shoulder',
+        manual: ann.manual,
+        isSaturated: Boolean(ann.isSaturated),
+        stability: peakStability({ position: ann.peakPosition, manual: ann.manual }, sensitivity),
         annotation: annotationText,
         confidence,
         status
       }
     })
-  }, [annotations, peakAnnotations])
+  }, [annotations, peakAnnotations, sensitivity])
 
   // Sort rows
   const sortedRows = useMemo(() => {
@@ -137,9 +145,29 @@ export default function PeakAnnotationTable() {
           </thead>
           <tbody>
             {sortedRows.map((row) => (
-              <tr key={row.index} className={`row-${row.status}`}>
+              <tr
+                key={row.index}
+                className={`row-${row.status} ${row.stability !== null && row.stability < UNSTABLE_THRESHOLD ? 'row-unstable' : ''}`}
+              >
                 <td className="cell-index">{row.index}</td>
-                <td className="cell-position">{row.position.toFixed(1)}</td>
+                <td className="cell-position">
+                  {row.position.toFixed(1)}
+                  {row.isSubPeak && <span className="sub-peak-badge" title="解析度增強找到的隱藏分量">sub</span>}
+                  {row.isShoulder && <span className="shoulder-badge" title="較大峰側翼上的肩峰（二階導數極小值）">sh</span>}
+                  {row.stability !== null && row.stability < UNSTABLE_THRESHOLD && (
+                    <span className="unstable-badge" title="只在部分平滑 / 門檻設定下出現">
+                      ⚠ {Math.round(row.stability * 100)}%
+                    </span>
+                  )}
+                  {row.isSaturated && (
+                    <span className="saturated-badge" title="吸收度超過飽和上限，峰位與強度不可靠">飽和</span>
+                  )}
+                  {row.manual && (
+                    <span className="manual-peak-badge" title={row.manual === 'added' ? '手動新增的峰' : '手動移動過的峰'}>
+                      {row.manual === 'added' ? '手動' : '已移動'}
+                    </span>
+                  )}
+                </td>
                 <td className="cell-intensity">{row.intensity.toFixed(4)}</td>
                 <td className="cell-fwhm">{row.fwhm.toFixed(1)}</td>
                 <td className="cell-annotation">{row.annotation}</td>
@@ -4,71 +4,214 @@
  * Peak detection parameter sliders
  * - Smoothing Window (3-21, default 7)
  * - Peak Height Threshold (0.00005-0.005, default 0.001)
+ * - Minimum Peak Distance (2-100 cm⁻¹, default 20)
+ * - Uniform grid resampling (linear / cubic spline)
+ * - Auto mode: parameters suggested from noise, spacing and band width, with reasons
+ * - Sensitivity sweep: stability of each peak over smoothing / threshold settings
+ * - Baseline correction method + parameters (ALS, rubberband, polynomial, anchors)
+ * - Shoulder detection (second-derivative minima on the flank of a larger peak)
+ * - Resolution enhancement (second derivative / FSD) for hidden sub-peaks
+ * - Noise estimate (blank region / smoothing residual) and SNR-based threshold
+ * - Spectral masks (CO₂ / H₂O / diamond presets, custom excluded or include-only windows)
+ * - Atmospheric CO₂ / water vapor compensation (bundled model or uploaded reference)
  */
 
-import React from 'react'
+import React, { useState } from 'react'
 import { useAppStore } from '../store/appStore'
+import { BASELINE_METHODS, DEFAULT_BASELINE_PARAMS } from '../lib/baselineCorrection'
+import { ENHANCEMENT_METHODS, DEFAULT_ENHANCEMENT_PARAMS } from '../lib/resolutionEnhancement'
+import { DEFAULT_NOISE_OPTIONS, DEFAULT_NOISE_REGIONS, DEFAULT_SMOOTH_WIDTH } from '../lib/peakDetector'
+import { MASK_PRESETS, MASK_MODES } from '../lib/spectralMasks'
+import { COMPENSATION_SOURCES, DEFAULT_COMPENSATION_PARAMS, describeCompensation } from '../lib/atmosphericCompensation'
+import { RESAMPLE_METHODS, medianSpacing, isUniformSpacing } from '../lib/resampler'
+import { DEFAULT_SWEEP, UNSTABLE_THRESHOLD, isUnstablePeak } from '../lib/sensitivityAnalysis'
 import './PeakDetectionParameter.css'
 
+const SUGGESTION_LABELS = {
+  smoothingWidth: 'Smoothing Window (cm⁻¹)',
+  peakHeightThreshold: 'Peak Height Threshold',
+  minSNR: 'Minimum SNR',
+  minDistance: 'Minimum Peak Distance (cm⁻¹)'
+}
+
 export default function PeakDetectionParameter() {
   const {
     peakDetectionParams,
     updatePeakDetectionParams,
     detectPeaks,
     spectrum,
+    pipeline,
+    noiseEstimate,
+    toggleMaskPreset,
+    addMask,
+    updateMask,
+    removeMask,
+    compensation: compensationResult,
+    compensationReference,
+    loadCompensationReference,
+    clearCompensationReference,
+    previewCompensation,
+    clearCompensationPreview,
+    resampleSpectrum,
+    paramSuggestion,
+    suggestDetectionParams,
+    peaks,
+    sensitivity,
+    runSensitivitySweep,
   } = useAppStore()
+  const [maskDraft, setMaskDraft] = useState({ min: '', max: '', mode: 'exclude' })
+  const [resampleOptions, setResampleOptions] = useState({ spacing: 2, method: 'cubic' })
 
   const params = peakDetectionParams || {}
+  const baselineMethod = params.baselineMethod || 'linear'
+  const baselineParams = { ...DEFAULT_BASELINE_PARAMS, ...params.baselineParams }
+  const anchorText = baselineParams.anchors
+    .map(a => (typeof a === 'number' ? a : a.wavenumber))
+    .join(', ')
+  const enhancement = { ...DEFAULT_ENHANCEMENT_PARAMS, ...params.enhancement }
+  const noise = { ...DEFAULT_NOISE_OPTIONS, ...params.noise }
+  const thresholdMode = params.thresholdMode || 'percent'
+  const masks = params.masks || []
+  const customMasks = masks.filter(m => !m.preset)
+  const compensation = { ...DEFAULT_COMPENSATION_PARAMS, ...params.compensation }
+  const spacing = spectrum ? medianSpacing(spectrum.wavenumber) : 0
+  const uniform = spectrum ? isUniformSpacing(spectrum.wavenumber) : true
+  const unstableCount = sensitivity && peaks
+    ? peaks.filter(p => isUnstablePeak(p, sensitivity)).length
+    : 0
+
+  const handleAddMask = () => {
+    const mask = addMask({
+      mode: maskDraft.mode,
+      ranges: [[parseFloat(maskDraft.min), parseFloat(maskDraft.max)]]
+    })
+    if (mask) setMaskDraft({ ...maskDraft, min: '', max: '' })
+  }
+
+  const handleCompensationChange = (patch) => {
+    updatePeakDetectionParams({ compensation: { ...compensation, ...patch } })
+    if (patch.enabled === false) clearCompensationPreview()
+  }
+
+  const handleReferenceUpload = (e) => {
+    const file = e.target.files?.[0]
+    if (file) loadCompensationReference(file)
+    e.target.value = ''
+  }
 
   // Handlers
   const handleSmoothingChange = (e) => {
-    const val = parseInt(e.target.value)
-    // Ensure odd number
-    const oddVal = val % 2 === 0 ? val + 1 : val
-    updatePeakDetectionParams({ smoothingWindow: oddVal })
+    updatePeakDetectionParams({ smoothingWidth: parseInt(e.target.value) })
   }
 
   const handleHeightChange = (e) => {
     updatePeakDetectionParams({ peakHeightThreshold: parseFloat(e.target.value) })
   }
 
+  const handleBaselineParamChange = (patch) => {
+    updatePeakDetectionParams({ baselineParams: { ...baselineParams, ...patch } })
+  }
+
+  const handleAnchorsChange = (e) => {
+    const anchors = e.target.value
+      .split(/[,\s]+/)
+      .map(v => parseFloat(v))
+      .filter(v => Number.isFinite(v))
+      // Keep the height of anchors placed on the chart
+      .map(wn => baselineParams.anchors.find(a => typeof a === 'object' && a.wavenumber === wn) || wn)
+    handleBaselineParamChange({ anchors })
+  }
+
+  const handleEnhancementChange = (patch) => {
+    updatePeakDetectionParams({ enhancement: { ...enhancement, ...patch } })
+  }
+
+  const handleNoiseChange = (patch) => {
+    updatePeakDetectionParams({ noise: { ...noise, ...patch } })
+  }
+
+  const handleNoiseRegionChange = (end) => (e) => {
+    const value = parseFloat(e.target.value)
+    const region = noise.region ? [...noise.region] : [null, null]
+    region[end] = Number.isFinite(value) ? value : null
+    // Only a complete region overrides the defaults
+    handleNoiseChange({ region: region.every(v => v !== null) ? region : null })
+  }
+
   const handleDetectPeaks = () => {
     if (spectrum && spectrum.wavenumber && (spectrum.transmittance || spectrum.absorbance)) {
       detectPeaks()
     }
   }
 
+  const handleAutoChange = (e) => {
+    updatePeakDetectionParams({ auto: e.target.checked })
+    if (e.target.checked) suggestDetectionParams()
+  }
+
   return (
     <div className="peak-detection-parameter">
       <div className="parameter-header">
         <h3>🔍 Peak Detection Parameter</h3>
-        <button
-          className="detect-button"
-          onClick={handleDetectPeaks}
-          disabled={!spectrum || !spectrum.wavenumber}
-        >
-          Detect Peaks
-        </button>
+        <div className="header-actions">
+          <label className="auto-toggle" title="載入檔案後依雜訊、點距與譜帶寬度自動填入參數；切換光譜或重新取樣時不會覆蓋手動調整">
+            <input type="checkbox" checked={Boolean(params.auto)} onChange={handleAutoChange} />
+            Auto
+          </label>
+          <button
+            className="detect-button"
+            onClick={handleDetectPeaks}
+            disabled={!spectrum || !spectrum.wavenumber || pipeline.running}
+          >
+            Detect Peaks
+          </button>
+        </div>
       </div>
 
+      {spectrum && (paramSuggestion || params.auto) && (
+        <div className="auto-suggestion">
+          <div className="auto-suggestion-header">
+            <span>Auto 建議值</span>
+            <button className="mask-add" onClick={suggestDetectionParams} disabled={pipeline.running}>
+              {paramSuggestion ? '重新建議' : '依此光譜建議'}
+            </button>
+          </div>
+          {paramSuggestion && (
+            <ul>
+              {Object.entries(paramSuggestion.explanations).map(([key, reason]) => (
+                <li key={key}>
+                  <span className="auto-param">
+                    {SUGGESTION_LABELS[key]} = {paramSuggestion.params[key]}
+                    {params[key] !== paramSuggestion.params[key] && (
+                      <span className="auto-adjusted">（已手動調整為 {params[key]}）</span>
+                    )}
+                  </span>
+                  <span className="auto-reason">{reason}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <div className="sliders-container">
         {/* Smoothing Window */}
         <div className="slider-item">
           <div className="slider-label">
             <label>Smoothing Window</label>
-            <span className="slider-value">{params.smoothingWindow || 7}</span>
+            <span className="slider-value">{params.smoothingWidth || DEFAULT_SMOOTH_WIDTH} cm⁻¹</span>
           </div>
           <input
             type="range"
-            min="3"
-            max="21"
+            min="4"
+            max="40"
             step="2"
-            value={params.smoothingWindow || 7}
+            value={params.smoothingWidth || DEFAULT_SMOOTH_WIDTH}
             onChange={handleSmoothingChange}
             className="slider"
           />
           <p className="slider-desc">
-            光譜平滑程度；更大 = 更平滑但可能模糊細節
+            光譜平滑視窗寬度；依點距換算成點數，不同解析度結果一致；更大 = 更平滑但可能模糊細節
           </p>
         </div>
 
@@ -91,13 +234,567 @@ export default function PeakDetectionParameter() {
             最小峰高；更低會偵測更多微弱峰
           </p>
         </div>
+
+        {/* Minimum Peak Distance */}
+        <div className="slider-item">
+          <div className="slider-label">
+            <label>Minimum Peak Distance (cm⁻¹)</label>
+            <span className="slider-value">{params.minDistance || 20}</span>
+          </div>
+          <input
+            type="range"
+            min="2"
+            max="100"
+            step="1"
+            value={params.minDistance || 20}
+            onChange={(e) => updatePeakDetectionParams({ minDistance: parseInt(e.target.value) })}
+            className="slider"
+          />
+          <p className="slider-desc">
+            相鄰峰的最小間距（以波數計，與點距無關）；距離內只保留較高的峰
+          </p>
+        </div>
+      </div>
+
+      {/* Uniform Grid */}
+      {spectrum && (
+        <div className="baseline-options">
+          <div className="slider-label">
+            <label>Uniform Grid</label>
+            <span className={`grid-spacing ${uniform ? '' : 'non-uniform'}`}>
+              {spectrum.dataPoints} 點・間距 {spacing.toFixed(3)} cm⁻¹{uniform ? '' : '（不均勻）'}
+            </span>
+          </div>
+          <div className="noise-region">
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={resampleOptions.spacing}
+              onChange={(e) => setResampleOptions({ ...resampleOptions, spacing: e.target.value })}
+            />
+            <span>cm⁻¹</span>
+            <select
+              className="baseline-select"
+              value={resampleOptions.method}
+              onChange={(e) => setResampleOptions({ ...resampleOptions, method: e.target.value })}
+            >
+              {RESAMPLE_METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+            <button
+              className="mask-add"
+              onClick={() => resampleSpectrum({ ...resampleOptions, spacing: parseFloat(resampleOptions.spacing) })}
+              disabled={pipeline.running || !(parseFloat(resampleOptions.spacing) > 0)}
+            >
+              重新取樣
+            </button>
+          </div>
+          <p className="slider-desc">
+            {spectrum.resampling
+              ? `已由 ${spectrum.resampling.originalPoints} 點重新取樣（${spectrum.resampling.method}）；重新載入檔案可還原`
+              : '合併或裁切過的光譜點距不均勻時，先內插到均勻網格再偵測'}
+          </p>
+        </div>
+      )}
+
+      {/* Baseline Correction */}
+      <div className="baseline-options">
+        <div className="slider-label">
+          <label htmlFor="baseline-method">Baseline Correction</label>
+          <select
+            id="baseline-method"
+            className="baseline-select"
+            value={baselineMethod}
+            onChange={(e) => updatePeakDetectionParams({ baselineMethod: e.target.value })}
+          >
+            {BASELINE_METHODS.map(method => (
+              <option key={method.value} value={method.value}>{method.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {baselineMethod === 'als' && (
+          <>
+            <div className="slider-item">
+              <div className="slider-label">
+                <label>Smoothness λ</label>
+                <span className="slider-value">{baselineParams.lambda.toExponential(0)}</span>
+              </div>
+              <input
+                type="range"
+                min="2"
+                max="9"
+                step="0.5"
+                value={Math.log10(baselineParams.lambda)}
+                onChange={(e) => handleBaselineParamChange({ lambda: Math.pow(10, parseFloat(e.target.value)) })}
+                className="slider"
+              />
+            </div>
+            <div className="slider-item">
+              <div className="slider-label">
+                <label>Asymmetry p</label>
+                <span className="slider-value">{baselineParams.asymmetry.toFixed(3)}</span>
+              </div>
+              <input
+                type="range"
+                min="0.001"
+                max="0.1"
+                step="0.001"
+                value={baselineParams.asymmetry}
+                onChange={(e) => handleBaselineParamChange({ asymmetry: parseFloat(e.target.value) })}
+                className="slider"
+              />
+              <p className="slider-desc">
+                λ 越大基線越平滑；p 越小基線越貼近光譜底部
+              </p>
+            </div>
+          </>
+        )}
+
+        {baselineMethod === 'polynomial' && (
+          <div className="slider-item">
+            <div className="slider-label">
+              <label>Polynomial Order</label>
+              <span className="slider-value">{baselineParams.polyOrder}</span>
+            </div>
+            <input
+              type="range"
+              min="1"
+              max="8"
+              step="1"
+              value={baselineParams.polyOrder}
+              onChange={(e) => handleBaselineParamChange({ polyOrder: parseInt(e.target.value) })}
+              className="slider"
+            />
+            <p className="slider-desc">
+              迭代擬合，每輪把高於擬合線的點壓到擬合線上
+            </p>
+          </div>
+        )}
+
+        {baselineMethod === 'anchor' && (
+          <div className="slider-item">
+            <div className="slider-label">
+              <label htmlFor="baseline-anchors">Anchor Points (cm⁻¹)</label>
+              <span className="slider-value">{baselineParams.anchors.length}</span>
+            </div>
+            <input
+              id="baseline-anchors"
+              key={anchorText}
+              type="text"
+              className="baseline-anchors"
+              placeholder="例如 3800, 2500, 1800, 650"
+              defaultValue={anchorText}
+              onBlur={handleAnchorsChange}
+            />
+            <p className="slider-desc">
+              以逗號分隔的波數，或在圖表上「編輯基線錨點」；基線以直線連接各錨點
+            </p>
+          </div>
+        )}
+
+        {baselineMethod === 'rubberband' && (
+          <p className="slider-desc">
+            以光譜下方的凸包作為基線，適合彎曲的 ATR 基線
+          </p>
+        )}
+      </div>
+
+      {/* Noise & Threshold */}
+      <div className="baseline-options">
+        <div className="slider-label">
+          <label htmlFor="threshold-mode">Prominence Threshold</label>
+          <select
+            id="threshold-mode"
+            className="baseline-select"
+            value={thresholdMode}
+            onChange={(e) => updatePeakDetectionParams({ thresholdMode: e.target.value })}
+          >
+            <option value="percent">5% of maximum</option>
+            <option value="snr">Signal-to-noise</option>
+          </select>
+        </div>
+
+        {thresholdMode === 'snr' && (
+          <div className="slider-item">
+            <div className="slider-label">
+              <label>Minimum SNR</label>
+              <span className="slider-value">{params.minSNR || 3}</span>
+            </div>
+            <input
+              type="range"
+              min="2"
+              max="20"
+              step="1"
+              value={params.minSNR || 3}
+              onChange={(e) => updatePeakDetectionParams({ minSNR: parseInt(e.target.value) })}
+              className="slider"
+            />
+            <p className="slider-desc">
+              峰的突出度須達雜訊的幾倍；3 約為偵測極限，10 約為定量極限
+            </p>
+          </div>
+        )}
+
+        <div className="slider-label">
+          <label htmlFor="noise-method">Noise Estimate</label>
+          <div className="noise-selects">
+            <select
+              id="noise-method"
+              className="baseline-select"
+              value={noise.method}
+              onChange={(e) => handleNoiseChange({ method: e.target.value })}
+            >
+              <option value="region">Blank region</option>
+              <option value="residual">Smoothing residual</option>
+            </select>
+            <select
+              className="baseline-select"
+              value={noise.statistic}
+              onChange={(e) => handleNoiseChange({ statistic: e.target.value })}
+            >
+              <option value="mad">MAD</option>
+              <option value="std">Std dev</option>
+            </select>
+          </div>
+        </div>
+
+        {noise.method === 'region' && (
+          <div className="noise-region" key={String(noise.region)}>
+            <input
+              type="number"
+              placeholder="起點"
+              defaultValue={noise.region?.[0] ?? ''}
+              onBlur={handleNoiseRegionChange(0)}
+            />
+            <span>–</span>
+            <input
+              type="number"
+              placeholder="終點"
+              defaultValue={noise.region?.[1] ?? ''}
+              onBlur={handleNoiseRegionChange(1)}
+            />
+            <span>cm⁻¹</span>
+          </div>
+        )}
+
+        <p className="slider-desc">
+          {noise.method === 'region'
+            ? `在無吸收的區間去趨勢後估計雜訊；留空則取 ${DEFAULT_NOISE_REGIONS.map(r => r.join('–')).join(' 或 ')} cm⁻¹ 中較安靜者`
+            : '以原始光譜與平滑光譜之差估計雜訊'}
+        </p>
+
+        {noiseEstimate && (
+          <p className="noise-estimate">
+            Noise σ = {noiseEstimate.value.toExponential(2)}
+            {noiseEstimate.region ? ` (${noiseEstimate.region.join('–')} cm⁻¹)` : ' (smoothing residual)'}
+          </p>
+        )}
+      </div>
+
+      {/* Spectral Masks */}
+      <div className="baseline-options">
+        <div className="slider-label">
+          <label>Spectral Masks</label>
+        </div>
+
+        <div className="mask-presets">
+          {MASK_PRESETS.map(preset => (
+            <label key={preset.id} title={preset.ranges.map(r => r.join('–')).join(', ') + ' cm⁻¹'}>
+              <input
+                type="checkbox"
+                checked={masks.some(m => m.id === preset.id)}
+                onChange={() => toggleMaskPreset(preset.id)}
+              />
+              {preset.name}
+            </label>
+          ))}
+        </div>
+
+        {customMasks.map(mask => (
+          <div key={mask.id} className="mask-row">
+            <input
+              type="checkbox"
+              checked={mask.enabled !== false}
+              onChange={(e) => updateMask(mask.id, { enabled: e.target.checked })}
+            />
+            <span className="mask-name">{mask.name}</span>
+            <select
+              className="baseline-select"
+              value={mask.mode}
+              onChange={(e) => updateMask(mask.id, { mode: e.target.value })}
+            >
+              {MASK_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+            <button className="mask-remove" onClick={() => removeMask(mask.id)} title="刪除遮罩">
+              ×
+            </button>
+          </div>
+        ))}
+
+        <div className="noise-region">
+          <input
+            type="number"
+            placeholder="起點"
+            value={maskDraft.min}
+            onChange={(e) => setMaskDraft({ ...maskDraft, min: e.target.value })}
+          />
+          <span>–</span>
+          <input
+            type="number"
+            placeholder="終點"
+            value={maskDraft.max}
+            onChange={(e) => setMaskDraft({ ...maskDraft, max: e.target.value })}
+          />
+          <select
+            className="baseline-select"
+            value={maskDraft.mode}
+            onChange={(e) => setMaskDraft({ ...maskDraft, mode: e.target.value })}
+          >
+            {MASK_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+          <button
+            className="mask-add"
+            onClick={handleAddMask}
+            disabled={maskDraft.min === '' || maskDraft.max === ''}
+          >
+            新增
+          </button>
+        </div>
+
+        <p className="slider-desc">
+          遮罩區間內的峰不會被偵測；啟用「僅包含」時只保留窗口內的峰。也可在圖上拖曳畫出遮罩
+        </p>
+      </div>
+
+      {/* Atmospheric Compensation */}
+      <div className="baseline-options">
+        <div className="slider-label">
+          <label className="compensation-toggle">
+            <input
+              type="checkbox"
+              checked={compensation.enabled}
+              onChange={(e) => handleCompensationChange({ enabled: e.target.checked })}
+            />
+            Atmospheric Compensation
+          </label>
+          {compensation.enabled && (
+            <select
+              className="baseline-select"
+              value={compensation.source}
+              onChange={(e) => handleCompensationChange({ source: e.target.value })}
+            >
+              {COMPENSATION_SOURCES.map(source => (
+                <option key={source.value} value={source.value}>{source.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {compensation.enabled && compensation.source === 'bundled' && (
+          <div className="slider-item">
+            <div className="slider-label">
+              <label>Resolution (cm⁻¹)</label>
+              <span className="slider-value">{compensation.resolution}</span>
+            </div>
+            <input
+              type="range"
+              min="1"
+              max="16"
+              step="1"
+              value={compensation.resolution}
+              onChange={(e) => handleCompensationChange({ resolution: parseInt(e.target.value) })}
+              className="slider"
+            />
+            <p className="slider-desc">
+              內建 CO₂（2350 / 667 cm⁻¹）與水氣（1350–1950 / 3500–3950 cm⁻¹）譜線模型，兩者分別擬合縮放係數
+            </p>
+          </div>
+        )}
+
+        {compensation.enabled && compensation.source === 'uploaded' && (
+          <div className="compensation-reference">
+            {compensationReference ? (
+              <>
+                <span className="mask-name">{compensationReference.name}</span>
+                <button className="mask-remove" onClick={clearCompensationReference} title="移除參考光譜">
+                  ×
+                </button>
+              </>
+            ) : (
+              <input type="file" accept=".csv,.txt,.dx,.jdx,.jcamp,.spc" onChange={handleReferenceUpload} />
+            )}
+          </div>
+        )}
+
+        {compensation.enabled && (
+          <div className="compensation-actions">
+            <button
+              className="mask-add"
+              onClick={previewCompensation}
+              disabled={!spectrum || pipeline.running}
+            >
+              預覽補償
+            </button>
+            {compensationResult && (
+              <span className="noise-estimate">{describeCompensation(compensationResult)}</span>
+            )}
+          </div>
+        )}
+
+        <p className="slider-desc">
+          平滑前扣除縮放後的參考光譜，縮放係數以二階差分最小平方擬合（只跟隨尖銳的氣相譜線）
+        </p>
       </div>
 
+      {/* Shoulder Detection */}
+      <div className="baseline-options">
+        <div className="slider-label">
+          <label className="shoulder-toggle">
+            <input
+              type="checkbox"
+              checked={Boolean(params.shoulders)}
+              onChange={(e) => updatePeakDetectionParams({ shoulders: e.target.checked })}
+            />
+            Shoulder Detection
+          </label>
+        </div>
+
+        {params.shoulders && (
+          <div className="slider-item">
+            <div className="slider-label">
+              <label>Min Curvature SNR</label>
+              <span className="slider-value">{params.shoulderSNR || 5}</span>
+            </div>
+            <input
+              type="range"
+              min="3"
+              max="15"
+              step="1"
+              value={params.shoulderSNR || 5}
+              onChange={(e) => updatePeakDetectionParams({ shoulderSNR: parseInt(e.target.value) })}
+              className="slider"
+            />
+          </div>
+        )}
+
+        <p className="slider-desc">
+          沒有自己極大值的肩峰（如 1710 旁的 1735 酯羰基）：在較大峰側翼上的二階導數極小值，曲率需高於雜訊
+        </p>
+      </div>
+
+      {/* Resolution Enhancement */}
+      <div className="baseline-options">
+        <div className="slider-label">
+          <label htmlFor="enhancement-method">Resolution Enhancement</label>
+          <select
+            id="enhancement-method"
+            className="baseline-select"
+            value={enhancement.method}
+            onChange={(e) => handleEnhancementChange({ method: e.target.value })}
+          >
+            {ENHANCEMENT_METHODS.map(method => (
+              <option key={method.value} value={method.value}>{method.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {enhancement.method !== 'none' && (
+          <>
+            <div className="slider-item">
+              <div className="slider-label">
+                <label>Bandwidth (cm⁻¹)</label>
+                <span className="slider-value">{enhancement.bandwidth}</span>
+              </div>
+              <input
+                type="range"
+                min="4"
+                max="40"
+                step="1"
+                value={enhancement.bandwidth}
+                onChange={(e) => handleEnhancementChange({ bandwidth: parseInt(e.target.value) })}
+                className="slider"
+              />
+              <p className="slider-desc">
+                預期分量的半高寬；{enhancement.method === 'fsd' ? '反卷積的 Lorentzian 線寬' : '二階導數的平滑視窗'}
+              </p>
+            </div>
+
+            {enhancement.method === 'fsd' && (
+              <div className="slider-item">
+                <div className="slider-label">
+                  <label>Enhancement Factor K</label>
+                  <span className="slider-value">{enhancement.enhancementFactor.toFixed(1)}</span>
+                </div>
+                <input
+                  type="range"
+                  min="1.5"
+                  max="4"
+                  step="0.1"
+                  value={enhancement.enhancementFactor}
+                  onChange={(e) => handleEnhancementChange({ enhancementFactor: parseFloat(e.target.value) })}
+                  className="slider"
+                />
+                <p className="slider-desc">
+                  譜帶變窄倍數；越大解析度越高，但雜訊與旁瓣也越明顯
+                </p>
+              </div>
+            )}
+
+            <div className="slider-item">
+              <div className="slider-label">
+                <label>Component Threshold (%)</label>
+                <span className="slider-value">{enhancement.threshold}</span>
+              </div>
+              <input
+                type="range"
+                min="1"
+                max="20"
+                step="1"
+                value={enhancement.threshold}
+                onChange={(e) => handleEnhancementChange({ threshold: parseInt(e.target.value) })}
+                className="slider"
+              />
+              <p className="slider-desc">
+                分量強度下限（相對最強分量）；找到的隱藏分量會以子峰加入峰列表
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Sensitivity Sweep */}
+      {peaks && peaks.length > 0 && (
+        <div className="baseline-options">
+          <div className="slider-label">
+            <label>Sensitivity Sweep</label>
+            <button className="mask-add" onClick={runSensitivitySweep} disabled={pipeline.running}>
+              執行靈敏度分析
+            </button>
+          </div>
+          <p className="slider-desc">
+            以平滑視窗 {DEFAULT_SWEEP.smoothingWidths.join(' / ')} cm⁻¹ × 門檻 {DEFAULT_SWEEP.thresholdFactors.map(f => `×${f}`).join(' / ')} 重新偵測，
+            統計每個峰出現的比例；低於 {UNSTABLE_THRESHOLD * 100}% 的峰標為不穩定
+          </p>
+          {sensitivity && (
+            <p className="noise-estimate">
+              {sensitivity.settings.length} 組設定・{unstableCount} / {peaks.length} 個峰不穩定
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Advanced Options */}
       <details className="advanced-options">
         <summary>⚙️ Advanced Options</summary>
         <div className="advanced-content">
-          <p><strong>Peak Prominence:</strong> 自動計算 = 光譜最高值 × 5%</p>
+          <p><strong>Peak Prominence:</strong> 自動計算 = 光譜最高值 × 5%，或最小 SNR × 雜訊</p>
           <p><strong>Secondary Peak Max Gap:</strong> 200 cm⁻¹</p>
           <p style={{ fontSize: '0.85em', color: '#888', marginTop: '10px' }}>
             ⓘ 進階參數保留預設值以提升穩定性
@@ -0,0 +1,128 @@
+/**
+ * PeakFittingPanel.jsx
+ *
+ * Band fitting over a wavenumber region
+ * - Profile shape (Gaussian / Lorentzian / pseudo-Voigt)
+ * - Region (empty = whole spectrum)
+ * - Fitted center, height, FWHM, area, mixing ratio ± standard error
+ */
+
+import React from 'react'
+import { useAppStore } from '../store/appStore'
+import { PROFILE_SHAPES, MAX_FIT_COMPONENTS } from '../lib/peakFitting'
+import './PeakFittingPanel.css'
+
+export default function PeakFittingPanel() {
+  const {
+    peaks,
+    fitParams,
+    fitResult,
+    updateFitParams,
+    fitPeaks,
+    clearFit,
+    pipeline,
+  } = useAppStore()
+
+  if (!peaks || peaks.length === 0) return null
+
+  const handleRegionChange = (key) => (e) => {
+    const value = parseFloat(e.target.value)
+    updateFitParams({ [key]: Number.isFinite(value) ? value : null })
+  }
+
+  return (
+    <div className="peak-fitting-panel">
+      <div className="parameter-header">
+        <h3>📐 Peak Fitting</h3>
+        <div className="fit-actions">
+          {fitResult && (
+            <button className="fit-clear-button" onClick={clearFit}>
+              清除擬合
+            </button>
+          )}
+          <button
+            className="fit-button"
+            onClick={fitPeaks}
+            disabled={pipeline.running}
+          >
+            Fit Peaks
+          </button>
+        </div>
+      </div>
+
+      <div className="fit-controls">
+        <label>
+          Profile
+          <select
+            value={fitParams.shape}
+            onChange={(e) => updateFitParams({ shape: e.target.value })}
+          >
+            {PROFILE_SHAPES.map(shape => (
+              <option key={shape.value} value={shape.value}>{shape.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Region (cm⁻¹)
+          <input
+            type="number"
+            placeholder="起點"
+            value={fitParams.regionMin ?? ''}
+            onChange={handleRegionChange('regionMin')}
+          />
+          <span className="fit-region-sep">–</span>
+          <input
+            type="number"
+            placeholder="終點"
+            value={fitParams.regionMax ?? ''}
+            onChange={handleRegionChange('regionMax')}
+          />
+        </label>
+      </div>
+      <p className="fit-hint">
+        以偵測到的峰為初值，對扣除基線後的吸光度做 Levenberg–Marquardt 擬合；區間內最多 {MAX_FIT_COMPONENTS} 個峰
+      </p>
+
+      {fitResult && (
+        <>
+          <div className="fit-summary">
+            <span>R² = {fitResult.rSquared.toFixed(5)}</span>
+            <span>RMSE = {fitResult.rmse.toExponential(2)}</span>
+            <span>{fitResult.iterations} iterations{fitResult.converged ? '' : '（未收斂）'}</span>
+          </div>
+          <div className="table-scroll">
+            <table className="fit-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Center (cm⁻¹)</th>
+                  <th>Height</th>
+                  <th>FWHM (cm⁻¹)</th>
+                  <th>Area</th>
+                  <th>η (Lorentz)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fitResult.components.map((c, idx) => (
+                  <tr key={idx}>
+                    <td>{idx + 1}</td>
+                    <td>{formatWithError(c.center, c.uncertainties.center, 2)}</td>
+                    <td>{formatWithError(c.height, c.uncertainties.height, 4)}</td>
+                    <td>{formatWithError(c.fwhm, c.uncertainties.fwhm, 2)}</td>
+                    <td>{formatWithError(c.area, c.uncertainties.area, 3)}</td>
+                    <td>{formatWithError(c.eta, c.uncertainties.eta, 2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function formatWithError(value, error, digits) {
+  if (error === null || error === undefined) return value.toFixed(digits)
+  return `${value.toFixed(digits)} ± ${error.toFixed(digits)}`
+}
@@ -63,7 +63,7 @@ export default function PeakReviewPanel() {
       <div className="peaks-list">
         {annotations.map((annotation, peakIdx) => {
           const candidates = annotation.topFiveCandidates || []
-          const status = peakAnnotations?.[peakIdx] || {}
+          const status = peakAnnotations?.[annotation.peakIndex] || {}
           const isExpanded = expandedPeaks[peakIdx]
           const isAnnotated = status.candidateIndex !== null
           const isSkipped = status.skipped
@@ -143,7 +143,7 @@ export default function PeakReviewPanel() {
                           <button
                             className="select-button"
                             onClick={() =>
-                              handleSelectCandidate(peakIdx, candIdx)
+                              handleSelectCandidate(annotation.peakIndex, candIdx)
                             }
                           >
                             {isAnnotated && status.candidateIndex === candIdx
@@ -161,7 +161,7 @@ export default function PeakReviewPanel() {
                   <div className="peak-actions">
                     <button
                       className="skip-button"
-                      onClick={() => handleSkip(peakIdx)}
+                      onClick={() => handleSkip(annotation.peakIndex)}
                     >
                       {isSkipped ? '✗ Not Annotated' : '✗ Don\'t Annotate'}
                     </button>
@@ -3,14 +3,17 @@
  * 
  * Progress indicator showing current workflow stage
  * Stages: Upload → Detect → Annotate → Review
+ * - Live worker progress with cancel
+ * - Per-stage timing vs. performance targets (PROJECT_CHECKLIST.md)
  */
 
 import React from 'react'
 import { useAppStore } from '../store/appStore'
+import { STAGE_LABELS } from '../lib/pipeline'
 import './ProgressBar.css'
 
 export default function ProgressBar() {
-  const { spectrum, peaks, annotations, ui } = useAppStore()
+  const { spectrum, peaks, annotations, pipeline, cancelPipeline } = useAppStore()
 
   // Determine current stage
   const stages = [
@@ -53,12 +56,37 @@ export default function ProgressBar() {
         ))}
       </div>
 
+      {pipeline.running && (
+        <div className="pipeline-progress">
+          <span className="pipeline-message">⏳ {pipeline.message}</span>
+          <div className="pipeline-track">
+            <div className="pipeline-fill" style={{ width: `${Math.round(pipeline.progress * 100)}%` }} />
+          </div>
+          <button className="pipeline-cancel" onClick={cancelPipeline}>
+            ✕ 取消
+          </button>
+        </div>
+      )}
+
       <div className="progress-status">
         {currentStage === 1 && <span>⏳ Waiting for spectrum upload...</span>}
         {currentStage === 2 && peaks && <span>✅ Loaded {peaks.length} peaks — Ready to annotate</span>}
         {currentStage === 3 && annotations && <span>✅ Annotated {annotations.length} peaks — Ready for review</span>}
         {currentStage === 4 && <span>✏️ Reviewing peaks...</span>}
       </div>
+
+      {Object.keys(pipeline.timings).length > 0 && (
+        <ul className="pipeline-timings">
+          {Object.values(pipeline.timings).map(timing => (
+            <li key={timing.stage} className={timing.withinTarget ? 'within-target' : 'over-target'}>
+              {STAGE_LABELS[timing.stage] || timing.stage}: {timing.ms} ms
+              <span className="timing-target">
+                （目標 &lt; {timing.target} ms {timing.withinTarget ? '✓' : `⚠️ 超出 ${(timing.ms - timing.target).toFixed(1)} ms`}）
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   )
 }
@@ -0,0 +1,80 @@
+/**
+ * ProjectControls.jsx
+ *
+ * Save / Open review sessions as .ftirproj project files
+ * - Save: spectra, metadata, parameters, peaks, annotations, review decisions
+ * - Open: migrates older project versions, warns on rules DB version mismatch
+ */
+
+import React, { useRef } from 'react'
+import { useAppStore } from '../store/appStore'
+import { serializeProject, readProjectFile, PROJECT_EXTENSION } from '../lib/projectFile'
+import './ProjectControls.css'
+
+export default function ProjectControls() {
+  const fileInputRef = useRef(null)
+  const spectrum = useAppStore(state => state.spectrum)
+  const loadProject = useAppStore(state => state.loadProject)
+  const setUIStatus = useAppStore(state => state.setUIStatus)
+
+  /**
+   * Download the current session as a project file
+   */
+  const handleSave = () => {
+    const text = serializeProject(useAppStore.getState())
+    const blob = new Blob([text], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+
+    const sample = (spectrum?.metadata?.sampleName || 'ftir-project')
+      .replace(/[\\/:*?"<>|]+/g, '')
+      .trim()
+      .replace(/\s+/g, '_')
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${sample}-${new Date().toISOString().slice(0, 10)}${PROJECT_EXTENSION}`
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+
+    setUIStatus('success', '✓ 專案已儲存')
+  }
+
+  /**
+   * Open a project file
+   */
+  const handleOpen = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = '' // Allow re-opening the same file
+    if (!file) return
+
+    try {
+      const { project, warnings } = await readProjectFile(file)
+      loadProject(project, file.name)
+      const warningText = warnings.length > 0 ? `（⚠️ ${warnings.join('；')}）` : ''
+      setUIStatus('success', `✓ 已開啟專案 ${file.name}${warningText}`)
+    } catch (error) {
+      console.error('Project open error:', error)
+      setUIStatus('error', `開啟專案失敗: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="project-controls">
+      <button className="project-btn" onClick={() => fileInputRef.current?.click()}>
+        📂 Open Project
+      </button>
+      <button className="project-btn" onClick={handleSave} disabled={!spectrum}>
+        💾 Save Project
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={`${PROJECT_EXTENSION},.json`}
+        onChange={handleOpen}
+        hidden
+      />
+    </div>
+  )
+}
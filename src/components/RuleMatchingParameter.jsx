@@ -16,6 +16,9 @@ export default function RuleMatchingParameter() {
     updateRuleMatchingParams,
     annotatePeaks,
     peaks,
+    annotations,
+    pendingRematch,
+    pipeline,
   } = useAppStore()
 
   const params = ruleMatchingParams || {}
@@ -42,9 +45,11 @@ export default function RuleMatchingParameter() {
         <button
           className="annotate-button"
           onClick={handleAnnotatePeaks}
-          disabled={!peaks || peaks.length === 0}
+          disabled={!peaks || peaks.length === 0 || pipeline.running}
         >
-          Annotate Peaks
+          {annotations && pendingRematch.length > 0
+            ? `Re-annotate ${pendingRematch.length} Edited`
+            : 'Annotate Peaks'}
         </button>
       </div>
 
@@ -0,0 +1,130 @@
+/**
+ * SessionRestore.jsx
+ *
+ * Crash recovery for autosaved sessions (IndexedDB)
+ * - Starts autosave of the store on mount
+ * - Offers "restore previous session" on startup
+ * - Lists stored sessions with timestamps; restore or delete each
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+import { useAppStore } from '../store/appStore'
+import {
+  isSessionStorageAvailable,
+  startSessionAutosave,
+  listSessions,
+  loadSession,
+  deleteSession
+} from '../lib/sessionStore'
+import './SessionRestore.css'
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString()
+}
+
+export default function SessionRestore() {
+  const autosaveRef = useRef(null)
+  const [sessions, setSessions] = useState([])
+  const [expanded, setExpanded] = useState(true)
+  const loadProject = useAppStore(state => state.loadProject)
+  const setUIStatus = useAppStore(state => state.setUIStatus)
+
+  /**
+   * Refresh the session list (the running session is not offered)
+   */
+  const refreshSessions = () => {
+    listSessions()
+      .then(stored => {
+        const currentId = autosaveRef.current?.getSessionId()
+        setSessions(stored.filter(session => session.id !== currentId))
+      })
+      .catch(error => console.warn('Session list failed:', error))
+  }
+
+  useEffect(() => {
+    if (!isSessionStorageAvailable()) return undefined
+
+    // Failed saves (quota, blocked database) are reported in the status bar
+    const autosave = startSessionAutosave(useAppStore, {
+      onError: error => useAppStore.getState().setUIStatus('error', error.message)
+    })
+    autosaveRef.current = autosave
+    listSessions()
+      .then(stored => setSessions(stored.filter(session => session.id !== autosave.getSessionId())))
+      .catch(error => console.warn('Session list failed:', error))
+
+    return () => autosave.stop()
+  }, [])
+
+  /**
+   * Restore a session and keep autosaving into it
+   * (loading starts a new session, so resume only afterwards)
+   */
+  const handleRestore = async (session) => {
+    try {
+      const { project, warnings, createdAt } = await loadSession(session.id)
+      loadProject(project, session.name)
+      autosaveRef.current?.resumeSession(session.id, createdAt)
+      setSessions(sessions.filter(s => s.id !== session.id))
+      setExpanded(false)
+      const warningText = warnings.length > 0 ? `（⚠️ ${warnings.join('；')}）` : ''
+      setUIStatus('success', `✓ 已還原 ${formatTimestamp(session.updatedAt)} 的工作階段${warningText}`)
+    } catch (error) {
+      console.error('Session restore error:', error)
+      setUIStatus('error', `還原工作階段失敗: ${error.message}`)
+    }
+  }
+
+  const handleDelete = async (session) => {
+    try {
+      await deleteSession(session.id)
+      setSessions(sessions.filter(s => s.id !== session.id))
+    } catch (error) {
+      setUIStatus('error', error.message)
+    }
+  }
+
+  if (sessions.length === 0) return null
+
+  if (!expanded) {
+    return (
+      <button className="session-toggle" onClick={() => { refreshSessions(); setExpanded(true) }}>
+        🕘 已儲存的工作階段 ({sessions.length})
+      </button>
+    )
+  }
+
+  return (
+    <div className="session-restore">
+      <div className="session-restore-header">
+        <h4>🕘 還原先前的工作階段？</h4>
+        <button className="session-dismiss" onClick={() => setExpanded(false)}>
+          稍後
+        </button>
+      </div>
+
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li key={session.id} className="session-item">
+            <div className="session-info">
+              <span className="session-name">{session.name || '未命名光譜'}</span>
+              <span className="session-meta">
+                {formatTimestamp(session.updatedAt)}
+                {' · '}{session.peakCount} 峰
+                {session.annotationCount > 0 && ` · 已審查 ${session.reviewedCount} / ${session.annotationCount}`}
+              </span>
+            </div>
+            <div className="session-actions">
+              <button className="session-restore-btn" onClick={() => handleRestore(session)}>
+                還原
+              </button>
+              <button className="session-delete-btn" onClick={() => handleDelete(session)} title="刪除此工作階段">
+                🗑️
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
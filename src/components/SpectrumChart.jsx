@@ -5,11 +5,24 @@
  * - Original spectrum curve
  * - Vertical peak markers with position labels
  * - Real-time updates from PeakReviewPanel
+ * - Sample / instrument metadata as chart title (kept in PNG exports)
+ * - Baseline overlay and anchor editing mode (click add, drag move, Shift/Alt-click remove)
+ * - Peak editing mode (click add, drag move, Shift/Alt-click delete)
+ * - Shaded spectral masks; mask drawing mode (drag to add an excluded window)
+ * - CO₂ / water vapor compensated spectrum overlaid on the original (before / after)
+ * - Unstable peaks from the sensitivity sweep drawn faded and flagged with ⚠
+ * - Fitted band components, fit sum and residual (absorbance, right axis)
  */
 
-import React, { useEffect, useRef } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import Plotly from 'plotly.js/lib/core'
 import { useAppStore } from '../store/appStore'
+import { formatMetadataTitle } from '../lib/spectrumMetadata'
+import { anchorBaseline } from '../lib/baselineCorrection'
+import { transmittanceToAbsorbance, toAbsorbance, findSaturatedRegions } from '../lib/peakDetector'
+import { maskedIntervals } from '../lib/spectralMasks'
+import { describeCompensation } from '../lib/atmosphericCompensation'
+import { isUnstablePeak } from '../lib/sensitivityAnalysis'
 import './SpectrumChart.css'
 
 // Register only scatter trace type to reduce bundle size
@@ -18,12 +31,30 @@ Plotly.register([Scatter])
 
 const CHART_ID = 'ftir-spectrum-chart'
 
+// Pointer distance (px) within which an anchor or peak marker is grabbed
+const ANCHOR_HIT_RADIUS = 10
+
 export default function SpectrumChart() {
   const chartRef = useRef(null)
   const spectrum = useAppStore(state => state.spectrum)
   const peaks = useAppStore(state => state.peaks)
   const annotations = useAppStore(state => state.annotations)
   const peakAnnotations = useAppStore(state => state.peakAnnotations)
+  const baseline = useAppStore(state => state.baseline)
+  const fitResult = useAppStore(state => state.fitResult)
+  const baselineMethod = useAppStore(state => state.peakDetectionParams.baselineMethod)
+  const anchors = useAppStore(state => state.peakDetectionParams.baselineParams?.anchors)
+  const masks = useAppStore(state => state.peakDetectionParams.masks)
+  const compensation = useAppStore(state => state.compensation)
+  const sensitivity = useAppStore(state => state.sensitivity)
+  const updatePeakDetectionParams = useAppStore(state => state.updatePeakDetectionParams)
+  const setBaselineAnchors = useAppStore(state => state.setBaselineAnchors)
+  const [editMode, setEditMode] = useState(null) // null | 'baseline' | 'peaks' | 'mask'
+  const [peakDrag, setPeakDrag] = useState(null) // {index, position} while dragging a peak marker
+  const [maskDrag, setMaskDrag] = useState(null) // [from, to] while drawing a mask
+  const editingBaseline = editMode === 'baseline'
+  const editingPeaks = editMode === 'peaks'
+  const drawingMask = editMode === 'mask'
 
   useEffect(() => {
     if (!spectrum || !spectrum.wavenumber) return
@@ -45,30 +76,80 @@ export default function SpectrumChart() {
       hovertemplate: '%{x:.1f} cm⁻¹<br>%{y:.2f}<extra></extra>'
     })
 
+    // 1a. After atmospheric compensation (the original above is the "before")
+    if (compensation && Object.values(compensation.scales || {}).some(scale => scale !== 0)) {
+      traces.push({
+        x: compensation.wavenumber,
+        y: compensation.absorbance.map(absorbanceToTransmittance),
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Compensated',
+        line: { color: '#2E7D32', width: 1 },
+        hovertemplate: `%{x:.1f} cm⁻¹<br>Compensated %{y:.2f}<br>${describeCompensation(compensation)}<extra></extra>`
+      })
+    }
+
+    // 1b. Baseline (absorbance → %T): live from the anchors, else from the last detection
+    const anchorCurve = baselineMethod === 'anchor' ? buildAnchorBaseline(wn, tm, anchors) : null
+    const shownBaseline = anchorCurve || (baseline && baseline.method !== 'none' ? baseline : null)
+    if (shownBaseline) {
+      traces.push({
+        x: shownBaseline.wavenumber,
+        y: shownBaseline.absorbance.map(absorbanceToTransmittance),
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Baseline',
+        line: { color: '#FF9800', width: 1, dash: 'dash' },
+        hovertemplate: '%{x:.1f} cm⁻¹<br>Baseline %{y:.2f}<extra></extra>'
+      })
+    }
+
+    // 1c. Anchor handles
+    if (baselineMethod === 'anchor' && anchors && anchors.length > 0) {
+      const points = anchorPoints(wn, tm, anchors)
+      traces.push({
+        x: points.map(p => p.wavenumber),
+        y: points.map(p => p.transmittance),
+        type: 'scatter',
+        mode: 'markers',
+        name: 'Anchors',
+        marker: {
+          color: '#fff',
+          size: editingBaseline ? 10 : 7,
+          line: { color: '#FF9800', width: 2 }
+        },
+        hovertemplate: 'Anchor %{x:.1f} cm⁻¹<extra></extra>'
+      })
+    }
+
     // 2. Peak markers (vertical lines via scatter)
     if (peaks && peaks.length > 0) {
       // Find y-range for vertical lines
       const yMin = Math.min(...tm)
       const yMax = Math.max(...tm)
+      const annotationByPeak = annotationsByPeakIndex(annotations)
 
       peaks.forEach((peak, idx) => {
+        const position = peakDrag && peakDrag.index === idx ? peakDrag.position : peak.position
+
         // Determine annotation label
         let label = `${peak.position.toFixed(0)}`
         let lineColor = '#999'
 
+        const annotation = annotationByPeak.get(idx)
         const reviewStatus = peakAnnotations?.[idx]
-        if (reviewStatus && reviewStatus.candidateIndex !== null && annotations?.[idx]) {
+        if (reviewStatus && reviewStatus.candidateIndex !== null && annotation) {
           // Annotated: show vibration mode name
-          const cand = annotations[idx].topFiveCandidates?.[reviewStatus.candidateIndex]
+          const cand = annotation.topFiveCandidates?.[reviewStatus.candidateIndex]
           if (cand) {
             label = `${peak.position.toFixed(0)}\n${cand.vibrationMode}`
             lineColor = '#4CAF50'
           }
         } else if (reviewStatus && reviewStatus.skipped) {
           lineColor = '#f44336'
-        } else if (annotations?.[idx]) {
+        } else if (annotation) {
           // Default: show top candidate
-          const topCand = annotations[idx].topFiveCandidates?.[0]
+          const topCand = annotation.topFiveCandidates?.[0]
           if (topCand) {
             label = `${peak.position.toFixed(0)}\n${topCand.vibrationMode}`
             lineColor = '#FF9800'
@@ -77,19 +158,32 @@ export default function SpectrumChart() {
 
         // Vertical line as a trace with 2 points
         traces.push({
-          x: [peak.position, peak.position],
+          x: [position, position],
           y: [yMin, peak.intensity !== undefined ? (tm[peak.index] || yMax) : yMax],
           type: 'scatter',
           mode: 'lines',
-          line: { color: lineColor, width: 1, dash: 'dot' },
+          // Sub-peaks and shoulders get distinct dashes, manual edits a solid line
+          line: {
+            color: lineColor,
+            width: editingPeaks || peak.manual ? 2 : 1,
+            dash: peak.manual ? 'solid' : peak.subPeak ? 'dashdot' : peak.type === 'shoulder' ? 'dash' : 'dot'
+          },
+          opacity: isUnstablePeak(peak, sensitivity) ? 0.35 : 1,
           showlegend: false,
           hoverinfo: 'skip'
         })
       })
     }
 
+    // 3. Band fit (absorbance on the right axis)
+    if (fitResult) {
+      traces.push(...buildFitTraces(fitResult))
+    }
+
     // --- Layout ---
+    const title = formatMetadataTitle(spectrum.metadata)
     const layout = {
+      title: title ? { text: title, font: { size: 14 } } : undefined,
       xaxis: {
         title: 'Wavenumber (cm⁻¹)',
         autorange: 'reversed', // FTIR convention: high → low
@@ -101,15 +195,28 @@ export default function SpectrumChart() {
         gridcolor: '#f0f0f0',
         zeroline: false
       },
-      margin: { t: 30, r: 30, b: 60, l: 60 },
+      yaxis2: fitResult ? {
+        title: 'Absorbance (fit)',
+        overlaying: 'y',
+        side: 'right',
+        showgrid: false,
+        zeroline: true,
+        zerolinecolor: '#eee'
+      } : undefined,
+      margin: { t: title ? 50 : 30, r: fitResult ? 60 : 30, b: 60, l: 60 },
       hovermode: 'closest',
-      dragmode: 'zoom',
+      // Pointer belongs to the anchor / peak / mask editor while editing
+      dragmode: editingBaseline || editingPeaks || drawingMask ? false : 'zoom',
+      // Saturated and masked windows shaded behind the spectrum
+      shapes: [...buildSaturationShapes(spectrum), ...buildMaskShapes(masks, wn, maskDrag)],
+      // Keep the zoom while peaks / anchors update; reset it for a new spectrum
+      uirevision: `${spectrum.name}-${wn.length}`,
       plot_bgcolor: '#fff',
       paper_bgcolor: '#f9f9f9',
       font: { family: '-apple-system, BlinkMacSystemFont, Segoe UI, sans-serif', size: 12 },
       showlegend: false,
       // Peak annotations as text labels
-      annotations: buildPeakAnnotations(peaks, annotations, peakAnnotations, tm)
+      annotations: buildPeakAnnotations(peaks, annotations, peakAnnotations, tm, sensitivity)
     }
 
     const config = {
@@ -128,13 +235,198 @@ export default function SpectrumChart() {
 
     // Render
     Plotly.react(CHART_ID, traces, layout, config)
+  }, [spectrum, peaks, annotations, peakAnnotations, baseline, baselineMethod, anchors, masks, compensation, sensitivity, editingBaseline, editingPeaks, drawingMask, peakDrag, maskDrag, fitResult])
 
+  useEffect(() => {
     return () => {
       if (document.getElementById(CHART_ID)) {
         Plotly.purge(CHART_ID)
       }
     }
-  }, [spectrum, peaks, annotations, peakAnnotations])
+  }, [spectrum])
+
+  // Anchor editing: click adds, drag moves, modifier-click removes
+  useEffect(() => {
+    const gd = chartRef.current
+    if (!editingBaseline || !gd) return
+
+    let dragIndex = null
+    let frame = null
+
+    const currentAnchors = () =>
+      useAppStore.getState().peakDetectionParams.baselineParams?.anchors || []
+
+    const handleMouseMove = (e) => {
+      if (dragIndex === null) return
+      const point = eventToAnchor(gd, e, true)
+      if (!point) return
+      cancelAnimationFrame(frame)
+      frame = requestAnimationFrame(() => {
+        useAppStore.getState().moveBaselineAnchor(dragIndex, point)
+      })
+    }
+
+    const handleMouseUp = () => {
+      dragIndex = null
+      window.removeEventListener('mousemove', handleMouseMove)
+      window.removeEventListener('mouseup', handleMouseUp)
+    }
+
+    const handleMouseDown = (e) => {
+      if (e.button !== 0) return
+      const point = eventToAnchor(gd, e)
+      if (!point) return
+
+      // Keep Plotly from treating the click as zoom / double-click reset
+      e.preventDefault()
+      e.stopPropagation()
+
+      const store = useAppStore.getState()
+      const hit = findAnchorAt(gd, e, currentAnchors(), spectrum)
+
+      if (e.shiftKey || e.altKey || e.ctrlKey || e.metaKey) {
+        if (hit !== null) store.removeBaselineAnchor(hit)
+        return
+      }
+
+      if (hit !== null) {
+        dragIndex = hit
+        window.addEventListener('mousemove', handleMouseMove)
+        window.addEventListener('mouseup', handleMouseUp)
+        return
+      }
+
+      store.addBaselineAnchor(point)
+    }
+
+    gd.addEventListener('mousedown', handleMouseDown, true)
+    return () => {
+      cancelAnimationFrame(frame)
+      gd.removeEventListener('mousedown', handleMouseDown, true)
+      handleMouseUp()
+    }
+  }, [editingBaseline, spectrum])
+
+  // Peak editing: click adds (snapped to a local maximum), drag moves, modifier-click deletes
+  useEffect(() => {
+    const gd = chartRef.current
+    if (!editingPeaks || !gd) return
+
+    let drag = null // {index, startX}
+
+    const handleMouseMove = (e) => {
+      if (!drag) return
+      const point = eventToData(gd, e, true)
+      if (point) setPeakDrag({ index: drag.index, position: point.wavenumber })
+    }
+
+    const handleMouseUp = (e) => {
+      window.removeEventListener('mousemove', handleMouseMove)
+      window.removeEventListener('mouseup', handleMouseUp)
+      if (!drag) return
+
+      const { index, startX } = drag
+      drag = null
+      setPeakDrag(null)
+
+      // A click on a marker without moving is not a nudge
+      if (!e || Math.abs(e.clientX - startX) < 3) return
+      const point = eventToData(gd, e, true)
+      if (point) useAppStore.getState().movePeak(index, parseFloat(point.wavenumber.toFixed(2)))
+    }
+
+    const handleMouseDown = (e) => {
+      if (e.button !== 0) return
+      const point = eventToData(gd, e)
+      if (!point) return
+
+      e.preventDefault()
+      e.stopPropagation()
+
+      const store = useAppStore.getState()
+      const hit = findPeakAt(gd, e, store.peaks || [])
+
+      if (e.shiftKey || e.altKey || e.ctrlKey || e.metaKey) {
+        if (hit !== null) store.deletePeak(hit)
+        return
+      }
+
+      if (hit !== null) {
+        drag = { index: hit, startX: e.clientX }
+        window.addEventListener('mousemove', handleMouseMove)
+        window.addEventListener('mouseup', handleMouseUp)
+        return
+      }
+
+      store.addPeak(point.wavenumber)
+    }
+
+    gd.addEventListener('mousedown', handleMouseDown, true)
+    return () => {
+      gd.removeEventListener('mousedown', handleMouseDown, true)
+      window.removeEventListener('mousemove', handleMouseMove)
+      window.removeEventListener('mouseup', handleMouseUp)
+    }
+  }, [editingPeaks, spectrum])
+
+  // Mask drawing: drag across a window to exclude it from detection
+  useEffect(() => {
+    const gd = chartRef.current
+    if (!drawingMask || !gd) return
+
+    let start = null // {wavenumber, clientX}
+
+    const handleMouseMove = (e) => {
+      if (!start) return
+      const point = eventToData(gd, e, true)
+      if (point) setMaskDrag([start.wavenumber, point.wavenumber])
+    }
+
+    const handleMouseUp = (e) => {
+      window.removeEventListener('mousemove', handleMouseMove)
+      window.removeEventListener('mouseup', handleMouseUp)
+      if (!start) return
+
+      const from = start
+      start = null
+      setMaskDrag(null)
+
+      // A plain click draws nothing
+      if (!e || Math.abs(e.clientX - from.clientX) < 3) return
+      const point = eventToData(gd, e, true)
+      if (!point) return
+      useAppStore.getState().addMask({
+        ranges: [[Math.round(from.wavenumber), Math.round(point.wavenumber)]]
+      })
+    }
+
+    const handleMouseDown = (e) => {
+      if (e.button !== 0) return
+      const point = eventToData(gd, e)
+      if (!point) return
+
+      e.preventDefault()
+      e.stopPropagation()
+
+      start = { wavenumber: point.wavenumber, clientX: e.clientX }
+      window.addEventListener('mousemove', handleMouseMove)
+      window.addEventListener('mouseup', handleMouseUp)
+    }
+
+    gd.addEventListener('mousedown', handleMouseDown, true)
+    return () => {
+      gd.removeEventListener('mousedown', handleMouseDown, true)
+      window.removeEventListener('mousemove', handleMouseMove)
+      window.removeEventListener('mouseup', handleMouseUp)
+    }
+  }, [drawingMask, spectrum])
+
+  const handleToggleEditing = () => {
+    if (!editingBaseline && baselineMethod !== 'anchor') {
+      updatePeakDetectionParams({ baselineMethod: 'anchor' })
+    }
+    setEditMode(editingBaseline ? null : 'baseline')
+  }
 
   if (!spectrum) {
     return (
@@ -146,41 +438,337 @@ export default function SpectrumChart() {
 
   return (
     <div className="spectrum-chart-wrapper">
-      <h3>📊 Spectrum Chart</h3>
-      <div id={CHART_ID} ref={chartRef} className="spectrum-chart" />
+      <div className="chart-header">
+        <h3>📊 Spectrum Chart</h3>
+        <div className="baseline-edit-controls">
+          {editingBaseline && (
+            <span className="baseline-edit-hint">
+              點擊新增錨點・拖曳移動・Shift / Alt + 點擊刪除
+            </span>
+          )}
+          {editingPeaks && (
+            <span className="baseline-edit-hint">
+              點擊新增峰（吸附至局部最大）・拖曳微調・Shift / Alt + 點擊刪除
+            </span>
+          )}
+          {drawingMask && (
+            <span className="baseline-edit-hint">
+              拖曳選取要排除的波數範圍，Detect Peaks 時忽略
+            </span>
+          )}
+          <button
+            className={`baseline-edit-button ${drawingMask ? 'active' : ''}`}
+            onClick={() => setEditMode(drawingMask ? null : 'mask')}
+            title="在圖上畫出排除偵測的波數範圍"
+          >
+            {drawingMask ? '✓ 完成遮罩' : '▭ 畫遮罩'}
+          </button>
+          {peaks && (
+            <button
+              className={`baseline-edit-button ${editingPeaks ? 'active' : ''}`}
+              onClick={() => setEditMode(editingPeaks ? null : 'peaks')}
+              title="手動新增、刪除或移動峰；Annotate 時只重新匹配改動的峰"
+            >
+              {editingPeaks ? '✓ 完成峰編輯' : '✎ 編輯峰'}
+            </button>
+          )}
+          {editingBaseline && anchors && anchors.length > 0 && (
+            <button className="baseline-edit-button" onClick={() => setBaselineAnchors([])}>
+              清除錨點
+            </button>
+          )}
+          <button
+            className={`baseline-edit-button ${editingBaseline ? 'active' : ''}`}
+            onClick={handleToggleEditing}
+            title="手動放置基線錨點，Detect Peaks 時使用"
+          >
+            {editingBaseline ? '✓ 完成基線編輯' : '✎ 編輯基線錨點'}
+          </button>
+        </div>
+      </div>
+      <div
+        id={CHART_ID}
+        ref={chartRef}
+        className={`spectrum-chart ${editMode ? 'editing-baseline' : ''}`}
+      />
     </div>
   )
 }
 
+/**
+ * Red bands where the measured absorbance reaches the saturation limit
+ * (from the loaded representation, so absorbance files are not capped by %T)
+ *
+ * @param {object} spectrum
+ * @returns {object[]} Plotly layout shapes
+ */
+function buildSaturationShapes(spectrum) {
+  const measured = spectrum.yAxisUnit === 'absorbance' && spectrum.absorbance
+    ? spectrum.absorbance
+    : toAbsorbance(spectrum.transmittance)
+
+  return findSaturatedRegions(spectrum.wavenumber, measured).map(([from, to]) => ({
+    type: 'rect',
+    xref: 'x',
+    yref: 'paper',
+    // Single saturated points still get a visible band
+    x0: Math.min(from, to) - 1,
+    x1: Math.max(from, to) + 1,
+    y0: 0,
+    y1: 1,
+    fillcolor: 'rgba(244, 67, 54, 0.12)',
+    line: { width: 0 },
+    layer: 'below'
+  }))
+}
+
+/**
+ * Shaded rectangles for masked-out windows (plus the mask being drawn)
+ *
+ * @param {object[]} masks - From peakDetectionParams.masks
+ * @param {number[]} wn - Spectrum wavenumber
+ * @param {number[]|null} drawing - [from, to] while dragging
+ * @returns {object[]} Plotly layout shapes
+ */
+function buildMaskShapes(masks, wn, drawing) {
+  const intervals = maskedIntervals(masks || [], wn[0], wn[wn.length - 1])
+  const shape = (lo, hi, fillcolor) => ({
+    type: 'rect',
+    xref: 'x',
+    yref: 'paper',
+    x0: lo,
+    x1: hi,
+    y0: 0,
+    y1: 1,
+    fillcolor,
+    line: { width: 0 },
+    layer: 'below'
+  })
+
+  const shapes = intervals.map(([lo, hi]) => shape(lo, hi, 'rgba(120, 120, 120, 0.15)'))
+  if (drawing) {
+    shapes.push(shape(Math.min(...drawing), Math.max(...drawing), 'rgba(255, 152, 0, 0.2)'))
+  }
+  return shapes
+}
+
+/**
+ * Fit component curves, their sum and the residual on the secondary y-axis
+ *
+ * @param {object} fitResult - From peakFitting.fitPeaks
+ * @returns {object[]} Plotly traces
+ */
+function buildFitTraces(fitResult) {
+  const x = fitResult.wavenumber
+  const traces = fitResult.components.map((component, idx) => ({
+    x,
+    y: component.curve,
+    yaxis: 'y2',
+    type: 'scatter',
+    mode: 'lines',
+    name: `Band ${idx + 1}`,
+    line: { color: '#9575CD', width: 1 },
+    fill: 'tozeroy',
+    fillcolor: 'rgba(149, 117, 205, 0.12)',
+    hovertemplate: `Band ${idx + 1}: ${component.center.toFixed(1)} cm⁻¹<extra></extra>`
+  }))
+
+  traces.push({
+    x,
+    y: fitResult.fitted,
+    yaxis: 'y2',
+    type: 'scatter',
+    mode: 'lines',
+    name: 'Fit',
+    line: { color: '#4527A0', width: 1.5, dash: 'dash' },
+    hovertemplate: '%{x:.1f} cm⁻¹<br>Fit %{y:.4f}<extra></extra>'
+  })
+
+  traces.push({
+    x,
+    y: fitResult.residual,
+    yaxis: 'y2',
+    type: 'scatter',
+    mode: 'lines',
+    name: 'Residual',
+    line: { color: '#9E9E9E', width: 1 },
+    hovertemplate: '%{x:.1f} cm⁻¹<br>Residual %{y:.4f}<extra></extra>'
+  })
+
+  return traces
+}
+
+function absorbanceToTransmittance(a) {
+  return 100 * Math.pow(10, -a)
+}
+
+/**
+ * Live anchor baseline on the spectrum grid (null until two anchors are placed)
+ *
+ * @param {number[]} wn - Ascending wavenumber
+ * @param {number[]} tm - Transmittance (%)
+ * @param {Array} anchors - Numbers or {wavenumber, value} (absorbance)
+ * @returns {{wavenumber: number[], absorbance: number[]}|null}
+ */
+function buildAnchorBaseline(wn, tm, anchors) {
+  if (!anchors || anchors.length < 2) return null
+  try {
+    return { wavenumber: wn, absorbance: anchorBaseline(wn, transmittanceToAbsorbance(tm), anchors) }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Anchor handle positions in chart units; plain-number anchors sit on the spectrum
+ *
+ * @returns {{wavenumber: number, transmittance: number}[]}
+ */
+function anchorPoints(wn, tm, anchors) {
+  return anchors.map(anchor => {
+    if (typeof anchor === 'object') {
+      return { wavenumber: anchor.wavenumber, transmittance: absorbanceToTransmittance(anchor.value) }
+    }
+    let idx = 0
+    while (idx < wn.length - 1 && wn[idx + 1] <= anchor) idx++
+    return { wavenumber: anchor, transmittance: tm[idx] }
+  })
+}
+
+/**
+ * Convert a mouse event to chart coordinates
+ *
+ * @param {HTMLElement} gd - Plotly graph div
+ * @param {MouseEvent} e
+ * @param {boolean} clamp - Clamp to the plot area instead of rejecting outside points (dragging)
+ * @returns {{wavenumber: number, transmittance: number}|null}
+ */
+function eventToData(gd, e, clamp = false) {
+  const fullLayout = gd._fullLayout
+  if (!fullLayout || !fullLayout.xaxis) return null
+
+  const size = fullLayout._size
+  const rect = gd.getBoundingClientRect()
+  let px = e.clientX - rect.left - size.l
+  let py = e.clientY - rect.top - size.t
+
+  if (clamp) {
+    px = Math.max(0, Math.min(px, size.w))
+    py = Math.max(0, Math.min(py, size.h))
+  } else if (px < 0 || px > size.w || py < 0 || py > size.h) {
+    return null
+  }
+
+  return {
+    wavenumber: fullLayout.xaxis.p2l(px),
+    transmittance: fullLayout.yaxis.p2l(py)
+  }
+}
+
+/**
+ * Convert a mouse event to an anchor ({wavenumber, value} in absorbance)
+ *
+ * @returns {{wavenumber: number, value: number}|null}
+ */
+function eventToAnchor(gd, e, clamp = false) {
+  const point = eventToData(gd, e, clamp)
+  if (!point) return null
+
+  const transmittance = Math.max(0.1, point.transmittance)
+  return {
+    wavenumber: parseFloat(point.wavenumber.toFixed(1)),
+    value: parseFloat(Math.log10(100 / transmittance).toFixed(5))
+  }
+}
+
+/**
+ * Index of the peak marker (vertical line) under the pointer, or null
+ */
+function findPeakAt(gd, e, peaks) {
+  const fullLayout = gd._fullLayout
+  const rect = gd.getBoundingClientRect()
+  const px = e.clientX - rect.left - fullLayout._size.l
+
+  let best = null
+  let bestDistance = ANCHOR_HIT_RADIUS
+  peaks.forEach((peak, idx) => {
+    const distance = Math.abs(fullLayout.xaxis.l2p(peak.position) - px)
+    if (distance <= bestDistance) {
+      best = idx
+      bestDistance = distance
+    }
+  })
+  return best
+}
+
+/**
+ * Index of the anchor handle under the pointer, or null
+ */
+function findAnchorAt(gd, e, anchors, spectrum) {
+  const fullLayout = gd._fullLayout
+  const size = fullLayout._size
+  const rect = gd.getBoundingClientRect()
+  const px = e.clientX - rect.left - size.l
+  const py = e.clientY - rect.top - size.t
+
+  let best = null
+  let bestDistance = ANCHOR_HIT_RADIUS
+  anchorPoints(spectrum.wavenumber, spectrum.transmittance, anchors).forEach((point, idx) => {
+    const dx = fullLayout.xaxis.l2p(point.wavenumber) - px
+    const dy = fullLayout.yaxis.l2p(point.transmittance) - py
+    const distance = Math.sqrt(dx * dx + dy * dy)
+    if (distance <= bestDistance) {
+      best = idx
+      bestDistance = distance
+    }
+  })
+  return best
+}
+
+/**
+ * Annotations by the index of their peak (peaks without candidates have none)
+ */
+function annotationsByPeakIndex(annotations) {
+  return new Map((annotations || []).map(ann => [ann.peakIndex, ann]))
+}
+
 /**
  * Build Plotly annotation objects for peak labels
  */
-function buildPeakAnnotations(peaks, annotations, peakAnnotations, yData) {
+function buildPeakAnnotations(peaks, annotations, peakAnnotations, yData, sensitivity = null) {
   if (!peaks || peaks.length === 0) return []
 
   const yMin = Math.min(...yData)
+  const annotationByPeak = annotationsByPeakIndex(annotations)
 
   return peaks.map((peak, idx) => {
-    let text = `${peak.position.toFixed(0)}`
+    // Shoulders are labelled "1735 sh", as in band tables
+    const label = `${peak.position.toFixed(0)}${peak.type === 'shoulder' ? ' sh' : ''}`
+    let text = label
     let fontColor = '#999'
 
+    const annotation = annotationByPeak.get(idx)
     const reviewStatus = peakAnnotations?.[idx]
-    if (reviewStatus && reviewStatus.candidateIndex !== null && annotations?.[idx]) {
-      const cand = annotations[idx].topFiveCandidates?.[reviewStatus.candidateIndex]
+    if (reviewStatus && reviewStatus.candidateIndex !== null && annotation) {
+      const cand = annotation.topFiveCandidates?.[reviewStatus.candidateIndex]
       if (cand) {
-        text = `${peak.position.toFixed(0)}<br><i>${cand.vibrationMode}</i>`
+        text = `${label}<br><i>${cand.vibrationMode}</i>`
         fontColor = '#4CAF50'
       }
     } else if (reviewStatus && reviewStatus.skipped) {
       fontColor = '#f44336'
-    } else if (annotations?.[idx]) {
-      const topCand = annotations[idx].topFiveCandidates?.[0]
+    } else if (annotation) {
+      const topCand = annotation.topFiveCandidates?.[0]
       if (topCand) {
-        text = `${peak.position.toFixed(0)}<br><i>${topCand.vibrationMode}</i>`
+        text = `${label}<br><i>${topCand.vibrationMode}</i>`
         fontColor = '#FF9800'
       }
     }
 
+    if (isUnstablePeak(peak, sensitivity)) {
+      text = `⚠ ${text}`
+    }
+
     return {
       x: peak.position,
       y: yMin,
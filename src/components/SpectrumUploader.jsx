@@ -1,15 +1,25 @@
 import { useState, useCallback } from 'react'
 import { useDropzone } from 'react-dropzone'
 import { useAppStore } from '@/store/appStore'
-import { parseCSVFile, cleanSpectrum } from '@/lib/csvParser'
+import { readSpectrumFile } from '@/lib/spectrumFile'
+import { isCancelledError } from '@/lib/pipelineClient'
+import { X_AXIS_UNITS } from '@/lib/unitConverter'
+import ColumnMappingStep from './ColumnMappingStep'
+import ImportDiagnostics from './ImportDiagnostics'
+import MetadataEditor from './MetadataEditor'
 import './SpectrumUploader.css'
 
 /**
  * SpectrumUploader Component
  * 
  * Features:
- * - Drag-and-drop CSV upload
+ * - Drag-and-drop CSV / JCAMP-DX / SPC upload
+ * - Column mapping for multi-column CSV
+ * - X-axis unit detection (cm⁻¹ / µm / nm) with manual override
+ * - Import diagnostics (parse report) with reject option
+ * - Editable sample / instrument metadata
  * - File validation
+ * - Parsing in the pipeline Web Worker (cancellable from ProgressBar)
  * - Spectrum preview
  * - Error handling
  * - Integration with Zustand store
@@ -17,13 +27,52 @@ import './SpectrumUploader.css'
 function SpectrumUploader() {
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
-  const [preview, setPreview] = useState(null)
+  const [pendingImport, setPendingImport] = useState(null) // {source, table, mapping}
+  const [loadedImport, setLoadedImport] = useState(null) // {source, options} for re-parsing
+  const [xUnitOverride, setXUnitOverride] = useState('auto')
 
   // Zustand store
   const spectrum = useAppStore(state => state.spectrum)
-  const setSpectrum = useAppStore(state => state.setSpectrum)
+  const spectra = useAppStore(state => state.spectra)
+  const spectraSource = useAppStore(state => state.spectraSource)
+  const activeSpectrumIndex = useAppStore(state => state.activeSpectrumIndex)
+  const setSpectra = useAppStore(state => state.setSpectra)
+  const setActiveSpectrum = useAppStore(state => state.setActiveSpectrum)
+  const updateSpectrumMetadata = useAppStore(state => state.updateSpectrumMetadata)
   const clearSpectrum = useAppStore(state => state.clearSpectrum)
   const setUIStatus = useAppStore(state => state.setUIStatus)
+  const runPipelineStage = useAppStore(state => state.runPipelineStage)
+
+  /**
+   * Parse a source with the given column mapping and store the result
+   * `keepMetadata` carries user-edited metadata over a re-parse
+   */
+  const loadSpectra = useCallback(async (source, options = {}, keepMetadata = null) => {
+    const parseOptions = { xUnit: xUnitOverride, ...options }
+
+    // Parse + clean spectra (remove duplicates, sort) in the worker
+    const fileStem = (source.fileName || '').replace(/\.[^.]+$/, '')
+    const parsedSpectra = (await runPipelineStage('parse', { source, options: parseOptions }))
+      .map((s, idx, all) => {
+        if (keepMetadata?.[idx]) return { ...s, metadata: keepMetadata[idx] }
+        if (s.metadata.sampleName) return s
+        // No sample name in the file: column / subfile name, else the file name
+        const sampleName = (all.length > 1 && s.name) || fileStem
+        return { ...s, metadata: { ...s.metadata, sampleName } }
+      })
+
+    // Store in Zustand
+    setSpectra(parsedSpectra, { type: 'file', fileName: source.fileName, fileSize: source.fileSize })
+    setLoadedImport({ source, options: parseOptions })
+
+    // Success status
+    const first = parsedSpectra[0]
+    const unitText = first.yAxisUnit === 'transmittance' ? 'Transmittance' : 'Absorbance'
+    const countText = parsedSpectra.length > 1 ? `，共 ${parsedSpectra.length} 條光譜` : ''
+    const skipped = first.parseReport?.skippedRows?.length || 0
+    const skippedText = skipped > 0 ? `，跳過 ${skipped} 行，詳見 Import diagnostics` : ''
+    setUIStatus('success', `✓ 成功載入 ${first.dataPoints} 個數據點（偵測 Y 軸: ${unitText}${countText}${skippedText}）`)
+  }, [runPipelineStage, setSpectra, setUIStatus, xUnitOverride])
 
   /**
    * Handle file upload
@@ -31,43 +80,79 @@ function SpectrumUploader() {
   const handleFileUpload = useCallback(async (file) => {
     setIsLoading(true)
     setError(null)
+    setPendingImport(null)
 
     try {
       // Show loading status
       setUIStatus('loading', '正在解析光譜...')
 
-      // Parse CSV
-      let parsedSpectrum = await parseCSVFile(file)
+      // Read CSV, JCAMP-DX or SPC
+      const source = {
+        ...await readSpectrumFile(file),
+        fileName: file.name,
+        fileSize: (file.size / 1024).toFixed(2)
+      }
 
-      // Clean spectrum (remove duplicates, sort)
-      parsedSpectrum = cleanSpectrum(parsedSpectrum)
+      // Multi-column CSV: let the user map columns before anything reaches the store
+      if (source.format === 'csv') {
+        const table = await runPipelineStage('inspect', { text: source.text })
+        if (table.numericColumns.length > 2) {
+          const [xColumn, ...yColumns] = table.numericColumns
+          setPendingImport({
+            source,
+            table,
+            mapping: { xColumn, yColumns, yUnits: {}, xUnit: xUnitOverride }
+          })
+          setUIStatus('idle', '')
+          return
+        }
+      }
 
-      // Store in Zustand
-      setSpectrum(parsedSpectrum)
+      await loadSpectra(source)
+    } catch (err) {
+      if (isCancelledError(err)) return
+      console.error('Upload error:', err)
+      setError(err.message || '檔案解析失敗，請檢查 CSV 格式')
+      setUIStatus('error', `上傳失敗: ${err.message}`)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [loadSpectra, runPipelineStage, setUIStatus, xUnitOverride])
 
-      // Show preview
-      setPreview({
-        fileName: file.name,
-        fileSize: (file.size / 1024).toFixed(2),
-        dataPoints: parsedSpectrum.dataPoints,
-        wavenumberRange: parsedSpectrum.wavenumberRange,
-        transmittanceRange: parsedSpectrum.transmittanceRange,
-        yAxisUnit: parsedSpectrum.yAxisUnit
-      })
+  /**
+   * Change X-axis unit; re-parse the loaded file when there is one
+   */
+  const handleXUnitChange = async (unit) => {
+    setXUnitOverride(unit)
+    if (!loadedImport || spectraSource?.type !== 'file') return
 
-      // Success status
-      const unitText = parsedSpectrum.yAxisUnit === 'transmittance' ? 'Transmittance' : 'Absorbance'
-      setUIStatus('success', `✓ 成功載入 ${parsedSpectrum.dataPoints} 個數據點（偵測 Y 軸: ${unitText}）`)
+    try {
+      await loadSpectra(loadedImport.source, { ...loadedImport.options, xUnit: unit }, spectra.map(s => s.metadata))
+    } catch (err) {
+      if (isCancelledError(err)) return
+      console.error('Re-parse error:', err)
+      setUIStatus('error', `X 軸單位轉換失敗: ${err.message}`)
+    }
+  }
 
-      console.log('Spectrum loaded:', parsedSpectrum)
+  /**
+   * Confirm column mapping
+   */
+  const handleMappingConfirm = async () => {
+    setIsLoading(true)
+    try {
+      await loadSpectra(pendingImport.source, pendingImport.mapping)
+      setPendingImport(null)
     } catch (err) {
+      if (isCancelledError(err)) return
       console.error('Upload error:', err)
+      setPendingImport(null)
       setError(err.message || '檔案解析失敗，請檢查 CSV 格式')
       setUIStatus('error', `上傳失敗: ${err.message}`)
     } finally {
       setIsLoading(false)
     }
-  }, [setSpectrum, setUIStatus])
+  }
 
   /**
    * Handle file drop
@@ -101,7 +186,9 @@ function SpectrumUploader() {
     onDrop,
     accept: {
       'text/csv': ['.csv'],
-      'text/plain': ['.txt']
+      'text/plain': ['.txt'],
+      'chemical/x-jcamp-dx': ['.jdx', '.dx', '.jcamp'],
+      'application/x-spc': ['.spc']
     },
     maxFiles: 1,
     disabled: isLoading
@@ -112,15 +199,34 @@ function SpectrumUploader() {
    */
   const handleClear = () => {
     clearSpectrum()
-    setPreview(null)
+    setPendingImport(null)
+    setLoadedImport(null)
     setError(null)
     setUIStatus('idle', '')
   }
 
+  /**
+   * Reject the import from the diagnostics panel
+   */
+  const handleReject = () => {
+    handleClear()
+    setUIStatus('idle', '已拒絕匯入，請修正檔案後重新上傳')
+  }
+
   return (
     <div className="spectrum-uploader">
       {/* Upload Zone */}
-      {!spectrum ? (
+      {!spectrum && pendingImport ? (
+        <ColumnMappingStep
+          fileName={pendingImport.source.fileName}
+          table={pendingImport.table}
+          mapping={pendingImport.mapping}
+          busy={isLoading}
+          onChange={(mapping) => setPendingImport({ ...pendingImport, mapping })}
+          onConfirm={handleMappingConfirm}
+          onCancel={handleClear}
+        />
+      ) : !spectrum ? (
         <>
           {/* Dropzone */}
           <div
@@ -131,9 +237,9 @@ function SpectrumUploader() {
 
             <div className="dropzone-content">
               <div className="dropzone-icon">📁</div>
-              <p className="dropzone-title">拖拽 CSV 文件或點擊上傳</p>
+              <p className="dropzone-title">拖拽 CSV / JCAMP-DX / SPC 文件或點擊上傳</p>
               <p className="dropzone-subtitle">
-                {isDragActive ? '鬆開滑鼠開始上傳' : '支援格式: CSV, TXT'}
+                {isDragActive ? '鬆開滑鼠開始上傳' : '支援格式: CSV, TXT, JDX, DX, SPC'}
               </p>
               {isLoading && <div className="spinner"></div>}
             </div>
@@ -145,11 +251,19 @@ function SpectrumUploader() {
             <ul>
               <li>第 1 列: Wavenumber (cm⁻¹)</li>
               <li>第 2 列: Transmittance (%)</li>
+              <li>多個 Y 欄位: 上傳後可選擇 X / Y 欄位與單位</li>
               <li>至少 10 個數據點</li>
-              <li>波數範圍: 100-5000 cm⁻¹</li>
+              <li>X 軸: cm⁻¹、µm 或 nm（自動偵測，波長會轉換為波數）</li>
               <li>傳輸率範圍: 0-100%</li>
+              <li>分隔符號: , ; Tab 或空白；支援小數逗號（<code>1234,5;87,2</code>）</li>
+              <li><code>#</code> 開頭的行視為註解，<code># key: value</code> 會保留為 metadata</li>
             </ul>
             <p className="example">📝 範例: <code>4000,98.5</code></p>
+            <div className="x-unit-select">
+              <label htmlFor="x-unit-override">X 軸單位</label>
+              <XUnitSelect id="x-unit-override" value={xUnitOverride} onChange={setXUnitOverride} />
+            </div>
+            <p className="example">📝 JCAMP-DX: <code>##XYDATA=(X++(Y..Y))</code>（AFFN / SQZ / DIF / DUP）</p>
           </div>
 
           {/* Error Message */}
@@ -174,7 +288,7 @@ function SpectrumUploader() {
               <div className="preview-icon">✓</div>
               <div className="preview-title">
                 <h3>光譜已載入</h3>
-                <p className="file-name">{preview?.fileName}</p>
+                <p className="file-name">{spectraSource?.fileName || spectrum.metadata?.sampleName}</p>
               </div>
               <button
                 className="btn-clear"
@@ -186,23 +300,58 @@ function SpectrumUploader() {
             </div>
 
             <div className="preview-details">
+              {/* Spectrum Selector (multi-column CSV / multi-file SPC) */}
+              {spectra.length > 1 && (
+                <div className="detail-row">
+                  <span className="detail-label">🗂️ 光譜</span>
+                  <select
+                    className="spectrum-select"
+                    value={activeSpectrumIndex}
+                    onChange={(e) => setActiveSpectrum(parseInt(e.target.value))}
+                  >
+                    {spectra.map((s, idx) => (
+                      <option key={idx} value={idx}>
+                        {s.name || `Spectrum ${idx + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Data Points */}
               <div className="detail-row">
                 <span className="detail-label">📊 數據點</span>
-                <span className="detail-value">{preview?.dataPoints}</span>
+                <span className="detail-value">{spectrum.dataPoints}</span>
               </div>
 
-              {/* File Size */}
-              <div className="detail-row">
-                <span className="detail-label">📦 檔案大小</span>
-                <span className="detail-value">{preview?.fileSize} KB</span>
-              </div>
+              {/* File Size (not known for spectra restored from a project) */}
+              {spectraSource?.fileSize && (
+                <div className="detail-row">
+                  <span className="detail-label">📦 檔案大小</span>
+                  <span className="detail-value">{spectraSource.fileSize} KB</span>
+                </div>
+              )}
 
               {/* Wavenumber Range */}
               <div className="detail-row">
                 <span className="detail-label">📈 波數範圍</span>
                 <span className="detail-value">
-                  {preview?.wavenumberRange[0]?.toFixed(0)} - {preview?.wavenumberRange[1]?.toFixed(0)} cm⁻¹
+                  {spectrum.wavenumberRange[0]?.toFixed(0)} - {spectrum.wavenumberRange[1]?.toFixed(0)} cm⁻¹
+                </span>
+              </div>
+
+              {/* X-Axis Unit */}
+              <div className="detail-row">
+                <span className="detail-label">↔️ X 軸單位</span>
+                <span className="detail-value">
+                  {X_AXIS_UNITS[spectrum.xAxisUnit]?.short || 'cm⁻¹'}
+                  {spectrum.xAxisUnit && spectrum.xAxisUnit !== 'wavenumber' && '（已轉換為 cm⁻¹）'}
+                  {spectraSource?.type === 'file' && (
+                    <>
+                      {' '}
+                      <XUnitSelect value={xUnitOverride} onChange={handleXUnitChange} />
+                    </>
+                  )}
                 </span>
               </div>
 
@@ -210,7 +359,7 @@ function SpectrumUploader() {
               <div className="detail-row">
                 <span className="detail-label">💧 傳輸率</span>
                 <span className="detail-value">
-                  {preview?.transmittanceRange[0]?.toFixed(1)} - {preview?.transmittanceRange[1]?.toFixed(1)}%
+                  {spectrum.transmittanceRange[0]?.toFixed(1)} - {spectrum.transmittanceRange[1]?.toFixed(1)}%
                 </span>
               </div>
 
@@ -218,7 +367,7 @@ function SpectrumUploader() {
               <div className="detail-row">
                 <span className="detail-label">🧭 偵測單位</span>
                 <span className="detail-value">
-                  {preview?.yAxisUnit === 'absorbance' ? 'Absorbance（已轉換供顯示）' : 'Transmittance'}
+                  {spectrum.yAxisUnit === 'absorbance' ? 'Absorbance（偵測使用原始吸收度，%T 僅供顯示）' : 'Transmittance'}
                 </span>
               </div>
             </div>
@@ -226,23 +375,29 @@ function SpectrumUploader() {
             {/* Statistics */}
             <div className="spectrum-stats">
               <div className="stat">
-                <div className="stat-value">{preview?.dataPoints}</div>
+                <div className="stat-value">{spectrum.dataPoints}</div>
                 <div className="stat-label">數據點</div>
               </div>
               <div className="stat">
                 <div className="stat-value">
-                  {(preview?.wavenumberRange[1] - preview?.wavenumberRange[0])?.toFixed(0)}
+                  {(spectrum.wavenumberRange[1] - spectrum.wavenumberRange[0])?.toFixed(0)}
                 </div>
                 <div className="stat-label">cm⁻¹</div>
               </div>
               <div className="stat">
                 <div className="stat-value">
-                  {(preview?.transmittanceRange[1] - preview?.transmittanceRange[0])?.toFixed(1)}%
+                  {(spectrum.transmittanceRange[1] - spectrum.transmittanceRange[0])?.toFixed(1)}%
                 </div>
                 <div className="stat-label">傳輸率幅度</div>
               </div>
             </div>
 
+            {/* Sample / Instrument Metadata */}
+            <MetadataEditor metadata={spectrum.metadata} onChange={updateSpectrumMetadata} />
+
+            {/* Import Diagnostics */}
+            <ImportDiagnostics report={spectrum.parseReport} onReject={handleReject} />
+
             {/* Upload New Button */}
             <button className="btn-upload-new" onClick={handleClear}>
               📁 上傳新光譜
@@ -254,4 +409,23 @@ function SpectrumUploader() {
   )
 }
 
+/**
+ * X-axis unit dropdown (auto / cm⁻¹ / µm / nm)
+ */
+function XUnitSelect({ id, value, onChange }) {
+  return (
+    <select
+      id={id}
+      className="x-unit-dropdown"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      <option value="auto">自動偵測</option>
+      {Object.entries(X_AXIS_UNITS).map(([unit, info]) => (
+        <option key={unit} value={unit}>{info.label}</option>
+      ))}
+    </select>
+  )
+}
+
 export default SpectrumUploader
@@ -0,0 +1,452 @@
+/**
+ * Atmospheric Compensation (CO₂ / water vapor)
+ *
+ * Subtracts a scaled reference vapor spectrum from the measured absorbance.
+ * The scale factor minimizes the second difference of the compensated
+ * spectrum over the vapor regions: vapor lines are sharp, sample bands are
+ * broad, so the least-squares fit follows the lines and ignores the bands.
+ *
+ * Reference sources:
+ * - bundled: CO₂ ν3 / ν2 and H₂O ν2 / ν1 / ν3 line models (296 K) broadened to
+ *   the instrument resolution; computed locally, no network access. CO₂ and
+ *   H₂O are scaled separately, each in its own regions
+ * - uploaded: a measured vapor spectrum (e.g. the ratio of two backgrounds
+ *   taken at different purge times), one scale over all regions
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+export const COMPENSATION_SOURCES = [
+  { value: 'bundled', label: 'Bundled CO₂ + H₂O model' },
+  { value: 'uploaded', label: 'Uploaded reference' }
+]
+
+// Vapor regions used for the scale fit of an uploaded reference (cm⁻¹)
+export const DEFAULT_COMPENSATION_REGIONS = [
+  [640, 700],   // CO₂ bending
+  [1350, 1950], // H₂O bending
+  [2250, 2400], // CO₂ asymmetric stretch
+  [3500, 3950]  // H₂O stretching
+]
+
+// Bundled species, each fitted with its own scale in its own regions
+export const COMPENSATION_SPECIES = [
+  { id: 'co2', label: 'CO₂', regions: [[640, 700], [2250, 2400]] },
+  { id: 'h2o', label: 'H₂O', regions: [[1350, 1950], [3500, 3950]] }
+]
+
+export const DEFAULT_COMPENSATION_PARAMS = {
+  enabled: false,
+  source: 'bundled',
+  resolution: 4 // Instrument resolution for the bundled model (cm⁻¹)
+}
+
+// Second radiation constant hc/k (cm·K)
+const C2 = 1.4388
+const TEMPERATURE = 296
+
+// 12C16O2: ground-state rotational constant, band origins, relative band strengths
+const CO2_B = 0.39022
+const CO2_BANDS = [
+  { origin: 2349.14, upperB: 0.38714, strength: 1, perpendicular: false },
+  { origin: 667.38, upperB: 0.39064, strength: 0.085, perpendicular: true }
+]
+const CO2_MAX_J = 80
+
+/**
+ * CO₂ line list (position, relative intensity)
+ * Only even J exist in the ground state of ¹²C¹⁶O₂
+ *
+ * @returns {{position: number, intensity: number}[]}
+ */
+function co2Lines() {
+  const lines = []
+
+  for (const band of CO2_BANDS) {
+    const dB = band.upperB - CO2_B
+    for (let J = 0; J <= CO2_MAX_J; J += 2) {
+      const population = (2 * J + 1) * Math.exp(-C2 * CO2_B * J * (J + 1) / TEMPERATURE)
+
+      // R(J): J → J + 1
+      lines.push({
+        position: band.origin + 2 * band.upperB + (3 * band.upperB - CO2_B) * J + dB * J * J,
+        intensity: band.strength * population * (J + 1) / (2 * J + 1)
+      })
+      // P(J): J → J - 1
+      if (J > 0) {
+        lines.push({
+          position: band.origin - (band.upperB + CO2_B) * J + dB * J * J,
+          intensity: band.strength * population * J / (2 * J + 1)
+        })
+      }
+      // Q(J): perpendicular bands only
+      if (band.perpendicular && J > 0) {
+        lines.push({
+          position: band.origin + dB * J * (J + 1),
+          intensity: band.strength * population
+        })
+      }
+    }
+  }
+
+  return lines
+}
+
+// ¹H₂¹⁶O ground state, Watson A reduction (cm⁻¹); HK is the sextic K term,
+// which water's light rotor needs even at low J
+const H2O_GROUND = {
+  A: 27.8806, B: 14.5216, C: 9.2778,
+  DJ: 1.2505e-3, DJK: -5.208e-3, DK: 3.2584e-2, dJ: 5.089e-4, dK: 1.158e-3, HK: 1.25e-4
+}
+// Fundamentals: upper-state constants, relative band strengths and dipole axis
+// (b-type: along the C2 axis; a-type: along the long in-plane axis)
+const H2O_BANDS = [
+  {
+    origin: 1594.746, strength: 1, type: 'b',
+    upper: { ...H2O_GROUND, A: 31.1283, B: 14.6804, C: 9.1287, DK: 4.22e-2, HK: 2.3e-4 }
+  },
+  { origin: 3657.053, strength: 0.05, type: 'b', upper: { ...H2O_GROUND, A: 27.1244, B: 14.3054, C: 9.1027 } },
+  { origin: 3755.929, strength: 0.69, type: 'a', upper: { ...H2O_GROUND, A: 26.6483, B: 14.4315, C: 9.1417 } }
+]
+const H2O_MAX_J = 10
+// Lines weaker than this fraction of the strongest are dropped
+const H2O_MIN_INTENSITY = 1e-3
+
+/**
+ * Eigenvalues and eigenvectors of a real symmetric matrix (cyclic Jacobi)
+ *
+ * @param {number[][]} matrix - Not modified
+ * @returns {{values: number[], vectors: number[][]}} vectors[i] belongs to values[i]
+ */
+function symmetricEigen(matrix) {
+  const n = matrix.length
+  const a = matrix.map(row => [...row])
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)))
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q]
+    if (off < 1e-20) break
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-14) continue
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q])
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const c = 1 / Math.sqrt(t * t + 1)
+        const s = t * c
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p]
+          const akq = a[k][q]
+          a[k][p] = c * akp - s * akq
+          a[k][q] = s * akp + c * akq
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k]
+          const aqk = a[q][k]
+          a[p][k] = c * apk - s * aqk
+          a[q][k] = s * apk + c * aqk
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p]
+          const vkq = v[k][q]
+          v[k][p] = c * vkp - s * vkq
+          v[k][q] = s * vkp + c * vkq
+        }
+      }
+    }
+  }
+
+  return {
+    values: a.map((row, i) => row[i]),
+    vectors: Array.from({ length: n }, (_, i) => v.map(row => row[i]))
+  }
+}
+
+/**
+ * Asymmetric rotor levels of one J (Iʳ axes: z = a, x = b, y = c)
+ * Levels ascend in energy, so the n-th has τ = Ka − Kc = n − J
+ *
+ * @param {number} J
+ * @param {object} c - Rotational constants (see H2O_GROUND)
+ * @returns {{energy: number, vector: number[], tau: number}[]} vector over k = −J…J
+ */
+function rotorLevels(J, c) {
+  const n = 2 * J + 1
+  const jj = J * (J + 1)
+  const h = Array.from({ length: n }, () => new Array(n).fill(0))
+
+  for (let k = -J; k <= J; k++) {
+    h[k + J][k + J] = (c.B + c.C) / 2 * (jj - k * k) + c.A * k * k -
+      c.DJ * jj * jj - c.DJK * jj * k * k - c.DK * k ** 4 + c.HK * k ** 6
+    if (k + 2 <= J) {
+      // ⟨k + 2| J₊² |k⟩
+      const ladder = Math.sqrt((J - k) * (J - k - 1) * (J + k + 1) * (J + k + 2))
+      const element = ladder * ((c.B - c.C) / 4 - c.dJ * jj - (c.dK / 2) * (k * k + (k + 2) * (k + 2)))
+      h[k + J + 2][k + J] = element
+      h[k + J][k + J + 2] = element
+    }
+  }
+
+  const { values, vectors } = symmetricEigen(h)
+  return values
+    .map((energy, i) => ({ energy, vector: vectors[i] }))
+    .sort((x, y) => x.energy - y.energy)
+    .map((level, i) => ({ ...level, tau: i - J }))
+}
+
+const factorial = (() => {
+  const table = [1]
+  for (let i = 1; i <= 40; i++) table.push(table[i - 1] * i)
+  return k => table[k]
+})()
+
+/**
+ * Wigner 3j symbol (Racah formula)
+ */
+function wigner3j(j1, j2, j3, m1, m2, m3) {
+  if (m1 + m2 + m3 !== 0 || Math.abs(m1) > j1 || Math.abs(m2) > j2 || Math.abs(m3) > j3) return 0
+  if (j3 < Math.abs(j1 - j2) || j3 > j1 + j2) return 0
+
+  const triangle = factorial(j1 + j2 - j3) * factorial(j1 - j2 + j3) * factorial(-j1 + j2 + j3) /
+    factorial(j1 + j2 + j3 + 1)
+  const norm = Math.sqrt(triangle * factorial(j1 + m1) * factorial(j1 - m1) * factorial(j2 + m2) *
+    factorial(j2 - m2) * factorial(j3 + m3) * factorial(j3 - m3))
+
+  let sum = 0
+  const tMin = Math.max(0, j2 - j3 - m1, j1 - j3 + m2)
+  const tMax = Math.min(j1 + j2 - j3, j1 - m1, j2 + m2)
+  for (let t = tMin; t <= tMax; t++) {
+    sum += (t % 2 ? -1 : 1) / (factorial(t) * factorial(j3 - j2 + t + m1) * factorial(j3 - j1 + t - m2) *
+      factorial(j1 + j2 - j3 - t) * factorial(j1 - t - m1) * factorial(j2 - t + m2))
+  }
+
+  const phase = (j1 - j2 - m3) % 2 ? -1 : 1
+  return phase * norm * sum
+}
+
+/**
+ * Line strength of a rovibrational transition between two rotor levels
+ * (2J″ + 1)(2J′ + 1) |Σ c′ c″ (−1)^k′ (J′ 1 J″; −k′ q k″)|² over the dipole components q
+ */
+function transitionStrength(lower, upper, J, Jp, type) {
+  // a-type: μ along z (q = 0); b-type: μ along x = (μ₋₁ − μ₊₁) / √2
+  const components = type === 'a' ? [[0, 1]] : [[-1, Math.SQRT1_2], [1, -Math.SQRT1_2]]
+  let amplitude = 0
+
+  for (const [q, weight] of components) {
+    for (let k = -J; k <= J; k++) {
+      const kp = k + q
+      if (Math.abs(kp) > Jp) continue
+      const sign = kp % 2 ? -1 : 1
+      amplitude += weight * lower.vector[k + J] * upper.vector[kp + Jp] * sign * wigner3j(Jp, 1, J, -kp, q, k)
+    }
+  }
+
+  return (2 * J + 1) * (2 * Jp + 1) * amplitude * amplitude
+}
+
+let h2oLineCache = null
+
+/**
+ * H₂O line list (position, relative intensity) from the asymmetric rotor model
+ * Positions are good to about 1 cm⁻¹ for the strong low-J lines, which is what
+ * a reference broadened to the instrument resolution needs
+ * Nuclear spin: ortho levels (Ka + Kc odd, i.e. τ odd) have weight 3
+ *
+ * @returns {{position: number, intensity: number}[]}
+ */
+function h2oLines() {
+  if (h2oLineCache) return h2oLineCache
+
+  const ground = Array.from({ length: H2O_MAX_J + 2 }, (_, J) => rotorLevels(J, H2O_GROUND))
+  const lines = []
+
+  for (const band of H2O_BANDS) {
+    const upper = Array.from({ length: H2O_MAX_J + 2 }, (_, J) => rotorLevels(J, band.upper))
+    for (let J = 0; J <= H2O_MAX_J; J++) {
+      for (const lower of ground[J]) {
+        const population = (Math.abs(lower.tau) % 2 ? 3 : 1) * Math.exp(-C2 * lower.energy / TEMPERATURE)
+        for (let Jp = Math.max(0, J - 1); Jp <= J + 1; Jp++) {
+          for (const level of upper[Jp]) {
+            const strength = transitionStrength(lower, level, J, Jp, band.type)
+            if (strength < 1e-8) continue
+            lines.push({
+              position: band.origin + level.energy - lower.energy,
+              intensity: band.strength * population * strength
+            })
+          }
+        }
+      }
+    }
+  }
+
+  const max = Math.max(...lines.map(l => l.intensity))
+  h2oLineCache = lines.filter(l => l.intensity >= max * H2O_MIN_INTENSITY)
+  return h2oLineCache
+}
+
+/**
+ * Bundled reference: absorbance of one species on the given grid, peak-normalized to 1
+ *
+ * @param {number[]} wavenumber - Target grid (cm⁻¹)
+ * @param {number} resolution - Gaussian instrument line shape FWHM (cm⁻¹)
+ * @param {string} species - 'co2' (default) or 'h2o' (see COMPENSATION_SPECIES)
+ * @returns {number[]} Absorbance
+ */
+export function bundledReference(wavenumber, resolution = DEFAULT_COMPENSATION_PARAMS.resolution, species = 'co2') {
+  const lines = species === 'h2o' ? h2oLines() : co2Lines()
+  const sigma = resolution / (2 * Math.sqrt(2 * Math.LN2))
+  const reach = 4 * resolution
+
+  const values = wavenumber.map(wn => {
+    let sum = 0
+    for (const line of lines) {
+      const d = wn - line.position
+      if (Math.abs(d) <= reach) sum += line.intensity * Math.exp(-(d * d) / (2 * sigma * sigma))
+    }
+    return sum
+  })
+
+  const max = Math.max(...values)
+  return max > 0 ? values.map(v => v / max) : values
+}
+
+/**
+ * Linear interpolation of a reference onto a grid (0 outside the reference range)
+ *
+ * @param {{wavenumber: number[], absorbance: number[]}} reference
+ * @param {number[]} wavenumber - Target grid
+ * @returns {number[]}
+ */
+export function resampleReference(reference, wavenumber) {
+  let x = reference.wavenumber
+  let y = reference.absorbance
+  if (x[0] > x[x.length - 1]) {
+    x = [...x].reverse()
+    y = [...y].reverse()
+  }
+
+  return wavenumber.map(wn => {
+    if (wn < x[0] || wn > x[x.length - 1]) return 0
+    let lo = 0
+    let hi = x.length - 1
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1
+      if (x[mid] <= wn) lo = mid
+      else hi = mid
+    }
+    const t = (wn - x[lo]) / (x[hi] - x[lo] || 1)
+    return y[lo] + t * (y[hi] - y[lo])
+  })
+}
+
+/**
+ * Least-squares scale of the reference on second differences within the regions
+ *
+ * @param {number[]} wavenumber
+ * @param {number[]} absorbance - Measured absorbance
+ * @param {number[]} reference - Reference on the same grid
+ * @param {number[][]} regions - Fit regions [[min, max], ...]
+ * @returns {number} Scale factor ≥ 0 (0 when the reference has no structure in the regions);
+ *   a negative fit would add vapor lines instead of removing them
+ */
+export function fitCompensationScale(wavenumber, absorbance, reference, regions = DEFAULT_COMPENSATION_REGIONS) {
+  const inRegion = wn => regions.some(([lo, hi]) => wn >= Math.min(lo, hi) && wn <= Math.max(lo, hi))
+  const secondDifference = (v, i) => v[i - 1] - 2 * v[i] + v[i + 1]
+
+  let cross = 0
+  let power = 0
+  for (let i = 1; i < wavenumber.length - 1; i++) {
+    if (!inRegion(wavenumber[i])) continue
+    const r = secondDifference(reference, i)
+    cross += secondDifference(absorbance, i) * r
+    power += r * r
+  }
+
+  return power > 0 ? Math.max(0, cross / power) : 0
+}
+
+/**
+ * Subtract the scaled vapor reference
+ *
+ * @param {number[]} wavenumber
+ * @param {number[]} absorbance - Measured (unsmoothed) absorbance
+ * @param {object} options
+ * @param {string} options.source - 'bundled' (default) or 'uploaded'
+ * @param {object} options.reference - {wavenumber, absorbance} for 'uploaded'
+ * @param {number} options.resolution - Bundled model resolution (cm⁻¹)
+ * @param {number[][]} options.regions - Scale fit regions of an uploaded reference
+ * @returns {{absorbance: number[], reference: number[], scales: object, source: string}}
+ *   absorbance = compensated; reference = sum of the scaled references that were subtracted;
+ *   scales = {co2, h2o} for 'bundled', {uploaded} for 'uploaded'
+ * @throws {Error} When 'uploaded' is chosen without a reference
+ */
+export function compensateAtmosphere(wavenumber, absorbance, options = {}) {
+  const {
+    source = 'bundled',
+    reference = null,
+    resolution = DEFAULT_COMPENSATION_PARAMS.resolution,
+    regions = DEFAULT_COMPENSATION_REGIONS
+  } = options
+
+  let components
+  if (source === 'uploaded') {
+    if (!reference || !reference.wavenumber?.length) {
+      throw new Error('尚未上傳水氣 / CO₂ 參考光譜')
+    }
+    components = [{ id: 'uploaded', profile: resampleReference(reference, wavenumber), regions }]
+  } else {
+    components = COMPENSATION_SPECIES.map(species => ({
+      id: species.id,
+      profile: bundledReference(wavenumber, resolution, species.id),
+      regions: species.regions
+    }))
+  }
+
+  const scales = {}
+  const subtracted = new Array(absorbance.length).fill(0)
+  for (const { id, profile, regions: fitRegions } of components) {
+    const scale = fitCompensationScale(wavenumber, absorbance, profile, fitRegions)
+    scales[id] = scale
+    profile.forEach((v, i) => { subtracted[i] += v * scale })
+  }
+
+  return {
+    absorbance: absorbance.map((a, i) => a - subtracted[i]),
+    reference: subtracted,
+    scales,
+    source
+  }
+}
+
+/**
+ * Short summary of the fitted scales, e.g. "CO₂ × 0.0123・H₂O × 0.0456"
+ *
+ * @param {object} compensation - From compensateAtmosphere
+ * @returns {string}
+ */
+export function describeCompensation(compensation) {
+  const label = id => COMPENSATION_SPECIES.find(s => s.id === id)?.label || '參考'
+  return Object.entries(compensation.scales || {})
+    .map(([id, scale]) => `${label(id)} × ${scale.toFixed(4)}`)
+    .join('・')
+}
+
+/**
+ * Export all for testing
+ */
+export const atmosphericCompensationFunctions = {
+  co2Lines,
+  symmetricEigen,
+  rotorLevels,
+  wigner3j,
+  transitionStrength,
+  h2oLines,
+  bundledReference,
+  resampleReference,
+  fitCompensationScale,
+  compensateAtmosphere,
+  describeCompensation
+}
@@ -0,0 +1,295 @@
+/**
+ * Baseline Correction for FTIR Spectra
+ *
+ * Baselines are estimated on absorbance-like data (bands point up):
+ * - linear:     straight line between the end points
+ * - als:        asymmetric least squares (Eilers & Boelens)
+ * - rubberband: lower convex hull
+ * - polynomial: iterative polynomial fit that sinks below the bands (modpoly)
+ * - anchor:     user-defined anchor points joined by straight lines
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { leastSquares } from './linearAlgebra'
+
+export const BASELINE_METHODS = [
+  { value: 'none', label: 'None' },
+  { value: 'linear', label: 'Linear (end points)' },
+  { value: 'als', label: 'Asymmetric Least Squares' },
+  { value: 'rubberband', label: 'Rubberband (convex hull)' },
+  { value: 'polynomial', label: 'Iterative Polynomial' },
+  { value: 'anchor', label: 'Anchor Points' }
+]
+
+export const DEFAULT_BASELINE_PARAMS = {
+  lambda: 1e5,       // ALS smoothness (1e2-1e9)
+  asymmetry: 0.01,   // ALS weight of points above the baseline (0.001-0.1)
+  iterations: 10,    // ALS reweighting passes
+  polyOrder: 3,      // Iterative polynomial order (1-8)
+  anchors: []        // Anchor wavenumbers, or {wavenumber, value} for a fixed baseline height
+}
+
+/**
+ * Straight line between the first and last point
+ *
+ * @param {number[]} y
+ * @returns {number[]} Baseline
+ */
+export function linearBaseline(y) {
+  const n = y.length
+  if (n < 2) return [...y]
+  const start = y[0]
+  const end = y[n - 1]
+  return y.map((_, i) => start + (end - start) * (i / (n - 1)))
+}
+
+/**
+ * Asymmetric least squares baseline
+ * Minimizes Σ wᵢ(yᵢ - zᵢ)² + λ Σ (Δ²z)², with w = p above the baseline and 1 - p below
+ *
+ * @param {number[]} y
+ * @param {object} params - { lambda, asymmetry, iterations }
+ * @returns {number[]} Baseline
+ */
+export function alsBaseline(y, params = {}) {
+  const {
+    lambda = DEFAULT_BASELINE_PARAMS.lambda,
+    asymmetry = DEFAULT_BASELINE_PARAMS.asymmetry,
+    iterations = DEFAULT_BASELINE_PARAMS.iterations
+  } = params
+  const n = y.length
+  if (n < 5) return linearBaseline(y)
+
+  // λ·DᵀD as pentadiagonal bands (D = second-difference operator)
+  const d0 = new Float64Array(n)
+  const d1 = new Float64Array(n) // (i, i+1)
+  const d2 = new Float64Array(n) // (i, i+2)
+  const stencil = [1, -2, 1]
+  for (let k = 0; k < n - 2; k++) {
+    for (let a = 0; a < 3; a++) {
+      d0[k + a] += lambda * stencil[a] * stencil[a]
+      if (a < 2) d1[k + a] += lambda * stencil[a] * stencil[a + 1]
+    }
+    d2[k] += lambda * stencil[0] * stencil[2]
+  }
+
+  let weights = new Float64Array(n).fill(1)
+  let z = [...y]
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const diag = Array.from(d0, (v, i) => v + weights[i])
+    const rhs = y.map((v, i) => weights[i] * v)
+    z = solvePentadiagonalSPD(diag, d1, d2, rhs)
+
+    const next = y.map((v, i) => (v > z[i] ? asymmetry : 1 - asymmetry))
+    if (next.every((w, i) => w === weights[i])) break
+    weights = next
+  }
+
+  return z
+}
+
+/**
+ * Solve a symmetric positive-definite pentadiagonal system (banded Cholesky)
+ *
+ * @param {number[]} d0 - Main diagonal
+ * @param {number[]} d1 - First super-diagonal (i, i+1)
+ * @param {number[]} d2 - Second super-diagonal (i, i+2)
+ * @param {number[]} b - Right-hand side
+ * @returns {number[]} Solution
+ */
+function solvePentadiagonalSPD(d0, d1, d2, b) {
+  const n = b.length
+  const l0 = new Float64Array(n)
+  const l1 = new Float64Array(n) // L(i, i-1)
+  const l2 = new Float64Array(n) // L(i, i-2)
+
+  for (let i = 0; i < n; i++) {
+    l2[i] = i >= 2 ? d2[i - 2] / l0[i - 2] : 0
+    l1[i] = i >= 1 ? (d1[i - 1] - (i >= 2 ? l2[i] * l1[i - 1] : 0)) / l0[i - 1] : 0
+    l0[i] = Math.sqrt(Math.max(d0[i] - l1[i] * l1[i] - l2[i] * l2[i], 1e-300))
+  }
+
+  const z = new Float64Array(n)
+  for (let i = 0; i < n; i++) {
+    z[i] = (b[i] - (i >= 1 ? l1[i] * z[i - 1] : 0) - (i >= 2 ? l2[i] * z[i - 2] : 0)) / l0[i]
+  }
+
+  const x = new Array(n)
+  for (let i = n - 1; i >= 0; i--) {
+    x[i] = (z[i] - (i + 1 < n ? l1[i + 1] * x[i + 1] : 0) - (i + 2 < n ? l2[i + 2] * x[i + 2] : 0)) / l0[i]
+  }
+  return x
+}
+
+/**
+ * Rubberband baseline: lower convex hull of the spectrum, linearly interpolated
+ *
+ * @param {number[]} x - Ascending abscissa
+ * @param {number[]} y
+ * @returns {number[]} Baseline
+ */
+export function rubberbandBaseline(x, y) {
+  const n = y.length
+  if (n < 3) return linearBaseline(y)
+
+  // Monotone chain, lower hull only
+  const hull = []
+  for (let i = 0; i < n; i++) {
+    while (hull.length >= 2) {
+      const a = hull[hull.length - 2]
+      const b = hull[hull.length - 1]
+      const cross = (x[b] - x[a]) * (y[i] - y[a]) - (y[b] - y[a]) * (x[i] - x[a])
+      if (cross > 0) break
+      hull.pop()
+    }
+    hull.push(i)
+  }
+
+  return interpolateThrough(x, hull.map(i => x[i]), hull.map(i => y[i]))
+}
+
+/**
+ * Iterative polynomial baseline (modified polyfit)
+ * Each pass clips the working signal to the fit so bands stop pulling it up
+ *
+ * @param {number[]} x - Abscissa
+ * @param {number[]} y
+ * @param {object} params - { polyOrder, maxIterations = 100, tolerance = 1e-3 }
+ * @returns {number[]} Baseline
+ */
+export function polynomialBaseline(x, y, params = {}) {
+  const { polyOrder = DEFAULT_BASELINE_PARAMS.polyOrder, maxIterations = 100, tolerance = 1e-3 } = params
+  const n = y.length
+  if (n <= polyOrder + 1) return linearBaseline(y)
+
+  // Scale x to [-1, 1] for a well-conditioned fit
+  const xMin = Math.min(x[0], x[n - 1])
+  const xMax = Math.max(x[0], x[n - 1])
+  const u = x.map(v => (2 * (v - xMin)) / (xMax - xMin || 1) - 1)
+  const J = u.map(v => Array.from({ length: polyOrder + 1 }, (_, k) => Math.pow(v, k)))
+
+  let work = [...y]
+  let fit = work
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    const coeffs = leastSquares(J, work)
+    fit = J.map(row => row.reduce((sum, v, k) => sum + v * coeffs[k], 0))
+
+    const next = work.map((v, i) => Math.min(v, fit[i]))
+    const change = Math.sqrt(next.reduce((sum, v, i) => sum + (v - work[i]) ** 2, 0))
+    const norm = Math.sqrt(work.reduce((sum, v) => sum + v * v, 0)) || 1
+    work = next
+    if (change / norm < tolerance) break
+  }
+
+  return fit
+}
+
+/**
+ * Anchor-point baseline
+ * Anchors given as wavenumbers take the (locally averaged) signal value there;
+ * {wavenumber, value} anchors fix the baseline height explicitly
+ *
+ * @param {number[]} x - Ascending wavenumber
+ * @param {number[]} y
+ * @param {Array<number|{wavenumber: number, value: number}>} anchors
+ * @returns {number[]} Baseline
+ * @throws {Error} With fewer than two anchors inside the spectrum
+ */
+export function anchorBaseline(x, y, anchors = []) {
+  const points = anchors
+    .map(anchor => {
+      const wn = typeof anchor === 'number' ? anchor : anchor.wavenumber
+      if (!Number.isFinite(wn) || wn < x[0] || wn > x[x.length - 1]) return null
+      const value = typeof anchor === 'object' && Number.isFinite(anchor.value)
+        ? anchor.value
+        : localMean(x, y, wn)
+      return { wavenumber: wn, value }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.wavenumber - b.wavenumber)
+
+  if (points.length < 2) {
+    throw new Error('錨點基線至少需要 2 個位於光譜範圍內的錨點')
+  }
+
+  return interpolateThrough(x, points.map(p => p.wavenumber), points.map(p => p.value))
+}
+
+/**
+ * Mean of the signal over ±2 points around a wavenumber (noise-robust anchor height)
+ */
+function localMean(x, y, wn) {
+  let idx = 0
+  while (idx < x.length - 1 && x[idx + 1] <= wn) idx++
+  const start = Math.max(0, idx - 2)
+  const end = Math.min(y.length, idx + 3)
+  let sum = 0
+  for (let i = start; i < end; i++) sum += y[i]
+  return sum / (end - start)
+}
+
+/**
+ * Piecewise-linear interpolation through knots, held flat beyond the end knots
+ *
+ * @param {number[]} x - Ascending abscissa to evaluate on
+ * @param {number[]} knotX - Ascending knot positions
+ * @param {number[]} knotY - Knot values
+ * @returns {number[]}
+ */
+function interpolateThrough(x, knotX, knotY) {
+  let k = 0
+  return x.map(xi => {
+    if (xi <= knotX[0]) return knotY[0]
+    if (xi >= knotX[knotX.length - 1]) return knotY[knotY.length - 1]
+    while (knotX[k + 1] < xi) k++
+    const t = (xi - knotX[k]) / (knotX[k + 1] - knotX[k])
+    return knotY[k] + t * (knotY[k + 1] - knotY[k])
+  })
+}
+
+/**
+ * Compute a baseline with the selected method
+ *
+ * @param {number[]} x - Ascending wavenumber
+ * @param {number[]} y - Absorbance-like signal
+ * @param {string} method - One of BASELINE_METHODS
+ * @param {object} params - Method parameters (see DEFAULT_BASELINE_PARAMS)
+ * @returns {number[]} Baseline (same length as y)
+ * @throws {Error} On unknown method
+ */
+export function computeBaseline(x, y, method = 'linear', params = {}) {
+  const merged = { ...DEFAULT_BASELINE_PARAMS, ...params }
+
+  switch (method) {
+    case 'none':
+      return new Array(y.length).fill(0)
+    case 'linear':
+      return linearBaseline(y)
+    case 'als':
+      return alsBaseline(y, merged)
+    case 'rubberband':
+      return rubberbandBaseline(x, y)
+    case 'polynomial':
+      return polynomialBaseline(x, y, merged)
+    case 'anchor':
+      return anchorBaseline(x, y, merged.anchors)
+    default:
+      throw new Error(`未知的基線方法: ${method}`)
+  }
+}
+
+/**
+ * Export all for testing
+ */
+export const baselineCorrectionFunctions = {
+  linearBaseline,
+  alsBaseline,
+  rubberbandBaseline,
+  polynomialBaseline,
+  anchorBaseline,
+  computeBaseline
+}
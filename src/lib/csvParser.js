@@ -8,6 +8,12 @@
  * Date: 2026-02-19
  */
 
+import { inferXAxisUnit, toWavenumber, convertToWavenumber, WAVENUMBER_LIMITS } from './unitConverter'
+import { tokenizeCSV, parseNumber, parseCommentMetadata } from './csvTokenizer'
+import { createMetadata, extractMetadata, isMetadataKey } from './spectrumMetadata'
+
+const HEADER_KEYWORDS = ['wavenumber', 'wavenum', 'frequency', 'cm-1', 'transmit', '%t', 'wavelength']
+
 /**
  * Convert transmittance (%) to absorbance
  * A = log10(100 / %T)
@@ -37,69 +43,93 @@ export function absorbanceToTransmittance(absorbance) {
 }
 
 /**
- * Infer Y-axis unit from FTIR intensity values.
+ * Infer Y-axis unit from FTIR intensity values, with the evidence used.
  *
  * Heuristic:
  * - Most FTIR transmittance data is in 0-100 range and often has values > 10.
  * - Absorbance is usually small (commonly < 5).
  *
  * @param {number[]} yValues
- * @returns {'transmittance'|'absorbance'}
+ * @param {string} headerLine - Header/unit text
+ * @returns {{unit: 'transmittance'|'absorbance', source: 'header'|'range'|'default', evidence: string[], stats: object}}
  */
-export function inferYAxisUnit(yValues, headerLine = '') {
+export function explainYAxisUnit(yValues, headerLine = '') {
   const valid = yValues.filter(v => Number.isFinite(v))
   if (valid.length === 0) {
     throw new Error('無法判斷 Y 軸單位：資料為空')
   }
 
+  const maxY = Math.max(...valid)
+  const minY = Math.min(...valid)
+  const over100Ratio = valid.filter(v => v > 100).length / valid.length
+  const stats = { minY, maxY, over100Ratio }
+  const rangeText = `Y 範圍 ${minY.toPrecision(4)} – ${maxY.toPrecision(4)}，>100 比例 ${(over100Ratio * 100).toFixed(1)}%`
+
   const header = headerLine.toLowerCase()
   if (header.includes('absorbance') || header.includes('abs')) {
-    return 'absorbance'
+    return { unit: 'absorbance', source: 'header', evidence: [`標頭包含 "abs": ${headerLine}`, rangeText], stats }
   }
   if (header.includes('trans') || header.includes('%t')) {
-    return 'transmittance'
+    return { unit: 'transmittance', source: 'header', evidence: [`標頭包含 "trans" / "%T": ${headerLine}`, rangeText], stats }
   }
 
-  const maxY = Math.max(...valid)
-  const minY = Math.min(...valid)
-  const over100Ratio = valid.filter(v => v > 100).length / valid.length
-
   // If data has large/consistent >100 values, it's likely not transmittance.
   // But allow a small fraction >100 (common baseline artifacts in FTIR transmittance).
   if (minY >= 0 && maxY <= 130 && over100Ratio <= 0.2) {
-    return 'transmittance'
+    return { unit: 'transmittance', source: 'range', evidence: [rangeText, '數值落在 0–130 且 >100 比例 ≤ 20% → Transmittance'], stats }
   }
 
   // Typical absorbance tends to stay in small numeric ranges.
   if (minY >= -1 && maxY <= 5) {
-    return 'absorbance'
+    return { unit: 'absorbance', source: 'range', evidence: [rangeText, '數值落在 -1–5 → Absorbance'], stats }
   }
 
   // Default to transmittance to avoid false negatives from imperfect baseline correction.
-  return 'transmittance'
+  return { unit: 'transmittance', source: 'default', evidence: [rangeText, '無法由標頭或範圍判斷，預設 Transmittance'], stats }
 }
 
 /**
- * Parse CSV text into structured data
- * Expects format: wavenumber, transmittance (with or without header)
- * 
+ * Infer Y-axis unit from FTIR intensity values.
+ *
+ * @param {number[]} yValues
+ * @param {string} headerLine - Header/unit text
+ * @returns {'transmittance'|'absorbance'}
+ */
+export function inferYAxisUnit(yValues, headerLine = '') {
+  return explainYAxisUnit(yValues, headerLine).unit
+}
+
+/**
+ * Parse CSV text into a table of raw cells
+ * Detects the delimiter and decimal separator once for the whole file
+ * and finds every numeric column; `#` lines are kept as comment metadata
+ * and leading `Key,value` rows with a recognized key (Sample, Instrument, ...) as preamble
+ *
  * @param {string} csvText - Raw CSV text
  * @param {object} options - Parsing options
- * @returns {object} Parsed spectrum with transmittance and absorbance
+ * @param {string} options.delimiter - 'auto' or a fixed delimiter
+ * @returns {object} Table with headerLine, columnNames, rows, lineNumbers, numericColumns, delimiter, decimalSeparator, comments, metadata
  * @throws {Error} If CSV is invalid
  */
-export function parseCSVText(csvText, options = {}) {
+export function parseCSVTable(csvText, options = {}) {
   const {
     hasHeader = true,
-    delimiter = ',',
-    skipInvalidRows = true
+    delimiter = 'auto'
   } = options
 
-  // Split into lines and clean
-  const lines = csvText
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0)
+  // Tokenize once, keeping 1-based file line numbers for the parse report
+  const tokens = tokenizeCSV(csvText, { delimiter })
+
+  // Instrument exports often start with `Sample,ABC` style rows before the table
+  const preamble = {}
+  let start = 0
+  while (start < tokens.rows.length - 2) {
+    const entry = parsePreambleRow(tokens.rows[start].cells)
+    if (!entry) break
+    preamble[entry[0]] = entry[1]
+    start++
+  }
+  const lines = tokens.rows.slice(start)
 
   if (lines.length < 2) {
     throw new Error('CSV 數據不足（至少需要 2 行）')
@@ -107,74 +137,225 @@ export function parseCSVText(csvText, options = {}) {
 
   // Skip header if present
   let dataLines = lines
-  const detectedHeader = hasHeader && isHeaderLine(lines[0]) ? lines[0] : ''
-  if (detectedHeader) {
+  const headerCells = hasHeader && isHeaderLine(lines[0].cells) ? lines[0].cells : []
+  if (headerCells.length > 0) {
     dataLines = lines.slice(1)
   }
+  const headerLine = headerCells.join(tokens.delimiter)
+
+  const { decimalSeparator } = tokens
+  const rows = dataLines.map(line => line.cells)
+  const lineNumbers = dataLines.map(line => line.lineNumber)
+  const columnCount = Math.max(...rows.map(row => row.length))
+
+  // A column is numeric when most of its cells parse as numbers
+  const numericColumns = []
+  for (let col = 0; col < columnCount; col++) {
+    const numericCells = rows.filter(row => !isNaN(parseNumber(row[col], decimalSeparator))).length
+    if (numericCells >= rows.length / 2) {
+      numericColumns.push(col)
+    }
+  }
+
+  const commentMetadata = parseCommentMetadata(tokens.comments)
+  const columnNames = Array.from({ length: columnCount }, (_, col) => (
+    headerCells[col] || `Column ${col + 1}`
+  ))
+
+  return {
+    headerLine,
+    headerCells,
+    columnNames,
+    rows,
+    lineNumbers,
+    columnCount,
+    numericColumns,
+    delimiter: tokens.delimiter,
+    decimalSeparator,
+    comments: tokens.comments,
+    commentMetadata,
+    metadata: extractMetadata({ ...preamble, ...commentMetadata })
+  }
+}
+
+/**
+ * Parse CSV text into one spectrum per Y column
+ * Column mapping defaults to X = first column, Y = every other numeric column
+ *
+ * @param {string} csvText - Raw CSV text
+ * @param {object} options - Parsing options
+ * @param {number} options.xColumn - X (wavenumber) column index
+ * @param {number[]} options.yColumns - Y column indices (default: all numeric columns)
+ * @param {object} options.yUnits - {columnIndex: 'auto'|'transmittance'|'absorbance'}
+ * @param {string} options.xUnit - 'auto', 'wavenumber', 'micrometer' or 'nanometer'
+ * @returns {object[]} Parsed spectra, named after their header cells, each with a `parseReport`
+ * @throws {Error} If CSV is invalid
+ */
+export function parseCSVSpectra(csvText, options = {}) {
+  const {
+    skipInvalidRows = true,
+    xColumn = 0,
+    yColumns = null,
+    yUnits = {},
+    xUnit = 'auto'
+  } = options
+
+  const table = parseCSVTable(csvText, options)
+  const resolvedXUnit = xUnit === 'auto'
+    ? inferXAxisUnit(table.rows.map(row => parseNumber(row[xColumn], table.decimalSeparator)), table.headerCells[xColumn] || '').unit
+    : xUnit
+  const targets = yColumns || table.numericColumns.filter(col => col !== xColumn)
+
+  if (targets.length === 0) {
+    throw new Error('CSV 中沒有可用的 Y 數據列')
+  }
+
+  const spectra = []
+  const failures = []
+
+  for (const yColumn of targets) {
+    try {
+      const spectrum = parseColumnPair(table, xColumn, yColumn, skipInvalidRows, yUnits[yColumn], resolvedXUnit)
+      spectra.push({ ...spectrum, name: table.columnNames[yColumn] })
+    } catch (error) {
+      // Explicitly requested columns must parse; auto-detected ones may be skipped
+      if (yColumns) throw error
+      failures.push(error)
+    }
+  }
+
+  if (spectra.length === 0) {
+    throw failures[0]
+  }
+
+  return spectra
+}
+
+/**
+ * Parse one X/Y column pair of a CSV table
+ *
+ * @param {object} table - Output of parseCSVTable
+ * @param {number} xColumn - X column index
+ * @param {number} yColumn - Y column index
+ * @param {boolean} skipInvalidRows - Skip or throw on bad rows
+ * @param {string} yUnit - 'auto', 'transmittance' or 'absorbance'
+ * @param {string} xUnit - 'wavenumber', 'micrometer' or 'nanometer'
+ * @returns {object} Parsed spectrum
+ */
+function parseColumnPair(table, xColumn, yColumn, skipInvalidRows, yUnit = 'auto', xUnit = 'wavenumber') {
+  const [minWn, maxWn] = WAVENUMBER_LIMITS
 
   // Parse data
-  const wavenumber = []
+  const xValues = []
   const yValues = []
-  const errors = []
+  const skippedRows = []
 
-  for (let i = 0; i < dataLines.length; i++) {
-    const line = dataLines[i]
+  for (let i = 0; i < table.rows.length; i++) {
+    const parts = table.rows[i]
+    const line = table.lineNumbers[i]
 
     try {
-      // Try different delimiters
-      let parts = line.split(delimiter).map(p => p.trim())
-      if (parts.length !== 2 && delimiter !== ';') {
-        parts = line.split(';').map(p => p.trim())
-      }
-      if (parts.length !== 2 && delimiter !== '\t') {
-        parts = line.split('\t').map(p => p.trim())
+      if (parts.length <= Math.max(xColumn, yColumn)) {
+        throw new Error(`第 ${line} 行: 不是有效的雙列數據`)
       }
 
-      if (parts.length < 2) {
-        throw new Error(`第 ${i + 1} 行: 不是有效的雙列數據`)
-      }
-
-      const wn = parseFloat(parts[0])
-      const y = parseFloat(parts[1])
+      const x = parseNumber(parts[xColumn], table.decimalSeparator)
+      const y = parseNumber(parts[yColumn], table.decimalSeparator)
 
-      if (isNaN(wn) || isNaN(y)) {
-        throw new Error(`第 ${i + 1} 行: 無法解析為數字`)
+      if (isNaN(x) || isNaN(y)) {
+        const cell = isNaN(x) ? parts[xColumn] : parts[yColumn]
+        throw new Error(`第 ${line} 行: 無法解析為數字 (${cell})`)
       }
 
-      // Validate ranges
-      if (wn < 100 || wn > 5000) {
-        throw new Error(`第 ${i + 1} 行: 波數超出範圍 (100-5000)`)
+      // Validate ranges (after unit conversion)
+      const wn = toWavenumber(x, xUnit)
+      if (!(wn >= minWn && wn <= maxWn)) {
+        throw new Error(`第 ${line} 行: 波數超出範圍 (${minWn}-${maxWn} cm⁻¹)`)
       }
 
-      wavenumber.push(wn)
+      xValues.push(x)
       yValues.push(y)
 
     } catch (error) {
-      errors.push(error.message)
       if (!skipInvalidRows) {
         throw error
       }
+      skippedRows.push({ line, reason: error.message.replace(/^第 \d+ 行: /, '') })
     }
   }
 
-  if (wavenumber.length === 0) {
+  if (xValues.length === 0) {
     throw new Error('無法解析任何有效的數據行')
   }
 
-  if (errors.length > 0) {
-    console.warn(`警告: 跳過了 ${errors.length} 行無效數據`)
-  }
+  // Wavelength data is converted and resampled onto an ascending wavenumber grid
+  const converted = convertToWavenumber(xValues, yValues, xUnit)
+
+  const headerText = table.headerCells[yColumn] || table.headerLine
+  const spectrum = buildSpectrum(converted.wavenumber, converted.yValues, {
+    headerLine: headerText,
+    yAxisUnit: yUnit === 'auto' ? null : yUnit,
+    report: {
+      format: 'CSV',
+      delimiter: table.delimiter,
+      decimalSeparator: table.decimalSeparator,
+      headerFound: Boolean(table.headerLine),
+      headerLine: table.headerLine,
+      commentMetadata: table.commentMetadata,
+      xColumn: table.columnNames[xColumn],
+      yColumn: table.columnNames[yColumn],
+      xAxisUnit: xUnit,
+      totalRows: table.rows.length,
+      parsedRows: xValues.length,
+      skippedRows
+    }
+  })
+  return { ...spectrum, xAxisUnit: xUnit, metadata: table.metadata }
+}
+
+/**
+ * Parse CSV text into structured data
+ * Expects format: wavenumber, transmittance (with or without header)
+ * Only the first Y column is returned; use parseCSVSpectra for multi-column files
+ * 
+ * @param {string} csvText - Raw CSV text
+ * @param {object} options - Parsing options
+ * @returns {object} Parsed spectrum with transmittance and absorbance
+ * @throws {Error} If CSV is invalid
+ */
+export function parseCSVText(csvText, options = {}) {
+  return parseCSVSpectra(csvText, options)[0]
+}
+
+/**
+ * Build the spectrum object consumed by cleanSpectrum and the store
+ * Shared by all file readers (CSV, JCAMP-DX, ...)
+ *
+ * @param {number[]} wavenumber - X values (cm⁻¹)
+ * @param {number[]} yValues - Raw Y values in file units
+ * @param {object} options
+ * @param {string} options.headerLine - Header/unit text used for Y unit inference
+ * @param {string|null} options.yAxisUnit - Force 'transmittance' or 'absorbance' instead of inferring
+ * @param {object} options.report - Reader-specific parse report fields
+ * @returns {object} Spectrum with transmittance, absorbance and `parseReport`
+ * @throws {Error} If data is invalid
+ */
+export function buildSpectrum(wavenumber, yValues, options = {}) {
+  const { headerLine = '', yAxisUnit = null, report = {} } = options
 
   // Validate basic data consistency
   validateSpectrum(wavenumber, yValues)
 
   // Infer unit and normalize to dual representation
-  const yAxisUnit = inferYAxisUnit(yValues, detectedHeader)
+  const inference = yAxisUnit
+    ? { unit: yAxisUnit, source: 'manual', evidence: ['使用者指定'] }
+    : explainYAxisUnit(yValues, headerLine)
+  const unit = inference.unit
 
   let transmittance
   let absorbance
 
-  if (yAxisUnit === 'transmittance') {
+  if (unit === 'transmittance') {
     // Allow >100 transmittance caused by imperfect baseline correction; clamp only when converting.
     transmittance = [...yValues]
     absorbance = transmittanceToAbsorbance(transmittance)
@@ -187,34 +368,37 @@ export function parseCSVText(csvText, options = {}) {
     wavenumber,
     transmittance,
     absorbance,
-    yAxisUnit,
+    yAxisUnit: unit,
     dataPoints: wavenumber.length,
     wavenumberRange: [Math.min(...wavenumber), Math.max(...wavenumber)],
     transmittanceRange: [Math.min(...transmittance), Math.max(...transmittance)],
-    absorbanceRange: [Math.min(...absorbance), Math.max(...absorbance)]
+    absorbanceRange: [Math.min(...absorbance), Math.max(...absorbance)],
+    parseReport: {
+      skippedRows: [],
+      ...report,
+      yAxisUnit: inference
+    }
   }
 }
 
 /**
- * Detect if a line is a CSV header
+ * Detect if the first row is a CSV header
  * 
- * @param {string} line - First line of CSV
+ * @param {string[]} cells - Tokenized cells of the first row
  * @returns {boolean}
  */
-function isHeaderLine(line) {
-  const lowerLine = line.toLowerCase()
-  const headerKeywords = ['wavenumber', 'wavenum', 'frequency', 'cm-1', 'transmit', '%t', 'wavelength']
+function isHeaderLine(cells) {
+  const lowerLine = cells.join(' ').toLowerCase()
 
-  for (const keyword of headerKeywords) {
+  for (const keyword of HEADER_KEYWORDS) {
     if (lowerLine.includes(keyword)) {
       return true
     }
   }
 
   // Check if line contains non-numeric text
-  const parts = line.split(/[,;\t]/)
-  for (const part of parts) {
-    if (isNaN(parseFloat(part.trim()))) {
+  for (const cell of cells) {
+    if (isNaN(parseFloat(cell))) {
       return true
     }
   }
@@ -222,6 +406,37 @@ function isHeaderLine(line) {
   return false
 }
 
+/**
+ * Read a leading `Key,value` (or single-cell `Key: value`) metadata row
+ *
+ * @param {string[]} cells - Tokenized cells
+ * @returns {[string, string]|null} [key, value], or null when the row is not metadata
+ */
+function parsePreambleRow(cells) {
+  const filled = cells.filter(cell => cell.length > 0)
+  let key
+  let value
+
+  if (filled.length === 1) {
+    const match = filled[0].match(/^([^:=]+?)\s*[:=]\s*(.*)$/)
+    if (!match) return null
+    key = match[1]
+    value = match[2]
+  } else if (filled.length === 2) {
+    key = filled[0].replace(/\s*[:=]$/, '')
+    value = filled[1]
+  } else {
+    return null
+  }
+
+  // A table header such as "Sample,Transmittance" is not metadata
+  const lower = filled.join(' ').toLowerCase()
+  if (!isMetadataKey(key) || HEADER_KEYWORDS.some(keyword => lower.includes(keyword))) {
+    return null
+  }
+  return [key, value.trim()]
+}
+
 /**
  * Validate spectrum data consistency
  * 
@@ -341,6 +556,12 @@ export function cleanSpectrum(spectrum) {
       return transmittanceToAbsorbance([p.transmittance])[0]
     }),
     yAxisUnit: spectrum.yAxisUnit || 'transmittance',
+    xAxisUnit: spectrum.xAxisUnit || 'wavenumber',
+    name: spectrum.name || '',
+    metadata: createMetadata(spectrum.metadata),
+    parseReport: spectrum.parseReport
+      ? { ...spectrum.parseReport, duplicatesRemoved: pairs.length - cleaned.length }
+      : null,
     dataPoints: cleaned.length,
     wavenumberRange: [cleaned[0].wavenumber, cleaned[cleaned.length - 1].wavenumber],
     transmittanceRange: [
@@ -364,6 +585,7 @@ export function cleanSpectrum(spectrum) {
  */
 export function exportAsJSON(spectrum, peaks = null, annotations = null) {
   const data = {
+    metadata: createMetadata(spectrum?.metadata),
     spectrum,
     peaks: peaks || null,
     annotations: annotations || null,
@@ -447,10 +669,14 @@ export function exportAnnotationsAsCSV(annotations) {
  */
 export const csvParserFunctions = {
   parseCSVText,
+  parseCSVTable,
+  parseCSVSpectra,
+  buildSpectrum,
   parseCSVFile,
   formatSpectrumInfo,
   cleanSpectrum,
   inferYAxisUnit,
+  explainYAxisUnit,
   transmittanceToAbsorbance,
   absorbanceToTransmittance,
   exportAsJSON,
@@ -0,0 +1,225 @@
+/**
+ * Locale-aware CSV Tokenizer
+ *
+ * Splits delimited spectrum text into cells once for the whole file
+ * - Detects delimiter (, ; tab whitespace) and decimal separator (. or ,)
+ * - RFC 4180 quoting via papaparse
+ * - Keeps `#` comment lines as metadata instead of data/header
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import Papa from 'papaparse'
+
+const WHITESPACE = ' '
+
+// Preferred when consistent: European exports use ; or tab precisely because , is the decimal mark
+const DELIMITER_CANDIDATES = ['\t', ';', ',', WHITESPACE]
+
+// Lines inspected for delimiter / decimal detection
+const SAMPLE_LINES = 50
+
+const DECIMAL_COMMA_PATTERN = /^[+-]?\d*,\d+([eE][+-]?\d+)?$/
+const DECIMAL_POINT_PATTERN = /^[+-]?\d*\.\d+([eE][+-]?\d+)?$/
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/
+
+// "4,000" in a quoted cell of a comma-delimited file may be a thousands separator
+const THOUSANDS_PATTERN = /^[+-]?\d{1,3},\d{3}$/
+
+/**
+ * Parse a numeric cell using the file's decimal separator
+ * The whole cell must be a number: trailing text ("98.5%", "50,5" read with
+ * a '.' separator) makes it invalid instead of being cut off
+ *
+ * @param {string} cell
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number} NaN if not numeric
+ */
+export function parseNumber(cell, decimalSeparator = '.') {
+  if (cell === undefined || cell === null) return NaN
+  const trimmed = String(cell).trim()
+  const text = decimalSeparator === ',' ? trimmed.replace(',', '.') : trimmed
+  return NUMBER_PATTERN.test(text) ? parseFloat(text) : NaN
+}
+
+/**
+ * Split a line with a candidate delimiter (quote-aware enough for detection)
+ */
+function splitForDetection(line, delimiter) {
+  if (delimiter === WHITESPACE) {
+    return line.trim().split(/\s+/)
+  }
+  return Papa.parse(line, { delimiter }).data[0] || []
+}
+
+/**
+ * Detect the delimiter from sample lines
+ * A candidate qualifies when ≥ 90% of lines split into the same number (≥ 2) of cells
+ *
+ * @param {string[]} sampleLines - Non-comment, non-empty lines
+ * @param {string} preferred - Delimiter to try first ('auto' for none)
+ * @returns {string}
+ */
+export function detectDelimiter(sampleLines, preferred = 'auto') {
+  const candidates = preferred && preferred !== 'auto'
+    ? [preferred, ...DELIMITER_CANDIDATES.filter(d => d !== preferred)]
+    : DELIMITER_CANDIDATES
+
+  // Skip a possible header line when data lines are available
+  const lines = sampleLines.length > 2 ? sampleLines.slice(1) : sampleLines
+
+  for (const delimiter of candidates) {
+    const counts = lines.map(line => splitForDetection(line, delimiter).length)
+    const mode = mostCommon(counts)
+    const consistent = counts.filter(c => c === mode).length / counts.length
+    if (mode >= 2 && consistent >= 0.9) {
+      return delimiter
+    }
+  }
+
+  return preferred && preferred !== 'auto' ? preferred : ','
+}
+
+/**
+ * Detect decimal separator from data cells
+ * Comma wins only when comma-decimal cells outnumber point-decimal cells
+ *
+ * @param {string[][]} rows - Tokenized sample rows
+ * @param {string} delimiter - Detected delimiter (with ',' only quoted cells can hold a
+ *   decimal comma, and "4,000" is not counted since it may be a thousands separator)
+ * @returns {'.'|','}
+ */
+export function detectDecimalSeparator(rows, delimiter) {
+  let commaCells = 0
+  let pointCells = 0
+  for (const row of rows) {
+    for (const cell of row) {
+      const text = cell.trim()
+      if (delimiter === ',' && THOUSANDS_PATTERN.test(text)) continue
+      if (DECIMAL_COMMA_PATTERN.test(text)) commaCells++
+      else if (DECIMAL_POINT_PATTERN.test(text)) pointCells++
+    }
+  }
+
+  return commaCells > pointCells ? ',' : '.'
+}
+
+function mostCommon(values) {
+  const counts = new Map()
+  let best = 0
+  let bestCount = 0
+  for (const v of values) {
+    const c = (counts.get(v) || 0) + 1
+    counts.set(v, c)
+    if (c > bestCount) {
+      best = v
+      bestCount = c
+    }
+  }
+  return best
+}
+
+/**
+ * Parse `# key: value` / `# key = value` comment lines into a metadata map
+ *
+ * @param {{line: number, text: string}[]} comments
+ * @returns {object} {key: value} with lower-cased keys
+ */
+export function parseCommentMetadata(comments) {
+  const metadata = {}
+  for (const { text } of comments) {
+    const match = text.match(/^([^:=]+?)\s*[:=]\s*(.+)$/)
+    if (match) {
+      metadata[match[1].trim().toLowerCase()] = match[2].trim()
+    }
+  }
+  return metadata
+}
+
+/**
+ * Tokenize delimited text
+ *
+ * @param {string} text - Raw file text
+ * @param {object} options - { delimiter = 'auto' }
+ * @returns {{rows: {cells: string[], lineNumber: number}[], comments: {line: number, text: string}[], delimiter: string, decimalSeparator: string}}
+ */
+export function tokenizeCSV(text, options = {}) {
+  const { delimiter: preferred = 'auto' } = options
+
+  // Normalize BOM and line endings
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n')
+  const lines = normalized.split('\n')
+
+  // Comment lines are kept as metadata
+  const comments = []
+  const sampleLines = []
+  lines.forEach((line, idx) => {
+    const trimmed = line.trim()
+    if (trimmed.startsWith('#')) {
+      comments.push({ line: idx + 1, text: trimmed.replace(/^#+\s*/, '') })
+    } else if (trimmed.length > 0 && sampleLines.length < SAMPLE_LINES) {
+      sampleLines.push(trimmed)
+    }
+  })
+
+  const delimiter = detectDelimiter(sampleLines, preferred)
+  const rows = []
+
+  if (delimiter === WHITESPACE) {
+    lines.forEach((line, idx) => {
+      const trimmed = line.trim()
+      if (trimmed.length > 0 && !trimmed.startsWith('#')) {
+        rows.push({ cells: trimmed.split(/\s+/), lineNumber: idx + 1 })
+      }
+    })
+  } else {
+    // Line number of each character offset, for rows returned by papaparse
+    const lineStarts = [0]
+    for (let i = 0; i < normalized.length; i++) {
+      if (normalized[i] === '\n') lineStarts.push(i + 1)
+    }
+    const lineAt = (offset) => {
+      let lo = 0
+      let hi = lineStarts.length - 1
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1
+        if (lineStarts[mid] <= offset) lo = mid
+        else hi = mid - 1
+      }
+      return lo + 1
+    }
+
+    Papa.parse(normalized, {
+      delimiter,
+      newline: '\n',
+      comments: '#',
+      skipEmptyLines: 'greedy',
+      step: (result) => {
+        const cells = result.data.map(cell => cell.trim())
+        const cursor = result.meta.cursor
+        const end = normalized[cursor - 1] === '\n' ? cursor - 2 : cursor - 1
+        const embeddedNewlines = result.data.reduce((n, cell) => n + (cell.match(/\n/g) || []).length, 0)
+        rows.push({ cells, lineNumber: lineAt(Math.max(0, end)) - embeddedNewlines })
+      }
+    })
+  }
+
+  const decimalSeparator = detectDecimalSeparator(
+    rows.slice(0, SAMPLE_LINES).map(row => row.cells),
+    delimiter
+  )
+
+  return { rows, comments, delimiter, decimalSeparator }
+}
+
+/**
+ * Export all for testing
+ */
+export const csvTokenizerFunctions = {
+  tokenizeCSV,
+  detectDelimiter,
+  detectDecimalSeparator,
+  parseNumber,
+  parseCommentMetadata
+}
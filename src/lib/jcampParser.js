@@ -0,0 +1,330 @@
+/**
+ * JCAMP-DX Parser for FTIR Spectra
+ *
+ * Reads JCAMP-DX (.jdx/.dx) infrared spectra
+ * Supports ##XYDATA=(X++(Y..Y)) with AFFN, SQZ, DIF and DUP compression
+ * and ##XYPOINTS=(XY..XY) tables
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { buildSpectrum } from './csvParser'
+import { extractMetadata } from './spectrumMetadata'
+import { convertToWavenumber, parseXUnitLabel } from './unitConverter'
+
+// ASDF pseudo-digits (JCAMP-DX 4.24, section 5.9)
+const SQZ_DIGITS = { '@': 0, A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, I: 9, a: -1, b: -2, c: -3, d: -4, e: -5, f: -6, g: -7, h: -8, i: -9 }
+const DIF_DIGITS = { '%': 0, J: 1, K: 2, L: 3, M: 4, N: 5, O: 6, P: 7, Q: 8, R: 9, j: -1, k: -2, l: -3, m: -4, n: -5, o: -6, p: -7, q: -8, r: -9 }
+const DUP_DIGITS = { S: 1, T: 2, U: 3, V: 4, W: 5, X: 6, Y: 7, Z: 8, s: 9 }
+
+/**
+ * Split JCAMP-DX text into labelled data records (LDRs)
+ * Labels are normalized: upper case, without spaces, dashes, slashes or underscores
+ *
+ * @param {string} text - Raw JCAMP-DX text
+ * @returns {{label: string, value: string, lines: string[]}[]} Records in file order
+ */
+function parseLabelledRecords(text) {
+  const records = []
+  let current = null
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    // Strip $$ comments
+    const commentIdx = rawLine.indexOf('$$')
+    const line = (commentIdx >= 0 ? rawLine.slice(0, commentIdx) : rawLine).trim()
+
+    const match = line.match(/^##([^=]*)=(.*)$/)
+    if (match) {
+      current = {
+        label: match[1].replace(/[\s\-/_]/g, '').toUpperCase(),
+        value: match[2].trim(),
+        lines: []
+      }
+      records.push(current)
+    } else if (current && line.length > 0) {
+      current.lines.push(line)
+    }
+  }
+
+  return records
+}
+
+/**
+ * Tokenize one ASDF data line into absolute, difference and duplicate tokens
+ *
+ * @param {string} line - Compressed or AFFN data line
+ * @returns {{type: 'abs'|'dif'|'dup', value: number}[]}
+ */
+function tokenizeASDFLine(line) {
+  const tokens = []
+  let type = null
+  let text = ''
+
+  const flush = () => {
+    if (type !== null) {
+      const value = type === 'abs' && text === '?' ? NaN : parseFloat(text)
+      if (type === 'dup' || !isNaN(value) || text === '?') {
+        tokens.push({ type, value })
+      }
+    }
+    type = null
+    text = ''
+  }
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i]
+
+    if (/[0-9.]/.test(ch)) {
+      if (type === null) type = 'abs'
+      text += ch
+    } else if ((ch === 'E' || ch === 'e') && type === 'abs' && /[+-]/.test(line[i + 1] || '')) {
+      // Exponent of an AFFN number (e.g. 1.5E+02)
+      text += ch + line[i + 1]
+      i++
+    } else if (ch === '+' || ch === '-') {
+      flush()
+      type = 'abs'
+      text = ch
+    } else if (ch in SQZ_DIGITS) {
+      flush()
+      type = 'abs'
+      text = String(SQZ_DIGITS[ch])
+    } else if (ch in DIF_DIGITS) {
+      flush()
+      type = 'dif'
+      text = String(DIF_DIGITS[ch])
+    } else if (ch in DUP_DIGITS) {
+      flush()
+      type = 'dup'
+      text = String(DUP_DIGITS[ch])
+    } else if (ch === '?') {
+      flush()
+      type = 'abs'
+      text = '?'
+    } else {
+      // Separators: space, comma, tab, semicolon
+      flush()
+    }
+  }
+  flush()
+
+  return tokens
+}
+
+/**
+ * Decode an (X++(Y..Y)) data table
+ * Each line starts with an abscissa followed by ordinates in any ASDF form
+ *
+ * @param {string[]} lines - Data lines following ##XYDATA=
+ * @returns {{lineX: number[], lineStart: number[], y: number[]}} Raw (unscaled) values
+ * @throws {Error} If a line cannot be decoded
+ */
+export function decodeXYDataLines(lines) {
+  const y = []
+  const lineX = []
+  const lineStart = []
+  let previousEndedWithDif = false
+
+  for (let lineNo = 0; lineNo < lines.length; lineNo++) {
+    const tokens = tokenizeASDFLine(lines[lineNo])
+    if (tokens.length === 0) continue
+
+    const [xToken, ...yTokens] = tokens
+    if (xToken.type !== 'abs') {
+      throw new Error(`XYDATA 第 ${lineNo + 1} 行: 缺少 X 值`)
+    }
+
+    const values = []
+    let lastToken = null
+
+    for (const token of yTokens) {
+      if (token.type === 'abs') {
+        values.push(token.value)
+        lastToken = token
+      } else if (token.type === 'dif') {
+        if (values.length === 0) {
+          throw new Error(`XYDATA 第 ${lineNo + 1} 行: DIF 缺少起始值`)
+        }
+        values.push(values[values.length - 1] + token.value)
+        lastToken = token
+      } else {
+        // DUP repeats the previous token (count includes the original)
+        if (!lastToken) {
+          throw new Error(`XYDATA 第 ${lineNo + 1} 行: DUP 缺少前一個值`)
+        }
+        for (let k = 1; k < token.value; k++) {
+          values.push(lastToken.type === 'dif' ? values[values.length - 1] + lastToken.value : lastToken.value)
+        }
+      }
+    }
+
+    // In DIF form the first ordinate of a line repeats the last one of the previous line (Y check)
+    if (previousEndedWithDif && y.length > 0 && values.length > 0) {
+      values.shift()
+    }
+    previousEndedWithDif = lastToken?.type === 'dif'
+
+    lineX.push(xToken.value)
+    lineStart.push(y.length)
+    y.push(...values)
+  }
+
+  return { lineX, lineStart, y }
+}
+
+/**
+ * Parse JCAMP-DX text into structured data
+ * Only the first block containing spectral data is read
+ *
+ * @param {string} jcampText - Raw JCAMP-DX text
+ * @param {object} options - { xUnit = 'auto' } to override ##XUNITS
+ * @returns {object} Parsed spectrum with transmittance and absorbance
+ * @throws {Error} If the file is not a supported JCAMP-DX spectrum
+ */
+export function parseJCAMPText(jcampText, options = {}) {
+  const { xUnit = 'auto' } = options
+  const records = parseLabelledRecords(jcampText)
+
+  if (!records.some(r => r.label === 'JCAMPDX')) {
+    throw new Error('不是有效的 JCAMP-DX 文件（缺少 ##JCAMP-DX）')
+  }
+
+  const dataIdx = records.findIndex(r => r.label === 'XYDATA' || r.label === 'XYPOINTS')
+  if (dataIdx < 0) {
+    throw new Error('JCAMP-DX 文件不含 ##XYDATA 或 ##XYPOINTS 數據')
+  }
+
+  // Header values: take the last definition before the data block (nested blocks override)
+  const header = {}
+  for (const record of records.slice(0, dataIdx)) {
+    header[record.label] = record.value
+  }
+
+  const xFactor = parseFloat(header.XFACTOR) || 1
+  const yFactor = parseFloat(header.YFACTOR) || 1
+  const xUnits = header.XUNITS || '1/CM'
+  const yUnits = header.YUNITS || ''
+
+  const dataRecord = records[dataIdx]
+  const format = dataRecord.value.replace(/\s/g, '').toUpperCase()
+
+  let x
+  let y
+  const warnings = []
+
+  if (dataRecord.label === 'XYDATA') {
+    if (format !== '(X++(Y..Y))') {
+      throw new Error(`不支援的 XYDATA 格式: ${dataRecord.value}`)
+    }
+
+    const decoded = decodeXYDataLines(dataRecord.lines)
+    y = decoded.y.map(v => v * yFactor)
+
+    const nPoints = parseInt(header.NPOINTS) || y.length
+    if (y.length !== nPoints) {
+      warnings.push(`##NPOINTS=${nPoints}，實際解碼 ${y.length} 點`)
+    }
+    if (y.length > nPoints) {
+      y = y.slice(0, nPoints)
+    }
+
+    const firstX = parseFloat(header.FIRSTX)
+    const lastX = parseFloat(header.LASTX)
+    let deltaX = parseFloat(header.DELTAX)
+    if (isNaN(deltaX) && !isNaN(firstX) && !isNaN(lastX) && nPoints > 1) {
+      deltaX = (lastX - firstX) / (nPoints - 1)
+    }
+
+    if (!isNaN(firstX) && !isNaN(deltaX)) {
+      x = y.map((_, i) => firstX + i * deltaX)
+    } else {
+      // Fall back to the abscissa given on each line
+      const lineDelta = decoded.lineX.length > 1
+        ? (decoded.lineX[1] - decoded.lineX[0]) * xFactor / (decoded.lineStart[1] - decoded.lineStart[0])
+        : 1
+      x = []
+      decoded.lineX.forEach((lx, lineIdx) => {
+        const end = lineIdx + 1 < decoded.lineStart.length ? decoded.lineStart[lineIdx + 1] : y.length
+        for (let i = decoded.lineStart[lineIdx]; i < end && i < y.length; i++) {
+          x.push(lx * xFactor + (i - decoded.lineStart[lineIdx]) * lineDelta)
+        }
+      })
+    }
+  } else {
+    if (format !== '(XY..XY)') {
+      throw new Error(`不支援的 XYPOINTS 格式: ${dataRecord.value}`)
+    }
+
+    const values = dataRecord.lines
+      .join(' ')
+      .split(/[\s,;]+/)
+      .filter(v => v.length > 0)
+      .map(v => parseFloat(v))
+
+    x = []
+    y = []
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      if (isNaN(values[i]) || isNaN(values[i + 1])) continue
+      x.push(values[i] * xFactor)
+      y.push(values[i + 1] * yFactor)
+    }
+  }
+
+  if (y.length === 0) {
+    throw new Error('JCAMP-DX 文件中沒有可解析的數據點')
+  }
+
+  // JCAMP transmittance is commonly stored as a 0-1 fraction; the app works in %T
+  const yUnitsUpper = yUnits.toUpperCase()
+  if (yUnitsUpper.includes('TRANSMITTANCE') && !yUnitsUpper.includes('%')) {
+    const maxY = Math.max(...y.filter(v => Number.isFinite(v)))
+    if (maxY <= 1.5) {
+      y = y.map(v => v * 100)
+    }
+  }
+
+  // Drop missing ordinates ('?')
+  const xValid = []
+  const yValid = []
+  x.forEach((xv, i) => {
+    if (Number.isFinite(xv) && Number.isFinite(y[i])) {
+      xValid.push(xv)
+      yValid.push(y[i])
+    }
+  })
+
+  const resolvedXUnit = xUnit === 'auto' ? (parseXUnitLabel(xUnits) || 'wavenumber') : xUnit
+  const { wavenumber, yValues } = convertToWavenumber(xValid, yValid, resolvedXUnit)
+
+  const spectrum = buildSpectrum(wavenumber, yValues, {
+    headerLine: yUnits,
+    report: {
+      format: `JCAMP-DX ${header.JCAMPDX || ''}`.trim(),
+      dataTable: `##${dataRecord.label}=${dataRecord.value}`,
+      headerFound: true,
+      xAxisUnit: resolvedXUnit,
+      totalRows: y.length,
+      parsedRows: xValid.length,
+      skippedPoints: y.length - xValid.length,
+      warnings
+    }
+  })
+  return {
+    ...spectrum,
+    xAxisUnit: resolvedXUnit,
+    name: header.TITLE || '',
+    // TITLE, SPECTROMETER/DATA SYSTEM, RESOLUTION, LONGDATE/DATE, $NUM SCANS ...
+    metadata: extractMetadata(header)
+  }
+}
+
+/**
+ * Export all for testing
+ */
+export const jcampParserFunctions = {
+  parseLabelledRecords,
+  tokenizeASDFLine,
+  decodeXYDataLines,
+  parseJCAMPText
+}
@@ -0,0 +1,112 @@
+/**
+ * Small dense linear algebra helpers
+ *
+ * Least-squares fits in the signal processing code (Savitzky–Golay
+ * coefficients, polynomial baselines, peak fitting) only need small
+ * systems, so plain Gaussian elimination is enough
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+/**
+ * Solve A·x = b with Gaussian elimination and partial pivoting
+ *
+ * @param {number[][]} A - Square matrix (not modified)
+ * @param {number[]} b - Right-hand side (not modified)
+ * @returns {number[]} Solution x
+ * @throws {Error} If the matrix is singular
+ */
+export function solveLinearSystem(A, b) {
+  const n = b.length
+  const M = A.map((row, i) => [...row, b[i]])
+
+  for (let col = 0; col < n; col++) {
+    // Partial pivoting
+    let pivot = col
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row
+    }
+    if (Math.abs(M[pivot][col]) < 1e-14) {
+      throw new Error('矩陣奇異，無法求解')
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]]
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col]
+      if (factor === 0) continue
+      for (let k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k]
+      }
+    }
+  }
+
+  // Back substitution
+  const x = new Array(n).fill(0)
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n]
+    for (let k = row + 1; k < n; k++) {
+      sum -= M[row][k] * x[k]
+    }
+    x[row] = sum / M[row][row]
+  }
+
+  return x
+}
+
+/**
+ * Least-squares solution of the overdetermined system J·x ≈ y (normal equations)
+ *
+ * @param {number[][]} J - Design matrix (rows = observations)
+ * @param {number[]} y - Observations
+ * @param {number[]} weights - Optional per-observation weights
+ * @returns {number[]} Coefficients x
+ */
+export function leastSquares(J, y, weights = null) {
+  const cols = J[0].length
+  const JtJ = Array.from({ length: cols }, () => new Array(cols).fill(0))
+  const Jty = new Array(cols).fill(0)
+
+  for (let i = 0; i < J.length; i++) {
+    const w = weights ? weights[i] : 1
+    if (w === 0) continue
+    const row = J[i]
+    for (let a = 0; a < cols; a++) {
+      Jty[a] += w * row[a] * y[i]
+      for (let b = a; b < cols; b++) {
+        JtJ[a][b] += w * row[a] * row[b]
+      }
+    }
+  }
+  for (let a = 0; a < cols; a++) {
+    for (let b = 0; b < a; b++) {
+      JtJ[a][b] = JtJ[b][a]
+    }
+  }
+
+  return solveLinearSystem(JtJ, Jty)
+}
+
+/**
+ * Inverse of a small square matrix (column by column)
+ *
+ * @param {number[][]} A - Square matrix (not modified)
+ * @returns {number[][]} A⁻¹
+ * @throws {Error} If the matrix is singular
+ */
+export function invertMatrix(A) {
+  const n = A.length
+  const columns = Array.from({ length: n }, (_, j) =>
+    solveLinearSystem(A, Array.from({ length: n }, (_, i) => (i === j ? 1 : 0)))
+  )
+  return Array.from({ length: n }, (_, i) => columns.map(col => col[i]))
+}
+
+/**
+ * Export all for testing
+ */
+export const linearAlgebraFunctions = {
+  solveLinearSystem,
+  leastSquares,
+  invertMatrix
+}
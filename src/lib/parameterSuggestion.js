@@ -0,0 +1,139 @@
+/**
+ * Detection Parameter Suggestion ("Auto" mode)
+ *
+ * Derives peak detection settings from the spectrum itself:
+ * - point spacing (median step) and noise level (estimateNoise)
+ * - typical narrow band width from a strict preliminary detection
+ * then picks the smoothing window, height / prominence thresholds and the
+ * minimum peak distance, each with a short explanation for the panel
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import {
+  detectPeaksWithBaseline,
+  estimateNoise,
+  toAbsorbance,
+  windowPoints,
+  DEFAULT_NOISE_OPTIONS
+} from './peakDetector'
+import { medianSpacing } from './resampler'
+
+// Slider ranges in PeakDetectionParameter
+const SMOOTHING_RANGE = [4, 40] // cm⁻¹, step 2
+const HEIGHT_RANGE = [0.00005, 0.005]
+const HEIGHT_STEP = 0.00005
+const DISTANCE_RANGE = [2, 100]
+
+// Condensed-phase bands are rarely narrower than this (cm⁻¹)
+const DEFAULT_BAND_WIDTH = 16
+// Cubic Savitzky–Golay keeps band shape up to a window of about 0.7 × FWHM
+const SMOOTHING_PER_FWHM = 0.7
+// Band widths are taken from peaks at least this many noise levels high
+const PRELIMINARY_SNR = 10
+
+const clamp = (v, [lo, hi]) => Math.min(hi, Math.max(lo, v))
+
+/**
+ * Suggest peak detection parameters for a spectrum
+ *
+ * @param {number[]} wavenumber - Wavenumber values (cm⁻¹)
+ * @param {number[]} values - Transmittance (%) or absorbance (see options.yAxisUnit)
+ * @param {object} options
+ * @param {string} options.yAxisUnit - 'transmittance' (default) or 'absorbance'
+ * @param {object} options.noiseOptions - Noise estimate options (see DEFAULT_NOISE_OPTIONS)
+ * @param {string} options.baselineMethod - Baseline used for the preliminary detection
+ * @param {object} options.baselineParams
+ * @returns {{params: object, explanations: object, basis: object}}
+ *   params: {smoothingWidth, peakHeightThreshold, thresholdMode, minSNR, minDistance}
+ *   explanations: one sentence per params key
+ *   basis: {spacing, noise, noiseMethod, bandWidth, bandCount}
+ */
+export function suggestDetectionParams(wavenumber, values, options = {}) {
+  const {
+    yAxisUnit = 'transmittance',
+    noiseOptions = DEFAULT_NOISE_OPTIONS,
+    baselineMethod = 'linear',
+    baselineParams = {}
+  } = options
+
+  let wn = [...wavenumber]
+  let ys = [...values]
+  if (wn[0] > wn[wn.length - 1]) {
+    wn = wn.reverse()
+    ys = ys.reverse()
+  }
+
+  const spacing = medianSpacing(wn)
+  const noise = estimateNoise(wn, toAbsorbance(ys, yAxisUnit), {
+    ...DEFAULT_NOISE_OPTIONS,
+    ...noiseOptions
+  })
+
+  // Strict, lightly smoothed pass: only clear bands, to measure how narrow they get
+  const { peaks } = detectPeaksWithBaseline(wn, ys, {
+    yAxisUnit,
+    smoothWidth: 4 * spacing, // 5 points
+    baselineMethod,
+    baselineParams,
+    minHeight: 0,
+    minSNR: PRELIMINARY_SNR,
+    noiseOptions,
+    minDistance: 2 * spacing
+  })
+  const widths = peaks.map(p => p.fwhm).filter(w => w > 2 * spacing).sort((a, b) => a - b)
+  // 20th percentile: the narrow bands matter, single outliers do not
+  const bandWidth = widths.length >= 3
+    ? widths[Math.floor(widths.length * 0.2)]
+    : DEFAULT_BAND_WIDTH
+
+  const smoothingWidth = clamp(Math.round((SMOOTHING_PER_FWHM * bandWidth) / 2) * 2, SMOOTHING_RANGE)
+
+  const minSNR = noise.method === 'region' ? 3 : 5
+  const peakHeightThreshold = clamp(
+    Math.round((minSNR * noise.value) / HEIGHT_STEP) * HEIGHT_STEP,
+    HEIGHT_RANGE
+  )
+
+  const minDistance = clamp(Math.round(Math.max(bandWidth / 2, 2 * spacing)), DISTANCE_RANGE)
+
+  const widthSource = widths.length >= 3
+    ? `最窄譜帶 FWHM 約 ${bandWidth.toFixed(1)} cm⁻¹（${widths.length} 個明顯峰的第 20 百分位）`
+    : `明顯峰太少，假設譜帶 FWHM 約 ${DEFAULT_BAND_WIDTH} cm⁻¹`
+  const noiseSource = noise.region
+    ? `${noise.region.join('–')} cm⁻¹ 空白區`
+    : '平滑殘差'
+
+  return {
+    params: {
+      smoothingWidth,
+      peakHeightThreshold: parseFloat(peakHeightThreshold.toFixed(5)),
+      thresholdMode: 'snr',
+      minSNR,
+      minDistance
+    },
+    explanations: {
+      smoothingWidth: `${widthSource}；窗口取 0.7 × FWHM ≈ ${smoothingWidth} cm⁻¹（點距 ${spacing.toFixed(2)} cm⁻¹ 下 ${windowPoints(smoothingWidth, spacing)} 點），平滑而不壓低峰形`,
+      peakHeightThreshold: `雜訊 σ = ${noise.value.toExponential(2)}（${noiseSource}），最小峰高取 ${minSNR} σ`,
+      minSNR: noise.method === 'region'
+        ? '雜訊取自空白區，較可靠：突出度 ≥ 3 σ（偵測極限）'
+        : '雜訊取自平滑殘差，可能低估：突出度提高到 ≥ 5 σ',
+      minDistance: `間距小於半個 FWHM（且至少 2 個點）的峰無法分辨，取 ${minDistance} cm⁻¹`
+    },
+    basis: {
+      spacing,
+      noise: noise.value,
+      noiseMethod: noise.method,
+      bandWidth,
+      bandCount: widths.length
+    }
+  }
+}
+
+/**
+ * Export all for testing
+ */
+export const parameterSuggestionFunctions = {
+  suggestDetectionParams
+}
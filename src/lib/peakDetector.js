@@ -10,6 +10,11 @@
  * Date: 2026-02-19
  */
 
+import { solveLinearSystem } from './linearAlgebra'
+import { computeBaseline } from './baselineCorrection'
+import { maskArray } from './spectralMasks'
+import { compensateAtmosphere } from './atmosphericCompensation'
+
 /**
  * Convert transmittance (%) to absorbance
  * A = log10(100 / %T)
@@ -21,96 +26,213 @@ export function transmittanceToAbsorbance(transmittance) {
   })
 }
 
+// Absorbance above this (0.1 %T) is outside the linear range of most FTIR detectors
+export const SATURATION_ABSORBANCE = 3
+// Stand-in for %T ≤ 0, where absorbance is undefined (always above the saturation limit)
+const UNDEFINED_ABSORBANCE = 6
+
 /**
- * Savitzky-Golay filter (simplified version)
- * Uses simple smoothing if full SG not available
- * 
- * @param {number[]} data - Input signal
+ * Absorbance from the loaded representation, without clamping
+ * Transmittance above 100% gives negative absorbance (background mismatch);
+ * only %T ≤ 0 has no absorbance and is replaced by a stand-in that
+ * findSaturatedRegions always flags
+ *
+ * @param {number[]} values - Transmittance (%) or absorbance
+ * @param {string} yAxisUnit - 'transmittance' (default) or 'absorbance'
+ * @returns {number[]} Absorbance
+ */
+export function toAbsorbance(values, yAxisUnit = 'transmittance') {
+  if (yAxisUnit === 'absorbance') return [...values]
+  return values.map(t => (t > 0 ? Math.log10(100 / t) : UNDEFINED_ABSORBANCE))
+}
+
+/**
+ * Contiguous wavenumber ranges where the absorbance reaches the saturation limit
+ *
+ * @param {number[]} wavenumber - Ascending wavenumber
+ * @param {number[]} absorbance - Unsmoothed absorbance
+ * @param {number} limit - Default SATURATION_ABSORBANCE
+ * @returns {number[][]} [[lo, hi], ...] ascending
+ */
+export function findSaturatedRegions(wavenumber, absorbance, limit = SATURATION_ABSORBANCE) {
+  const regions = []
+  let start = null
+
+  for (let i = 0; i <= absorbance.length; i++) {
+    const saturated = i < absorbance.length && absorbance[i] >= limit
+    if (saturated && start === null) start = i
+    if (!saturated && start !== null) {
+      regions.push([wavenumber[start], wavenumber[i - 1]])
+      start = null
+    }
+  }
+
+  return regions
+}
+
+// Convolution coefficients by window / order / derivative / evaluation position
+const sgCoefficientCache = new Map()
+
+/**
+ * Savitzky–Golay convolution coefficients
+ * Least-squares polynomial fit over the window, evaluated (or differentiated) at `pos`
+ * pos = center gives the standard symmetric filter; other positions are used at the edges
+ *
+ * @param {number} windowLength - Window size (odd)
+ * @param {number} polyorder - Polynomial order (< windowLength)
+ * @param {number} deriv - Derivative order (0 = smoothing)
+ * @param {number} pos - Evaluation position in the window (default: center)
+ * @returns {number[]} Coefficients for unit sample spacing, applied as Σ c[j]·y[start + j]
+ */
+export function savitzkyGolayCoefficients(windowLength, polyorder, deriv = 0, pos = Math.floor(windowLength / 2)) {
+  const key = `${windowLength},${polyorder},${deriv},${pos}`
+  if (sgCoefficientCache.has(key)) {
+    return sgCoefficientCache.get(key)
+  }
+
+  let coefficients
+  if (deriv > polyorder) {
+    coefficients = new Array(windowLength).fill(0)
+  } else {
+    // Scaled abscissa keeps the normal equations well conditioned for wide windows
+    const scale = Math.max(1, Math.floor(windowLength / 2))
+    const J = Array.from({ length: windowLength }, (_, j) => {
+      const u = (j - pos) / scale
+      return Array.from({ length: polyorder + 1 }, (_, k) => Math.pow(u, k))
+    })
+
+    const JtJ = Array.from({ length: polyorder + 1 }, (_, a) =>
+      Array.from({ length: polyorder + 1 }, (_, b) => J.reduce((sum, row) => sum + row[a] * row[b], 0))
+    )
+    const unit = Array.from({ length: polyorder + 1 }, (_, k) => (k === deriv ? 1 : 0))
+    const a = solveLinearSystem(JtJ, unit)
+
+    // d-th derivative at u = 0 is d! · c_d, rescaled to unit sample spacing
+    let factorial = 1
+    for (let k = 2; k <= deriv; k++) factorial *= k
+    const factor = factorial / Math.pow(scale, deriv)
+
+    coefficients = J.map(row => factor * row.reduce((sum, v, k) => sum + v * a[k], 0))
+  }
+
+  sgCoefficientCache.set(key, coefficients)
+  return coefficients
+}
+
+/**
+ * Savitzky–Golay filter with derivative output
+ *
+ * Edge handling:
+ * - 'interp' (default): fit a polynomial to the first / last window and evaluate it at the edge points
+ * - 'mirror': reflect the signal about the end points
+ *
+ * @param {number[]} data - Input signal (uniformly sampled)
  * @param {number} windowLength - Window size (must be odd)
  * @param {number} polyorder - Polynomial order (usually 2-3)
- * @returns {number[]} Smoothed data
+ * @param {object} options - { deriv = 0, delta = 1 (sample spacing), mode = 'interp' }
+ * @returns {number[]} Smoothed data, or its derivative per unit of `delta`
  */
-export function savitzkyGolayFilter(data, windowLength = 11, polyorder = 3) {
+export function savitzkyGolayFilter(data, windowLength = 11, polyorder = 3, options = {}) {
+  const { deriv = 0, delta = 1, mode = 'interp' } = options
+
   // Ensure window length is odd and reasonable
   if (windowLength % 2 === 0) windowLength++
   if (windowLength < polyorder + 1) windowLength = polyorder + 1
   if (windowLength % 2 === 0) windowLength++
   
   if (data.length < windowLength) {
-    return data // Data too short, return as-is
+    return deriv === 0 ? data : new Array(data.length).fill(0) // Data too short
   }
 
-  // Simplified SG: polynomial fit in sliding window
-  const result = new Array(data.length)
+  const n = data.length
   const half = Math.floor(windowLength / 2)
+  const scale = 1 / Math.pow(delta, deriv)
+  const center = savitzkyGolayCoefficients(windowLength, polyorder, deriv)
+  const result = new Array(n)
 
-  for (let i = 0; i < data.length; i++) {
-    const start = Math.max(0, i - half)
-    const end = Math.min(data.length, i + half + 1)
-    const window = data.slice(start, end)
+  // Interior: plain convolution
+  for (let i = half; i < n - half; i++) {
+    let sum = 0
+    for (let j = 0; j < windowLength; j++) {
+      sum += center[j] * data[i - half + j]
+    }
+    result[i] = sum * scale
+  }
 
-    // Simple polynomial fit (least squares)
-    const fitted = fitPolynomial(window, polyorder)
-    result[i] = fitted[Math.floor(window.length / 2)]
+  if (mode === 'mirror') {
+    const reflect = (idx) => (idx < 0 ? -idx : idx >= n ? 2 * (n - 1) - idx : idx)
+    const edges = [...Array(half).keys(), ...Array.from({ length: half }, (_, k) => n - half + k)]
+    for (const i of edges) {
+      let sum = 0
+      for (let j = 0; j < windowLength; j++) {
+        sum += center[j] * data[reflect(i - half + j)]
+      }
+      result[i] = sum * scale
+    }
+  } else {
+    // Polynomial extrapolation from the first / last full window
+    for (let i = 0; i < half; i++) {
+      const left = savitzkyGolayCoefficients(windowLength, polyorder, deriv, i)
+      const right = savitzkyGolayCoefficients(windowLength, polyorder, deriv, windowLength - half + i)
+      let sumLeft = 0
+      let sumRight = 0
+      for (let j = 0; j < windowLength; j++) {
+        sumLeft += left[j] * data[j]
+        sumRight += right[j] * data[n - windowLength + j]
+      }
+      result[i] = sumLeft * scale
+      result[n - half + i] = sumRight * scale
+    }
   }
 
   return result
 }
 
 /**
- * Fit polynomial to data using least squares
+ * Smoothed spectrum with first and second derivatives (d/dν̃, d²/dν̃²)
+ * Sample spacing is taken from the (uniform) wavenumber grid
+ *
+ * @param {number[]} wavenumber - Uniform wavenumber grid
+ * @param {number[]} values - Signal (e.g. absorbance)
+ * @param {number} windowLength - Window size (odd)
+ * @param {number} polyorder - Polynomial order (≥ 2 for a second derivative)
+ * @returns {{smoothed: number[], first: number[], second: number[]}}
  */
-function fitPolynomial(data, degree) {
-  const n = data.length
-  const x = Array.from({length: n}, (_, i) => i)
-
-  // Build system matrix
-  const A = []
-  for (let i = 0; i <= degree; i++) {
-    const col = x.map(xi => Math.pow(xi, i))
-    A.push(col)
-  }
-
-  // Solve using normal equations (simplified)
-  // For simplicity, use weighted average with polynomial weights
-  const weights = gaussianWeights(degree + 1)
-  const smoothed = data.map((_, idx) => {
-    let num = 0, denom = 0
-    for (let i = 0; i < weights.length; i++) {
-      const dataIdx = idx - Math.floor(weights.length / 2) + i
-      if (dataIdx >= 0 && dataIdx < data.length) {
-        num += data[dataIdx] * weights[i]
-        denom += weights[i]
-      }
-    }
-    return denom > 0 ? num / denom : data[idx]
-  })
+export function savitzkyGolayDerivatives(wavenumber, values, windowLength = 11, polyorder = 3) {
+  const delta = wavenumber.length > 1
+    ? (wavenumber[wavenumber.length - 1] - wavenumber[0]) / (wavenumber.length - 1)
+    : 1
 
-  return smoothed
+  return {
+    smoothed: savitzkyGolayFilter(values, windowLength, polyorder),
+    first: savitzkyGolayFilter(values, windowLength, polyorder, { deriv: 1, delta }),
+    second: savitzkyGolayFilter(values, windowLength, polyorder, { deriv: 2, delta })
+  }
 }
 
+// Default smoothing window (cm⁻¹): 7 points at the common 2 cm⁻¹ spacing
+export const DEFAULT_SMOOTH_WIDTH = 12
+
 /**
- * Generate Gaussian weights for smoothing
+ * Odd Savitzky–Golay window (points) spanning a width in cm⁻¹, so smoothing
+ * and derivatives act the same at any point spacing
+ * A window of p points spans (p − 1) × spacing
+ *
+ * @param {number} width - Window width (cm⁻¹)
+ * @param {number} spacing - Point spacing (cm⁻¹)
+ * @param {number} polyorder - The window holds more points than this (default 3)
+ * @returns {number} Odd point count
  */
-function gaussianWeights(size) {
-  const weights = []
-  const sigma = size / 4
-  const center = size / 2
-
-  for (let i = 0; i < size; i++) {
-    const x = i - center
-    const weight = Math.exp(-(x * x) / (2 * sigma * sigma))
-    weights.push(weight)
-  }
-
-  // Normalize
-  const sum = weights.reduce((a, b) => a + b, 0)
-  return weights.map(w => w / sum)
+export function windowPoints(width, spacing, polyorder = 3) {
+  const minimum = polyorder % 2 === 0 ? polyorder + 1 : polyorder + 2
+  if (!(spacing > 0)) return minimum
+  return Math.max(minimum, 2 * Math.round(width / spacing / 2) + 1)
 }
 
 /**
  * Linear baseline removal
  * Connect first and last points with a line
+ * Kept for compatibility; detectPeaks uses computeBaseline (baselineCorrection.js)
  */
 export function removeLinearBaseline(data) {
   const n = data.length
@@ -127,17 +249,184 @@ export function removeLinearBaseline(data) {
   return data.map((y, i) => Math.max(0, y - baseline[i]))
 }
 
+/**
+ * Local maxima; flat plateaus report their middle point (scipy _local_maxima_1d)
+ *
+ * @param {number[]} data
+ * @returns {number[]} Peak indices (ascending)
+ */
+function localMaxima(data) {
+  const peaks = []
+  let i = 1
+  const iMax = data.length - 1
+
+  while (i < iMax) {
+    if (data[i - 1] < data[i]) {
+      let ahead = i + 1
+      while (ahead < iMax && data[ahead] === data[i]) ahead++
+      if (data[ahead] < data[i]) {
+        peaks.push(Math.floor((i + ahead - 1) / 2))
+        i = ahead
+      }
+    }
+    i++
+  }
+
+  return peaks
+}
+
+/**
+ * Drop peaks closer than `distance` to a higher peak (scipy _select_by_peak_distance)
+ *
+ * @param {number[]} peaks - Ascending peak indices
+ * @param {number[]} data
+ * @param {number} distance - Minimum distance in points, or in x units when x is given
+ * @param {number[]} x - Optional ascending abscissa (e.g. wavenumber) for non-uniform spacing
+ * @returns {number[]} Kept peak indices (ascending)
+ */
+function selectByPeakDistance(peaks, data, distance, x = null) {
+  const keep = new Array(peaks.length).fill(true)
+  const priority = peaks.map((_, i) => i).sort((a, b) => data[peaks[b]] - data[peaks[a]])
+  const gap = (a, b) => (x ? Math.abs(x[b] - x[a]) : b - a)
+
+  for (const i of priority) {
+    if (!keep[i]) continue
+    for (let k = i - 1; k >= 0 && gap(peaks[k], peaks[i]) < distance; k--) keep[k] = false
+    for (let k = i + 1; k < peaks.length && gap(peaks[i], peaks[k]) < distance; k++) keep[k] = false
+  }
+
+  return peaks.filter((_, i) => keep[i])
+}
+
+/**
+ * Topographic prominence with left / right bases (scipy.signal.peak_prominences)
+ * Each side is searched until a higher sample or the signal edge; the higher
+ * of the two minima is the reference level
+ *
+ * @param {number[]} data
+ * @param {number[]} peaks - Peak indices
+ * @returns {{prominences: number[], leftBases: number[], rightBases: number[]}}
+ */
+export function peakProminences(data, peaks) {
+  const prominences = []
+  const leftBases = []
+  const rightBases = []
+
+  for (const peak of peaks) {
+    const peakValue = data[peak]
+
+    let leftBase = peak
+    let leftMin = peakValue
+    for (let i = peak; i >= 0 && data[i] <= peakValue; i--) {
+      if (data[i] < leftMin) {
+        leftMin = data[i]
+        leftBase = i
+      }
+    }
+
+    let rightBase = peak
+    let rightMin = peakValue
+    for (let i = peak; i < data.length && data[i] <= peakValue; i++) {
+      if (data[i] < rightMin) {
+        rightMin = data[i]
+        rightBase = i
+      }
+    }
+
+    prominences.push(peakValue - Math.max(leftMin, rightMin))
+    leftBases.push(leftBase)
+    rightBases.push(rightBase)
+  }
+
+  return { prominences, leftBases, rightBases }
+}
+
+/**
+ * Peak widths at a fraction of the prominence, with linearly interpolated
+ * crossing points (scipy.signal.peak_widths)
+ *
+ * @param {number[]} data
+ * @param {number[]} peaks - Peak indices
+ * @param {{prominences: number[], leftBases: number[], rightBases: number[]}} prominenceData
+ * @param {number} relHeight - 0.5 = full width at half prominence
+ * @returns {{widths: number[], widthHeights: number[], leftIps: number[], rightIps: number[]}}
+ *   Widths and crossing positions in (fractional) points
+ */
+export function peakWidths(data, peaks, prominenceData, relHeight = 0.5) {
+  const { prominences, leftBases, rightBases } = prominenceData
+  const widths = []
+  const widthHeights = []
+  const leftIps = []
+  const rightIps = []
+
+  peaks.forEach((peak, k) => {
+    const height = data[peak] - prominences[k] * relHeight
+
+    let i = peak
+    while (leftBases[k] < i && height < data[i]) i--
+    let leftIp = i
+    if (data[i] < height) {
+      leftIp += (height - data[i]) / (data[i + 1] - data[i])
+    }
+
+    i = peak
+    while (i < rightBases[k] && height < data[i]) i++
+    let rightIp = i
+    if (data[i] < height) {
+      rightIp -= (height - data[i]) / (data[i - 1] - data[i])
+    }
+
+    widths.push(rightIp - leftIp)
+    widthHeights.push(height)
+    leftIps.push(leftIp)
+    rightIps.push(rightIp)
+  })
+
+  return { widths, widthHeights, leftIps, rightIps }
+}
+
+/**
+ * Sub-point peak refinement: vertex of the parabola through the peak and its neighbours
+ *
+ * @param {number[]} data
+ * @param {number} peak - Peak index
+ * @returns {{offset: number, height: number}} Offset in points (-0.5..0.5) and interpolated height
+ */
+export function refinePeakParabolic(data, peak) {
+  if (peak <= 0 || peak >= data.length - 1) {
+    return { offset: 0, height: data[peak] }
+  }
+
+  const left = data[peak - 1]
+  const center = data[peak]
+  const right = data[peak + 1]
+  const curvature = left - 2 * center + right
+  if (curvature >= 0) {
+    return { offset: 0, height: center }
+  }
+
+  const offset = Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / curvature))
+  return { offset, height: center - 0.25 * (left - right) * offset }
+}
+
 /**
  * Find peaks in signal
- * Simplified version of scipy.signal.find_peaks
- * 
+ * Follows scipy.signal.find_peaks: height → distance → prominence, widths at half prominence
+ *
  * @param {number[]} data - Input signal
  * @param {number} height - Minimum peak height
  * @param {number} prominence - Minimum peak prominence
- * @param {number} distance - Minimum distance between peaks (in points)
+ * @param {number} distance - Minimum distance between peaks (in points, or in x units with options.x)
+ * @param {object} options
+ * @param {boolean[]} options.exclude - Per-point mask; maxima on true points are dropped
+ *   before the distance selection (prominences still see the whole signal)
+ * @param {number[]} options.x - Ascending abscissa; distance is then measured in its units
  * @returns {{peaks: number[], properties: object}} Peak indices and properties
+ *   (peak_heights, prominences, left_bases, right_bases, widths, width_heights, left_ips, right_ips)
  */
-export function findPeaks(data, height = 0.01, prominence = null, distance = null) {
+export function findPeaks(data, height = 0.01, prominence = null, distance = null, options = {}) {
+  const { exclude = null, x = null } = options
+
   // Auto-calculate prominence if not provided
   if (prominence === null) {
     const maxVal = Math.max(...data)
@@ -149,202 +438,617 @@ export function findPeaks(data, height = 0.01, prominence = null, distance = nul
     distance = Math.floor(data.length / 200) || 1
   }
 
-  const peaks = []
-  const peakHeights = []
-
-  // Find local maxima
-  for (let i = 1; i < data.length - 1; i++) {
-    if (data[i] > data[i - 1] && data[i] > data[i + 1]) {
-      // Check height criterion
-      if (data[i] >= height) {
-        // Check prominence (simplified: peak - min value in range)
-        let minLeft = data[i]
-        let minRight = data[i]
-
-        // Find minimum to the left
-        for (let j = Math.max(0, i - 50); j < i; j++) {
-          minLeft = Math.min(minLeft, data[j])
-        }
-
-        // Find minimum to the right
-        for (let j = i + 1; j < Math.min(data.length, i + 50); j++) {
-          minRight = Math.min(minRight, data[j])
-        }
-
-        const peakProminence = Math.min(data[i] - minLeft, data[i] - minRight)
-
-        if (peakProminence >= prominence) {
-          peaks.push(i)
-          peakHeights.push(data[i])
-        }
-      }
-    }
+  let peaks = localMaxima(data).filter(i => data[i] >= height && !(exclude && exclude[i]))
+
+  if (x ? distance > 0 : distance > 1) {
+    peaks = selectByPeakDistance(peaks, data, distance, x)
   }
 
-  // Apply distance criterion (remove peaks closer than 'distance')
-  const filtered = []
-  const filteredHeights = []
+  const allProminences = peakProminences(data, peaks)
+  const keep = allProminences.prominences.map(p => p >= prominence)
+  peaks = peaks.filter((_, i) => keep[i])
+  const prominenceData = {
+    prominences: allProminences.prominences.filter((_, i) => keep[i]),
+    leftBases: allProminences.leftBases.filter((_, i) => keep[i]),
+    rightBases: allProminences.rightBases.filter((_, i) => keep[i])
+  }
 
-  for (let i = 0; i < peaks.length; i++) {
-    let keep = true
-    for (const p of filtered) {
-      if (Math.abs(peaks[i] - p) < distance) {
-        keep = false
-        break
-      }
-    }
-    if (keep) {
-      filtered.push(peaks[i])
-      filteredHeights.push(peakHeights[i])
+  const widthData = peakWidths(data, peaks, prominenceData, 0.5)
+
+  return {
+    peaks,
+    properties: {
+      peak_heights: peaks.map(i => data[i]),
+      prominences: prominenceData.prominences,
+      left_bases: prominenceData.leftBases,
+      right_bases: prominenceData.rightBases,
+      widths: widthData.widths,
+      width_heights: widthData.widthHeights,
+      left_ips: widthData.leftIps,
+      right_ips: widthData.rightIps
     }
   }
+}
 
-  // Calculate peak widths (simplified FWHM)
-  const widths = []
-  for (const peakIdx of filtered) {
-    const peakHeight = data[peakIdx]
-    const halfHeight = peakHeight / 2
-
-    // Find left edge
-    let leftEdge = peakIdx
-    for (let i = peakIdx - 1; i >= 0; i--) {
-      if (data[i] < halfHeight) {
-        leftEdge = i
-        break
-      }
-    }
+/**
+ * Wavenumber at a fractional point index (linear interpolation)
+ *
+ * @param {number[]} wavenumber
+ * @param {number} ip - Fractional index
+ * @returns {number}
+ */
+export function interpolateWavenumber(wavenumber, ip) {
+  const last = wavenumber.length - 1
+  const i = Math.max(0, Math.min(last - 1, Math.floor(ip)))
+  const frac = ip - i
+  return wavenumber[i] + frac * (wavenumber[i + 1] - wavenumber[i])
+}
 
-    // Find right edge
-    let rightEdge = peakIdx
-    for (let i = peakIdx + 1; i < data.length; i++) {
-      if (data[i] < halfHeight) {
-        rightEdge = i
-        break
-      }
-    }
+/**
+ * Calculate FWHM in wavenumber units from the interpolated half-height crossings
+ *
+ * @param {number[]} leftIps - Left crossing positions (fractional points)
+ * @param {number[]} rightIps - Right crossing positions (fractional points)
+ * @param {number[]} wavenumber - Wavenumber array
+ * @returns {number[]} FWHM values in cm⁻¹
+ */
+export function calculateFWHMWavenumber(leftIps, rightIps, wavenumber) {
+  return leftIps.map((leftIp, i) =>
+    Math.abs(interpolateWavenumber(wavenumber, rightIps[i]) - interpolateWavenumber(wavenumber, leftIp))
+  )
+}
 
-    widths.push(rightEdge - leftEdge)
+// Signal-free windows tried for the noise estimate (cm⁻¹)
+export const DEFAULT_NOISE_REGIONS = [[1800, 2000], [2500, 2600]]
+
+export const DEFAULT_NOISE_OPTIONS = {
+  method: 'region',   // 'region' (blank window) or 'residual' (smoothing residual)
+  region: null,       // [low, high] cm⁻¹ override; null = DEFAULT_NOISE_REGIONS
+  statistic: 'mad'    // 'std' or 'mad' (MAD × 1.4826, robust to spikes)
+}
+
+// Fewer points than this make the spread meaningless
+const MIN_NOISE_POINTS = 10
+
+/**
+ * Spread of a sample: standard deviation or scaled median absolute deviation
+ *
+ * @param {number[]} values
+ * @param {string} statistic - 'std' or 'mad'
+ * @returns {number}
+ */
+function spread(values, statistic) {
+  if (statistic === 'mad') {
+    const median = arr => {
+      const sorted = [...arr].sort((a, b) => a - b)
+      const mid = Math.floor(sorted.length / 2)
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+    }
+    const m = median(values)
+    return 1.4826 * median(values.map(v => Math.abs(v - m)))
   }
 
-  return {
-    peaks: filtered,
-    properties: {
-      peak_heights: filteredHeights,
-      width: widths,
-      prominences: filtered.map(() => prominence) // Simplified
+  const mean = values.reduce((a, b) => a + b, 0) / values.length
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1))
+}
+
+/**
+ * Noise of a window after removing its least-squares line
+ *
+ * @returns {number|null} Null when the window holds too few points
+ */
+function regionNoise(wavenumber, values, low, high, statistic) {
+  const x = []
+  const y = []
+  wavenumber.forEach((wn, i) => {
+    if (wn >= low && wn <= high) {
+      x.push(wn)
+      y.push(values[i])
     }
+  })
+  if (x.length < MIN_NOISE_POINTS) return null
+
+  const n = x.length
+  const meanX = x.reduce((a, b) => a + b, 0) / n
+  const meanY = y.reduce((a, b) => a + b, 0) / n
+  let sxy = 0
+  let sxx = 0
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - meanX) * (y[i] - meanY)
+    sxx += (x[i] - meanX) ** 2
   }
+  const slope = sxx > 0 ? sxy / sxx : 0
+  const detrended = y.map((v, i) => v - (meanY + slope * (x[i] - meanX)))
+
+  return spread(detrended, statistic)
 }
 
 /**
- * Calculate FWHM in wavenumber units
- * 
- * @param {number[]} peakIndices - Peak indices
- * @param {number[]} widthsInPoints - Peak widths in points
- * @param {number[]} wavenumber - Wavenumber array
- * @returns {number[]} FWHM values in cm⁻¹
+ * Estimate the noise level of a spectrum
+ *
+ * - region:   detrended spread inside a signal-free window; with the default
+ *             windows the quieter of the two is used
+ * - residual: spread of (signal − Savitzky–Golay smoothed), rescaled for the
+ *             part of the noise the filter keeps
+ * A region without enough points falls back to the residual method
+ *
+ * @param {number[]} wavenumber - Ascending wavenumber
+ * @param {number[]} values - Unsmoothed absorbance
+ * @param {object} options - See DEFAULT_NOISE_OPTIONS, plus windowLength / polyorder for 'residual'
+ * @returns {{value: number, method: string, region: number[]|null, statistic: string}}
  */
-export function calculateFWHMWavenumber(peakIndices, widthsInPoints, wavenumber) {
-  // Calculate average wavenumber spacing
-  const spacing = []
-  for (let i = 1; i < wavenumber.length; i++) {
-    spacing.push(Math.abs(wavenumber[i] - wavenumber[i - 1]))
+export function estimateNoise(wavenumber, values, options = {}) {
+  const {
+    method = DEFAULT_NOISE_OPTIONS.method,
+    region = DEFAULT_NOISE_OPTIONS.region,
+    statistic = DEFAULT_NOISE_OPTIONS.statistic,
+    windowLength = 11,
+    polyorder = 3
+  } = options
+
+  if (method === 'region') {
+    const candidates = region ? [region] : DEFAULT_NOISE_REGIONS
+    let best = null
+    for (const [a, b] of candidates) {
+      const low = Math.min(a, b)
+      const high = Math.max(a, b)
+      const value = regionNoise(wavenumber, values, low, high, statistic)
+      if (value !== null && (best === null || value < best.value)) {
+        best = { value, method: 'region', region: [low, high], statistic }
+      }
+    }
+    if (best) return best
   }
-  const avgSpacing = spacing.reduce((a, b) => a + b, 0) / spacing.length
 
-  // Convert widths from points to cm⁻¹
-  return widthsInPoints.map(w => w * avgSpacing)
+  const window = Math.min(windowLength, values.length - (values.length % 2 === 0 ? 1 : 0))
+  const smoothed = savitzkyGolayFilter(values, window, Math.min(polyorder, window - 1))
+  const residual = values.map((v, i) => v - smoothed[i])
+  // Residual of white noise has variance σ²(1 − c₀), c₀ = centre smoothing coefficient
+  const c0 = savitzkyGolayCoefficients(window, Math.min(polyorder, window - 1))[Math.floor(window / 2)]
+
+  return {
+    value: spread(residual, statistic) / Math.sqrt(Math.max(1 - c0, 1e-6)),
+    method: 'residual',
+    region: null,
+    statistic
+  }
 }
 
 /**
  * Calculate SNR (Signal-to-Noise Ratio)
- * 
+ *
  * @param {number[]} peakHeights - Heights of peaks
- * @param {number[]} data - Full spectrum data
- * @returns {number[]} SNR values
+ * @param {number} noise - Noise level from estimateNoise
+ * @returns {number[]} SNR values (0 when the noise is unknown)
  */
-export function calculateSNR(peakHeights, data) {
-  // Estimate noise from low-intensity regions
-  const sorted = [...data].sort((a, b) => a - b)
-  const lowIntensityRegion = sorted.slice(0, Math.floor(sorted.length * 0.1))
-  const noiseEstimate = lowIntensityRegion.reduce((a, b) => a + b, 0) / lowIntensityRegion.length
-  const noiseStd = Math.sqrt(
-    lowIntensityRegion.reduce((sum, v) => sum + Math.pow(v - noiseEstimate, 2), 0) / lowIntensityRegion.length
+export function calculateSNR(peakHeights, noise) {
+  return peakHeights.map(h => (noise > 0 ? h / noise : 0))
+}
+
+// Gaussian FWHM = 2.3548σ; second-derivative zero crossings sit at ±σ
+export const GAUSSIAN_FWHM_PER_ZERO_CROSSING_SPAN = 1.1774
+
+/**
+ * Band centres from the minima of a second derivative (shoulders and sub-peaks)
+ *
+ * The width of each dip is measured to its interpolated zero crossing, or to where
+ * it turns back up into a neighbouring dip; the narrower side is doubled so an
+ * overlapping band does not widen it
+ *
+ * @param {number[]} second - Second derivative on an evenly spaced grid
+ * @param {number} minDepth - Minimum -second at the minimum (> 0)
+ * @param {number} minProminence - Minimum prominence of the dip
+ * @param {boolean[]|null} exclude - Masked points (see maskArray)
+ * @returns {{index: number, prominence: number, width: number}[]} Gaussian FWHM in points
+ */
+export function secondDerivativeMinima(second, minDepth = 0, minProminence = 0, exclude = null) {
+  const n = second.length
+  const inverted = second.map(v => -v)
+  const { peaks, properties } = findPeaks(
+    inverted, Math.max(minDepth, Number.MIN_VALUE), minProminence, 1, { exclude }
   )
 
-  return peakHeights.map(h => h / (noiseStd || 1))
+  const halfSpan = (index, step) => {
+    let j = index
+    while (j + step > 0 && j + step < n - 1 && second[j + step] < 0 && second[j + step] >= second[j]) j += step
+    const next = j + step
+    if (next >= 0 && next < n && second[next] >= 0) {
+      return Math.abs(j - index) + second[j] / (second[j] - second[next])
+    }
+    return Math.abs(j - index)
+  }
+
+  return peaks.map((index, i) => ({
+    index,
+    prominence: properties.prominences[i],
+    width: GAUSSIAN_FWHM_PER_ZERO_CROSSING_SPAN * 2 * Math.min(halfSpan(index, -1), halfSpan(index, 1))
+  }))
+}
+
+/**
+ * Shoulders: bands on the flank of a larger peak without a maximum of their own
+ *
+ * A shoulder bends the flank down, so it shows up as a separate minimum of the
+ * second derivative. A candidate is kept when
+ * - the curvature dip (its prominence, so wiggles inside a broad band's dip do
+ *   not count) is at least minCurvatureSNR × the propagated noise
+ * - the first derivative keeps its sign across the window (on a flank, not at a maximum)
+ * - it lies between the bases of a higher detected peak (the parent)
+ * - it is at least minDistance (and half a window) away from every peak and shoulder
+ *
+ * @param {number[]} wavenumber - Ascending wavenumber
+ * @param {number[]} absorbance - Baseline-corrected, unsmoothed absorbance
+ * @param {object[]} peaks - Maxima in the detectPeaks format (with index)
+ * @param {object} options
+ * @param {number} options.windowWidth - Savitzky–Golay derivative window (cm⁻¹, default DEFAULT_SMOOTH_WIDTH)
+ * @param {number} options.polyorder - Default 3
+ * @param {number} options.noise - Noise of the absorbance (0: no curvature SNR test)
+ * @param {number} options.minHeight - Minimum smoothed absorbance at the shoulder
+ * @param {number} options.minCurvatureSNR - Default 3
+ * @param {number} options.minDistance - Minimum separation (cm⁻¹)
+ * @param {boolean[]|null} options.exclude - Masked points (see maskArray)
+ * @returns {object[]} Shoulders in the detectPeaks format plus
+ *   {type: 'shoulder', parentPosition, curvatureSNR}; prominence is null
+ */
+export function findShoulders(wavenumber, absorbance, peaks, options = {}) {
+  const {
+    windowWidth = DEFAULT_SMOOTH_WIDTH,
+    polyorder = 3,
+    noise = 0,
+    minHeight = 0,
+    minCurvatureSNR = 3,
+    minDistance = 0,
+    exclude = null
+  } = options
+
+  const n = absorbance.length
+  const order = Math.max(2, polyorder)
+  const delta = n > 1 ? (wavenumber[n - 1] - wavenumber[0]) / (n - 1) : 0
+  const windowLength = windowPoints(windowWidth, delta, order)
+  if (n < windowLength || peaks.length === 0) return []
+
+  const { smoothed, first, second } = savitzkyGolayDerivatives(wavenumber, absorbance, windowLength, order)
+  const half = Math.floor(windowLength / 2)
+
+  // White noise σ through the second-derivative filter: σ · ‖c‖ / Δν̃²
+  const coefficients = savitzkyGolayCoefficients(windowLength, order, 2)
+  const curvatureNoise = noise * Math.sqrt(coefficients.reduce((sum, c) => sum + c * c, 0)) / (delta * delta)
+
+  const inverted = second.map(v => -v)
+  const candidates = []
+  for (const { index: i, prominence, width } of secondDerivativeMinima(second, 0, minCurvatureSNR * curvatureNoise, exclude)) {
+    if (i < half || i >= n - half) continue
+    if (smoothed[i] < minHeight) continue
+
+    const sign = Math.sign(first[i])
+    let onFlank = sign !== 0
+    for (let j = i - half; onFlank && j <= i + half; j++) {
+      if (Math.sign(first[j]) !== sign) onFlank = false
+    }
+    if (onFlank) {
+      candidates.push({ index: i, width, curvatureSNR: curvatureNoise > 0 ? prominence / curvatureNoise : Infinity })
+    }
+  }
+
+  // Strongest curvature first, so a weak neighbour cannot displace it
+  candidates.sort((a, b) => second[a.index] - second[b.index])
+
+  const separation = Math.max(minDistance, half * delta)
+  const taken = peaks.map(p => p.position)
+  const shoulders = []
+
+  for (const { index, width, curvatureSNR } of candidates) {
+    const refined = refinePeakParabolic(inverted, index)
+    const position = interpolateWavenumber(wavenumber, index + refined.offset)
+    if (taken.some(p => Math.abs(p - position) < separation)) continue
+
+    let parent = null
+    for (const peak of peaks) {
+      const inside = position >= Math.min(peak.leftBase, peak.rightBase) &&
+        position <= Math.max(peak.leftBase, peak.rightBase)
+      if (inside && peak.height > smoothed[index] &&
+        (!parent || Math.abs(peak.position - position) < Math.abs(parent.position - position))) {
+        parent = peak
+      }
+    }
+    if (!parent) continue
+
+    taken.push(position)
+    shoulders.push({
+      position: parseFloat(position.toFixed(2)),
+      intensity: parseFloat(smoothed[index].toFixed(4)),
+      fwhm: parseFloat((width * delta).toFixed(2)),
+      height: parseFloat(smoothed[index].toFixed(4)),
+      prominence: null,
+      leftBase: parent.leftBase,
+      rightBase: parent.rightBase,
+      snr: parseFloat(calculateSNR([smoothed[index]], noise)[0].toFixed(2)),
+      index,
+      type: 'shoulder',
+      parentPosition: parent.position,
+      curvatureSNR: Number.isFinite(curvatureSNR) ? parseFloat(curvatureSNR.toFixed(1)) : null
+    })
+  }
+
+  return shoulders
 }
 
 /**
  * Main peak detection function
  * 
  * @param {number[]} wavenumber - Wavenumber values (cm⁻¹)
- * @param {number[]} transmittance - Transmittance values (%)
+ * @param {number[]} values - Transmittance (%) or absorbance, as loaded (see options.yAxisUnit)
  * @param {object} options - Detection options
+ * @param {string} options.yAxisUnit - 'transmittance' (default) or 'absorbance'
+ * @param {number} options.saturationLimit - Absorbance flagged as saturated (default SATURATION_ABSORBANCE)
+ * @param {number} options.smoothWidth - Savitzky–Golay smoothing window (cm⁻¹, default DEFAULT_SMOOTH_WIDTH),
+ *   converted to an odd point count from the point spacing
+ * @param {string} options.baselineMethod - 'none', 'linear', 'als', 'rubberband', 'polynomial' or 'anchor'
+ * @param {object} options.baselineParams - Baseline method parameters (see baselineCorrection.js)
+ * @param {number} options.minSNR - Minimum prominence as a multiple of the noise (replaces prominencePercent)
+ * @param {object} options.noiseOptions - Noise estimate options (see DEFAULT_NOISE_OPTIONS)
+ * @param {object[]} options.masks - Excluded / include-only windows (see spectralMasks.js)
+ * @param {object} options.compensation - CO₂ / vapor subtraction before smoothing, null to skip
+ *   ({source, reference, resolution}, see atmosphericCompensation.js)
+ * @param {number} options.minDistance - Minimum peak separation (cm⁻¹, default 20; 0 = none),
+ *   independent of the point spacing
+ * @param {boolean} options.shoulders - Also report shoulders (default false, see findShoulders)
+ * @param {number} options.shoulderSNR - Minimum curvature SNR of a shoulder (default 5)
+ * @param {function} options.onProgress - Optional (message, fraction) callback between steps
  * @returns {object} Peak list with detailed information
+ *   {position, intensity, fwhm, height, prominence, leftBase, rightBase, snr, saturated, index};
+ *   leftBase / rightBase are the wavenumbers of the prominence bases;
+ *   shoulders additionally carry type: 'shoulder' and parentPosition
  */
-export function detectPeaks(wavenumber, transmittance, options = {}) {
+export function detectPeaks(wavenumber, values, options = {}) {
+  return detectPeaksWithBaseline(wavenumber, values, options).peaks
+}
+
+/**
+ * Peak detection that also returns the computed baseline for inspection
+ *
+ * @param {number[]} wavenumber - Wavenumber values (cm⁻¹)
+ * @param {number[]} values - Transmittance (%) or absorbance (see options.yAxisUnit)
+ * @param {object} options - Same as detectPeaks
+ * @returns {{peaks: object[], baseline: {method: string, wavenumber: number[], absorbance: number[]}, corrected: number[], noise: object, compensation: object|null, saturation: object}}
+ *   Baseline in absorbance units of the smoothed spectrum, on an ascending grid;
+ *   corrected = smoothed absorbance minus baseline on the same grid;
+ *   noise = {value, method, region, statistic} from estimateNoise;
+ *   compensation = {scales, source, wavenumber, absorbance, reference} (unsmoothed, ascending) or null;
+ *   saturation = {limit, regions: [[lo, hi], ...]} from findSaturatedRegions
+ */
+export function detectPeaksWithBaseline(wavenumber, values, options = {}) {
   const {
-    smoothWindowLength = 11,
+    yAxisUnit = 'transmittance',
+    saturationLimit = SATURATION_ABSORBANCE,
+    smoothWidth = DEFAULT_SMOOTH_WIDTH,
     smoothPolyorder = 3,
     baselineMethod = 'linear',
+    baselineParams = {},
     minHeight = 0.005,
     prominencePercent = 5,
-    distancePercent = 2
+    minSNR = null,
+    noiseOptions = {},
+    masks = [],
+    compensation = null,
+    minDistance = 20,
+    shoulders = false,
+    shoulderSNR = 5,
+    onProgress = () => {}
   } = options
 
   // Ensure wavenumber ordering
   let wn = [...wavenumber]
-  let tm = [...transmittance]
+  let ys = [...values]
   
   if (wn[0] > wn[wn.length - 1]) {
     wn = wn.reverse()
-    tm = tm.reverse()
+    ys = ys.reverse()
+  }
+  const smoothWindowLength = windowPoints(smoothWidth, (wn[wn.length - 1] - wn[0]) / (wn.length - 1), smoothPolyorder)
+
+  // Absorbance from whichever representation was loaded, unclamped
+  const measured = toAbsorbance(ys, yAxisUnit)
+  const saturatedRegions = findSaturatedRegions(wn, measured, saturationLimit)
+  let absorbance = measured
+
+  // Subtract CO₂ / water vapor before smoothing blurs the lines into the bands
+  let compensationResult = null
+  if (compensation) {
+    onProgress('大氣補償（CO₂ / 水氣）...', 0.05)
+    const compensated = compensateAtmosphere(wn, absorbance, compensation)
+    absorbance = compensated.absorbance
+    compensationResult = { ...compensated, wavenumber: wn }
   }
 
-  // Convert to absorbance
-  let absorbance = transmittanceToAbsorbance(tm)
+  // Noise of the measured (unsmoothed) absorbance
+  const noise = estimateNoise(wn, absorbance, {
+    windowLength: smoothWindowLength,
+    polyorder: smoothPolyorder,
+    ...noiseOptions
+  })
 
-  // Smooth spectrum
+  // Smooth spectrum (the unsmoothed one is kept for the shoulder curvature)
+  onProgress('平滑光譜...', 0.1)
+  const unsmoothed = absorbance
   absorbance = savitzkyGolayFilter(absorbance, smoothWindowLength, smoothPolyorder)
 
   // Remove baseline
-  if (baselineMethod === 'linear') {
-    absorbance = removeLinearBaseline(absorbance)
-  }
+  onProgress('扣除基線...', 0.5)
+  const baseline = computeBaseline(wn, absorbance, baselineMethod, baselineParams)
+  absorbance = absorbance.map((a, i) => a - baseline[i])
 
-  // Auto-calculate parameters
-  const maxAbs = Math.max(...absorbance)
+  // Auto-calculate parameters (masked bands such as CO₂ must not set the scale)
+  const masked = maskArray(wn, masks)
+  const maxAbs = Math.max(...absorbance.filter((_, i) => !(masked && masked[i])))
   const height = Math.max(minHeight, maxAbs * 0.01)
-  const prominence = maxAbs * (prominencePercent / 100)
-  const distance = Math.max(1, Math.floor(wn.length * (distancePercent / 100)))
-
-  // Detect peaks
-  const result = findPeaks(absorbance, height, prominence, distance)
+  // Minimum prominence: minSNR × noise when given, else a percentage of the maximum
+  const prominence = minSNR > 0 && noise.value > 0
+    ? minSNR * noise.value
+    : maxAbs * (prominencePercent / 100)
+  // Detect peaks (separation measured in cm⁻¹ on the wavenumber axis)
+  onProgress('尋找峰值...', 0.6)
+  const result = findPeaks(absorbance, height, prominence, Math.max(minDistance, 0), {
+    exclude: masked,
+    x: wn
+  })
   const peaks = result.peaks
   const properties = result.properties
 
   // Calculate FWHM
-  const fwhmWavenumber = calculateFWHMWavenumber(peaks, properties.width, wn)
+  onProgress('計算 FWHM / SNR...', 0.9)
+  const fwhmWavenumber = calculateFWHMWavenumber(properties.left_ips, properties.right_ips, wn)
 
   // Calculate SNR
-  const snr = calculateSNR(properties.peak_heights, absorbance)
-
-  // Build peak list
-  const peakList = peaks.map((peakIdx, i) => ({
-    position: parseFloat(wn[peakIdx].toFixed(2)),
-    intensity: parseFloat(absorbance[peakIdx].toFixed(4)),
-    fwhm: parseFloat(fwhmWavenumber[i].toFixed(2)),
-    height: parseFloat(properties.peak_heights[i].toFixed(4)),
-    prominence: parseFloat(properties.prominences[i].toFixed(4)),
-    snr: parseFloat(snr[i].toFixed(2)),
-    index: peakIdx
-  }))
+  const snr = calculateSNR(properties.peak_heights, noise.value)
+
+  // Build peak list (position / intensity refined between samples)
+  const peakList = peaks.map((peakIdx, i) => {
+    const refined = refinePeakParabolic(absorbance, peakIdx)
+    return {
+      position: parseFloat(interpolateWavenumber(wn, peakIdx + refined.offset).toFixed(2)),
+      intensity: parseFloat(refined.height.toFixed(4)),
+      fwhm: parseFloat(fwhmWavenumber[i].toFixed(2)),
+      height: parseFloat(properties.peak_heights[i].toFixed(4)),
+      prominence: parseFloat(properties.prominences[i].toFixed(4)),
+      leftBase: parseFloat(wn[properties.left_bases[i]].toFixed(2)),
+      rightBase: parseFloat(wn[properties.right_bases[i]].toFixed(2)),
+      snr: parseFloat(snr[i].toFixed(2)),
+      // Flat-topped: position and height are not reliable
+      saturated: measured[peakIdx] >= saturationLimit,
+      index: peakIdx
+    }
+  })
+
+  if (shoulders) {
+    onProgress('尋找肩峰...', 0.95)
+    const found = findShoulders(wn, unsmoothed.map((a, i) => a - baseline[i]), peakList, {
+      windowWidth: smoothWidth,
+      polyorder: smoothPolyorder,
+      noise: noise.value,
+      minHeight: height,
+      minCurvatureSNR: shoulderSNR,
+      minDistance: Math.max(minDistance, 0),
+      exclude: masked
+    })
+    found.forEach(s => peakList.push({ ...s, saturated: measured[s.index] >= saturationLimit }))
+  }
 
   // Sort by position (descending wavenumber)
   peakList.sort((a, b) => b.position - a.position)
 
-  return peakList
+  return {
+    peaks: peakList,
+    baseline: { method: baselineMethod, wavenumber: wn, absorbance: baseline },
+    corrected: absorbance,
+    noise,
+    compensation: compensationResult,
+    saturation: { limit: saturationLimit, regions: saturatedRegions }
+  }
+}
+
+/**
+ * Measure one peak at a chosen position (manual peak editing)
+ *
+ * The signal is built like detectPeaksWithBaseline's: smoothed absorbance minus
+ * the detection baseline. With refine, the position snaps to the highest local
+ * maximum within ±searchPoints (shoulders without one keep the clicked position)
+ *
+ * @param {number[]} wavenumber - Wavenumber values (cm⁻¹)
+ * @param {number[]} values - Transmittance (%) or absorbance (see options.yAxisUnit)
+ * @param {number} position - Requested position (cm⁻¹)
+ * @param {object} options
+ * @param {string} options.yAxisUnit - 'transmittance' (default) or 'absorbance'
+ * @param {number} options.saturationLimit - Default SATURATION_ABSORBANCE
+ * @param {number} options.smoothWidth - Smoothing window (cm⁻¹, default DEFAULT_SMOOTH_WIDTH)
+ * @param {number} options.smoothPolyorder - Default 3
+ * @param {number[]} options.baseline - Detection baseline (ascending grid), optional
+ * @param {number[]} options.compensation - Subtracted vapor reference (ascending grid), optional
+ * @param {number} options.noise - Noise level for the SNR
+ * @param {boolean} options.refine - Snap to a nearby local maximum (default true)
+ * @param {number} options.searchPoints - Snap radius in points (default 3)
+ * @returns {object} Peak in the detectPeaks format
+ */
+export function measurePeakAt(wavenumber, values, position, options = {}) {
+  const {
+    yAxisUnit = 'transmittance',
+    saturationLimit = SATURATION_ABSORBANCE,
+    smoothWidth = DEFAULT_SMOOTH_WIDTH,
+    smoothPolyorder = 3,
+    baseline = null,
+    compensation = null,
+    noise = 0,
+    refine = true,
+    searchPoints = 3
+  } = options
+
+  let wn = [...wavenumber]
+  let ys = [...values]
+  if (wn[0] > wn[wn.length - 1]) {
+    wn = wn.reverse()
+    ys = ys.reverse()
+  }
+
+  const measured = toAbsorbance(ys, yAxisUnit)
+  let absorbance = measured
+  if (compensation && compensation.length === absorbance.length) {
+    absorbance = absorbance.map((a, i) => a - compensation[i])
+  }
+
+  const smoothWindowLength = windowPoints(smoothWidth, (wn[wn.length - 1] - wn[0]) / (wn.length - 1), smoothPolyorder)
+  let signal = savitzkyGolayFilter(absorbance, smoothWindowLength, smoothPolyorder)
+  if (baseline && baseline.length === signal.length) {
+    signal = signal.map((a, i) => a - baseline[i])
+  }
+
+  let index = 0
+  for (let i = 1; i < wn.length; i++) {
+    if (Math.abs(wn[i] - position) < Math.abs(wn[index] - position)) index = i
+  }
+
+  let peakPosition = position
+  let intensity = signal[index]
+
+  if (refine) {
+    let best = null
+    const start = Math.max(1, index - searchPoints)
+    const end = Math.min(signal.length - 2, index + searchPoints)
+    for (let i = start; i <= end; i++) {
+      const isMaximum = signal[i] >= signal[i - 1] && signal[i] >= signal[i + 1]
+      if (isMaximum && (best === null || signal[i] > signal[best])) best = i
+    }
+    if (best !== null) {
+      index = best
+      const refined = refinePeakParabolic(signal, index)
+      peakPosition = interpolateWavenumber(wn, index + refined.offset)
+      intensity = refined.height
+    }
+  }
+
+  let prominenceData = peakProminences(signal, [index])
+  // Shoulders have no prominence of their own: measure the width at half the absolute height
+  if (!(prominenceData.prominences[0] > 0)) {
+    prominenceData = {
+      prominences: [Math.max(signal[index], 0)],
+      leftBases: [0],
+      rightBases: [signal.length - 1]
+    }
+  }
+  const widths = peakWidths(signal, [index], prominenceData, 0.5)
+  const [fwhm] = calculateFWHMWavenumber(widths.leftIps, widths.rightIps, wn)
+
+  return {
+    position: parseFloat(peakPosition.toFixed(2)),
+    intensity: parseFloat(intensity.toFixed(4)),
+    fwhm: parseFloat(fwhm.toFixed(2)),
+    height: parseFloat(signal[index].toFixed(4)),
+    prominence: parseFloat(prominenceData.prominences[0].toFixed(4)),
+    leftBase: parseFloat(wn[prominenceData.leftBases[0]].toFixed(2)),
+    rightBase: parseFloat(wn[prominenceData.rightBases[0]].toFixed(2)),
+    snr: parseFloat(calculateSNR([signal[index]], noise)[0].toFixed(2)),
+    saturated: measured[index] >= saturationLimit,
+    index
+  }
 }
 
 /**
@@ -352,10 +1056,24 @@ export function detectPeaks(wavenumber, transmittance, options = {}) {
  */
 export const peakDetectorFunctions = {
   transmittanceToAbsorbance,
+  toAbsorbance,
+  findSaturatedRegions,
+  savitzkyGolayCoefficients,
+  windowPoints,
   savitzkyGolayFilter,
+  savitzkyGolayDerivatives,
   removeLinearBaseline,
   findPeaks,
+  peakProminences,
+  peakWidths,
+  refinePeakParabolic,
+  interpolateWavenumber,
   calculateFWHMWavenumber,
+  estimateNoise,
   calculateSNR,
-  detectPeaks
+  secondDerivativeMinima,
+  findShoulders,
+  detectPeaks,
+  detectPeaksWithBaseline,
+  measurePeakAt
 }
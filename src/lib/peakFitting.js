@@ -0,0 +1,335 @@
+/**
+ * Peak Fitting (band areas and fitted widths)
+ *
+ * Fits a sum of Gaussian / Lorentzian / pseudo-Voigt profiles to the
+ * baseline-corrected absorbance over a wavenumber region, using detected
+ * peaks as initial guesses and Levenberg–Marquardt nonlinear least squares
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { solveLinearSystem, invertMatrix } from './linearAlgebra'
+
+export const PROFILE_SHAPES = [
+  { value: 'gaussian', label: 'Gaussian' },
+  { value: 'lorentzian', label: 'Lorentzian' },
+  { value: 'pseudoVoigt', label: 'Pseudo-Voigt' }
+]
+
+// Above this the numeric Jacobian gets too slow for interactive use
+export const MAX_FIT_COMPONENTS = 20
+
+const FOUR_LN2 = 4 * Math.LN2
+// Area / (height · FWHM)
+const GAUSSIAN_AREA_FACTOR = Math.sqrt(Math.PI / FOUR_LN2)
+const LORENTZIAN_AREA_FACTOR = Math.PI / 2
+
+/**
+ * Profile value at x
+ * Pseudo-Voigt = η·Lorentzian + (1 - η)·Gaussian with a shared FWHM
+ *
+ * @param {string} shape - 'gaussian', 'lorentzian' or 'pseudoVoigt'
+ * @param {number} x
+ * @param {number} center
+ * @param {number} height
+ * @param {number} fwhm
+ * @param {number} eta - Lorentzian fraction (pseudo-Voigt only)
+ * @returns {number}
+ */
+export function profileValue(shape, x, center, height, fwhm, eta = 0.5) {
+  const u = (x - center) / fwhm
+  const gaussian = Math.exp(-FOUR_LN2 * u * u)
+  const lorentzian = 1 / (1 + 4 * u * u)
+
+  switch (shape) {
+    case 'gaussian':
+      return height * gaussian
+    case 'lorentzian':
+      return height * lorentzian
+    default:
+      return height * (eta * lorentzian + (1 - eta) * gaussian)
+  }
+}
+
+/**
+ * Integrated band area of a profile
+ *
+ * @param {string} shape
+ * @param {number} height
+ * @param {number} fwhm
+ * @param {number} eta
+ * @returns {number} Area (absorbance · cm⁻¹)
+ */
+export function profileArea(shape, height, fwhm, eta = 0.5) {
+  const mixing = shape === 'gaussian' ? 0 : shape === 'lorentzian' ? 1 : eta
+  return height * fwhm * (mixing * LORENTZIAN_AREA_FACTOR + (1 - mixing) * GAUSSIAN_AREA_FACTOR)
+}
+
+/**
+ * Levenberg–Marquardt nonlinear least squares with a forward-difference Jacobian
+ *
+ * @param {function} model - (params, x) => y
+ * @param {number[]} initial - Initial parameters
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {object} options
+ * @param {function} options.constrain - (params) => params kept inside their bounds
+ * @param {number} options.maxIterations - Default 200
+ * @param {number} options.tolerance - Relative cost change for convergence (default 1e-9)
+ * @returns {{params: number[], jacobian: number[][], cost: number, iterations: number, converged: boolean}}
+ */
+export function levenbergMarquardt(model, initial, x, y, options = {}) {
+  const {
+    constrain = p => p,
+    maxIterations = 200,
+    tolerance = 1e-9
+  } = options
+
+  const residuals = p => x.map((xi, i) => y[i] - model(p, xi))
+  const sumSquares = r => r.reduce((sum, v) => sum + v * v, 0)
+
+  let params = constrain([...initial])
+  let r = residuals(params)
+  let cost = sumSquares(r)
+  let lambda = 1e-3
+  let jacobian = []
+  let converged = false
+  let iteration = 0
+
+  for (; iteration < maxIterations; iteration++) {
+    jacobian = numericJacobian(model, params, x)
+    const nParams = params.length
+    const JtJ = Array.from({ length: nParams }, () => new Array(nParams).fill(0))
+    const Jtr = new Array(nParams).fill(0)
+
+    for (let i = 0; i < x.length; i++) {
+      const row = jacobian[i]
+      for (let a = 0; a < nParams; a++) {
+        Jtr[a] += row[a] * r[i]
+        for (let b = a; b < nParams; b++) JtJ[a][b] += row[a] * row[b]
+      }
+    }
+    for (let a = 0; a < nParams; a++) {
+      for (let b = 0; b < a; b++) JtJ[a][b] = JtJ[b][a]
+    }
+
+    // Raise λ until a step lowers the cost
+    let improved = false
+    while (lambda < 1e12) {
+      const damped = JtJ.map((row, a) => row.map((v, b) => (a === b ? v + lambda * Math.max(v, 1e-12) : v)))
+      let step
+      try {
+        step = solveLinearSystem(damped, Jtr)
+      } catch {
+        lambda *= 10
+        continue
+      }
+
+      const candidate = constrain(params.map((p, k) => p + step[k]))
+      const candidateResiduals = residuals(candidate)
+      const candidateCost = sumSquares(candidateResiduals)
+
+      if (candidateCost < cost) {
+        const change = (cost - candidateCost) / (cost || 1)
+        params = candidate
+        r = candidateResiduals
+        cost = candidateCost
+        lambda = Math.max(lambda / 10, 1e-12)
+        improved = true
+        if (change < tolerance) converged = true
+        break
+      }
+      lambda *= 10
+    }
+
+    // No downhill step left: at a minimum
+    if (!improved) {
+      converged = true
+      break
+    }
+    if (converged) break
+  }
+
+  return { params, jacobian: numericJacobian(model, params, x), cost, iterations: iteration + 1, converged }
+}
+
+function numericJacobian(model, params, x) {
+  const base = x.map(xi => model(params, xi))
+  const columns = params.map((p, k) => {
+    const h = 1e-6 * Math.max(Math.abs(p), 1e-3)
+    const shifted = [...params]
+    shifted[k] = p + h
+    return x.map((xi, i) => (model(shifted, xi) - base[i]) / h)
+  })
+  return x.map((_, i) => columns.map(col => col[i]))
+}
+
+/**
+ * Fit peaks over a region
+ *
+ * @param {number[]} wavenumber - Ascending wavenumber
+ * @param {number[]} absorbance - Baseline-corrected absorbance
+ * @param {object[]} peaks - Detected peaks (position, intensity, fwhm) as initial guesses
+ * @param {object} options
+ * @param {string} options.shape - 'gaussian', 'lorentzian' or 'pseudoVoigt' (default)
+ * @param {number} options.regionMin - Region start (cm⁻¹), default spectrum start
+ * @param {number} options.regionMax - Region end (cm⁻¹), default spectrum end
+ * @returns {object} {shape, region, components, wavenumber, data, fitted, residual, rSquared, rmse, iterations, converged}
+ *   components: {center, height, fwhm, area, eta, curve, uncertainties: {center, height, fwhm, area, eta}}
+ * @throws {Error} Without peaks in the region, with too many peaks or too few points
+ */
+export function fitPeaks(wavenumber, absorbance, peaks, options = {}) {
+  const {
+    shape = 'pseudoVoigt',
+    regionMin = wavenumber[0],
+    regionMax = wavenumber[wavenumber.length - 1]
+  } = options
+  const low = Math.min(regionMin, regionMax)
+  const high = Math.max(regionMin, regionMax)
+
+  const x = []
+  const y = []
+  wavenumber.forEach((wn, i) => {
+    if (wn >= low && wn <= high) {
+      x.push(wn)
+      y.push(absorbance[i])
+    }
+  })
+
+  const guesses = peaks.filter(p => p.position >= low && p.position <= high)
+  if (guesses.length === 0) {
+    throw new Error('擬合區間內沒有峰值')
+  }
+  if (guesses.length > MAX_FIT_COMPONENTS) {
+    throw new Error(`擬合區間內有 ${guesses.length} 個峰，最多 ${MAX_FIT_COMPONENTS} 個，請縮小區間`)
+  }
+
+  const perPeak = shape === 'pseudoVoigt' ? 4 : 3
+  if (x.length <= guesses.length * perPeak) {
+    throw new Error('擬合區間內的數據點太少')
+  }
+
+  const spacing = (x[x.length - 1] - x[0]) / (x.length - 1)
+  const initial = guesses.flatMap(p => {
+    const params = [p.position, Math.max(p.intensity, 1e-4), Math.max(p.fwhm || 10, 2 * spacing)]
+    return shape === 'pseudoVoigt' ? [...params, 0.5] : params
+  })
+
+  const model = (params, xi) => {
+    let sum = 0
+    for (let k = 0; k < params.length; k += perPeak) {
+      sum += profileValue(shape, xi, params[k], params[k + 1], params[k + 2], params[k + 3])
+    }
+    return sum
+  }
+
+  // Centers stay in the region, heights non-negative, widths above the sampling, η in [0, 1]
+  const constrain = params => params.map((v, k) => {
+    switch (k % perPeak) {
+      case 0: return Math.min(high, Math.max(low, v))
+      case 1: return Math.max(0, v)
+      case 2: return Math.min(high - low, Math.max(spacing, v))
+      default: return Math.min(1, Math.max(0, v))
+    }
+  })
+
+  const fit = levenbergMarquardt(model, initial, x, y, { constrain })
+  const covariance = parameterCovariance(fit.jacobian, fit.cost, x.length)
+
+  const fitted = x.map(xi => model(fit.params, xi))
+  const residual = y.map((v, i) => v - fitted[i])
+  const mean = y.reduce((a, b) => a + b, 0) / y.length
+  const totalSquares = y.reduce((sum, v) => sum + (v - mean) ** 2, 0)
+
+  const components = guesses.map((_, c) => {
+    const k = c * perPeak
+    const [center, height, fwhm] = fit.params.slice(k, k + 3)
+    const eta = shape === 'pseudoVoigt' ? fit.params[k + 3] : shape === 'lorentzian' ? 1 : 0
+    const sigma = j => (covariance ? Math.sqrt(Math.max(0, covariance[k + j][k + j])) : null)
+
+    return {
+      center,
+      height,
+      fwhm,
+      area: profileArea(shape, height, fwhm, eta),
+      eta,
+      curve: x.map(xi => profileValue(shape, xi, center, height, fwhm, eta)),
+      uncertainties: {
+        center: sigma(0),
+        height: sigma(1),
+        fwhm: sigma(2),
+        area: covariance ? areaUncertainty(shape, fit.params, k, covariance) : null,
+        eta: shape === 'pseudoVoigt' ? sigma(3) : null
+      }
+    }
+  })
+
+  return {
+    shape,
+    region: [low, high],
+    components,
+    wavenumber: x,
+    data: y,
+    fitted,
+    residual,
+    rSquared: totalSquares > 0 ? 1 - fit.cost / totalSquares : 1,
+    rmse: Math.sqrt(fit.cost / x.length),
+    iterations: fit.iterations,
+    converged: fit.converged
+  }
+}
+
+/**
+ * Parameter covariance: (JᵀJ)⁻¹ · SSR / (n - p)
+ *
+ * @returns {number[][]|null} Null when the fit is not determined (singular JᵀJ)
+ */
+function parameterCovariance(jacobian, cost, nPoints) {
+  const nParams = jacobian[0].length
+  const dof = Math.max(1, nPoints - nParams)
+  const JtJ = Array.from({ length: nParams }, (_, a) =>
+    Array.from({ length: nParams }, (_, b) => jacobian.reduce((sum, row) => sum + row[a] * row[b], 0))
+  )
+
+  try {
+    const inverse = invertMatrix(JtJ)
+    const variance = cost / dof
+    return inverse.map(row => row.map(v => v * variance))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Area uncertainty by first-order propagation over (height, fwhm, η)
+ */
+function areaUncertainty(shape, params, k, covariance) {
+  const [height, fwhm, eta] = [params[k + 1], params[k + 2], params[k + 3]]
+  const area = profileArea(shape, height, fwhm, eta)
+  const gradient = [
+    [k + 1, area / (height || 1e-12)],
+    [k + 2, area / (fwhm || 1e-12)]
+  ]
+  if (shape === 'pseudoVoigt') {
+    gradient.push([k + 3, height * fwhm * (LORENTZIAN_AREA_FACTOR - GAUSSIAN_AREA_FACTOR)])
+  }
+
+  let variance = 0
+  for (const [a, ga] of gradient) {
+    for (const [b, gb] of gradient) variance += ga * gb * covariance[a][b]
+  }
+  return Math.sqrt(Math.max(0, variance))
+}
+
+/**
+ * Export all for testing
+ */
+export const peakFittingFunctions = {
+  profileValue,
+  profileArea,
+  levenbergMarquardt,
+  fitPeaks,
+  parameterCovariance,
+  areaUncertainty
+}
@@ -0,0 +1,237 @@
+/**
+ * Analysis Pipeline Stages
+ *
+ * csvParser → peakDetector → ruleMatcher as independent stages,
+ * each timed against the performance targets in PROJECT_CHECKLIST.md
+ * Runs inside the pipeline Web Worker (or in-thread as a fallback)
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { parseCSVTable, cleanSpectrum } from './csvParser'
+import { parseSpectrumSource } from './spectrumFile'
+import { toAbsorbance } from './peakDetector'
+import { compensateAtmosphere } from './atmosphericCompensation'
+import { resampleSpectrum } from './resampler'
+import { suggestDetectionParams } from './parameterSuggestion'
+import { runSensitivitySweep } from './sensitivityAnalysis'
+import { fitPeaks } from './peakFitting'
+import { detectPeaksWithEnhancement } from './resolutionEnhancement'
+import { matchAllPeaks } from './ruleMatcher'
+import rulesDb from '../data/ftir-rules-database.json'
+
+// Performance targets (ms), PROJECT_CHECKLIST.md「性能測試」
+export const PERFORMANCE_TARGETS = {
+  inspect: 100,
+  parse: 100,
+  resample: 100,
+  suggest: 200,
+  sweep: 3000,
+  detect: 200,
+  compensate: 100,
+  match: 100,
+  fit: 500
+}
+
+export const STAGE_LABELS = {
+  inspect: '讀取 CSV 表格',
+  parse: '解析光譜',
+  resample: '重新取樣',
+  suggest: '參數建議',
+  sweep: '靈敏度分析',
+  detect: '峰值偵測',
+  compensate: '大氣補償',
+  match: '規則匹配',
+  fit: '曲線擬合'
+}
+
+/**
+ * Timing record for one stage run
+ *
+ * @param {string} stage
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {{stage: string, ms: number, target: number, withinTarget: boolean}}
+ */
+export function buildTiming(stage, ms) {
+  const target = PERFORMANCE_TARGETS[stage]
+  return {
+    stage,
+    ms: parseFloat(ms.toFixed(1)),
+    target,
+    withinTarget: ms <= target
+  }
+}
+
+/**
+ * Confidence gap (%) between the top two candidates below which a peak is ambiguous
+ *
+ * @param {object[]} annotations
+ * @param {number} thresholdPercent
+ * @returns {object[]} Ambiguous annotations
+ */
+function filterAmbiguities(annotations, thresholdPercent) {
+  return annotations.filter(ann => {
+    const candidates = ann.topFiveCandidates || []
+    if (candidates.length < 2) return false
+
+    const diffPercent = (candidates[0].confidence - candidates[1].confidence) * 100
+    return diffPercent < thresholdPercent
+  })
+}
+
+/**
+ * Unsmoothed absorbance on an ascending grid, minus the vapor compensation and
+ * the detection baseline when they match
+ *
+ * @param {number[]} wavenumber
+ * @param {number[]} values - %T or absorbance, as loaded
+ * @param {string} yAxisUnit - 'transmittance' or 'absorbance'
+ * @param {{wavenumber: number[], absorbance: number[]}|null} baseline - From the detect stage
+ * @param {{reference: number[]}|null} compensation - From the detect stage
+ * @returns {{wavenumber: number[], absorbance: number[]}}
+ */
+function correctedAbsorbance(wavenumber, values, yAxisUnit, baseline, compensation = null) {
+  let wn = [...wavenumber]
+  let ys = [...values]
+  if (wn[0] > wn[wn.length - 1]) {
+    wn = wn.reverse()
+    ys = ys.reverse()
+  }
+
+  let absorbance = toAbsorbance(ys, yAxisUnit)
+  if (compensation && compensation.reference.length === absorbance.length) {
+    absorbance = absorbance.map((a, i) => a - compensation.reference[i])
+  }
+  if (baseline && baseline.absorbance.length === absorbance.length) {
+    absorbance = absorbance.map((a, i) => a - baseline.absorbance[i])
+  }
+  return { wavenumber: wn, absorbance }
+}
+
+/**
+ * Run one pipeline stage
+ *
+ * Stages:
+ * - inspect: {text, options} → CSV table (column mapping step)
+ * - parse:   {source, options} → cleaned spectra
+ * - resample: {spectrum, options} → spectrum on a uniform grid (resampler.js)
+ * Spectrum stages take the loaded representation: values (%T or absorbance) with its yAxisUnit
+ *
+ * - suggest: {wavenumber, values, yAxisUnit, options} → suggested detection parameters (parameterSuggestion.js)
+ * - detect:  {wavenumber, values, yAxisUnit, options} → {peaks, baseline, noise, compensation, saturation}
+ *            options.shoulders adds shoulders (type: 'shoulder', see findShoulders)
+ *            options.enhancement adds flagged sub-peaks (resolutionEnhancement.js)
+ *            options.masks keeps peaks and sub-peaks out of masked windows (spectralMasks.js)
+ * - compensate: {wavenumber, values, yAxisUnit, options} → CO₂ / vapor subtraction preview
+ * - sweep:   {wavenumber, values, yAxisUnit, options, sweep} → peak stability clusters (sensitivityAnalysis.js);
+ *            options as for detect, so sub-peaks are part of every setting
+ * - match:   {peaks, peakIndices?, ambiguityThreshold} → {annotations, ambiguities}
+ * - fit:     {wavenumber, values, yAxisUnit, baseline, compensation?, peaks, options} → fit result (peakFitting.js)
+ *
+ * @param {string} stage - Stage name
+ * @param {object} payload - Stage input
+ * @param {function} onProgress - (message, fraction) callback
+ * @returns {{result: *, timing: object}}
+ * @throws {Error} On unknown stage or stage failure
+ */
+export function runPipelineStage(stage, payload, onProgress = () => {}) {
+  const start = performance.now()
+  let result
+
+  switch (stage) {
+    case 'inspect':
+      onProgress('讀取 CSV 表格...', 0)
+      result = parseCSVTable(payload.text, payload.options)
+      break
+
+    case 'parse':
+      onProgress('解析光譜...', 0)
+      result = parseSpectrumSource(payload.source, payload.options)
+      onProgress('整理數據（排序、去除重複）...', 0.8)
+      result = result.map(cleanSpectrum)
+      break
+
+    case 'resample':
+      onProgress('內插至均勻網格...', 0)
+      result = resampleSpectrum(payload.spectrum, payload.options)
+      break
+
+    case 'suggest':
+      onProgress('估計雜訊與譜帶寬度...', 0)
+      result = suggestDetectionParams(payload.wavenumber, payload.values, {
+        ...payload.options,
+        yAxisUnit: payload.yAxisUnit
+      })
+      break
+
+    case 'detect': {
+      const detection = detectPeaksWithEnhancement(payload.wavenumber, payload.values, {
+        ...payload.options,
+        yAxisUnit: payload.yAxisUnit,
+        onProgress
+      })
+
+      result = {
+        peaks: detection.peaks,
+        baseline: detection.baseline,
+        noise: detection.noise,
+        compensation: detection.compensation,
+        saturation: detection.saturation
+      }
+      break
+    }
+
+    case 'sweep':
+      result = runSensitivitySweep(
+        payload.wavenumber,
+        payload.values,
+        { ...payload.options, yAxisUnit: payload.yAxisUnit },
+        payload.sweep,
+        onProgress
+      )
+      break
+
+    case 'compensate': {
+      const { wavenumber, absorbance } = correctedAbsorbance(
+        payload.wavenumber, payload.values, payload.yAxisUnit, null
+      )
+      result = { ...compensateAtmosphere(wavenumber, absorbance, payload.options), wavenumber }
+      break
+    }
+
+    case 'match': {
+      const annotations = matchAllPeaks(payload.peaks, rulesDb, onProgress, payload.peakIndices || null)
+      result = {
+        annotations,
+        ambiguities: filterAmbiguities(annotations, payload.ambiguityThreshold || 10)
+      }
+      break
+    }
+
+    case 'fit': {
+      onProgress('擬合譜帶...', 0)
+      const { wavenumber, absorbance } = correctedAbsorbance(
+        payload.wavenumber, payload.values, payload.yAxisUnit, payload.baseline, payload.compensation
+      )
+      result = fitPeaks(wavenumber, absorbance, payload.peaks, payload.options)
+      break
+    }
+
+    default:
+      throw new Error(`未知的處理階段: ${stage}`)
+  }
+
+  onProgress('完成', 1)
+  return { result, timing: buildTiming(stage, performance.now() - start) }
+}
+
+/**
+ * Export all for testing
+ */
+export const pipelineFunctions = {
+  runPipelineStage,
+  buildTiming,
+  filterAmbiguities,
+  correctedAbsorbance
+}
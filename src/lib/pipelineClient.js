@@ -0,0 +1,132 @@
+/**
+ * Pipeline Worker Client
+ *
+ * Promise API over the pipeline Web Worker
+ * - One worker, tasks queued in order
+ * - Progress callbacks per task
+ * - Cancel = terminate the worker (a synchronous stage cannot be interrupted otherwise);
+ *   tasks outside the cancelled tag are re-queued on a fresh worker
+ * Falls back to running stages in-thread when Web Workers are unavailable
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { runPipelineStage } from './pipeline'
+
+const CANCELLED = 'PipelineCancelled'
+
+let worker = null
+let nextTaskId = 1
+const pendingTasks = new Map() // id → {resolve, reject, onProgress, stage, payload, tag}
+
+/**
+ * Check whether an error comes from cancelPipelineTasks
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isCancelledError(error) {
+  return error?.name === CANCELLED
+}
+
+function createCancelledError() {
+  const error = new Error('已取消')
+  error.name = CANCELLED
+  return error
+}
+
+function handleWorkerMessage(event) {
+  const { id, type } = event.data
+  const task = pendingTasks.get(id)
+  if (!task) return
+
+  if (type === 'progress') {
+    task.onProgress(event.data.message, event.data.fraction)
+    return
+  }
+
+  pendingTasks.delete(id)
+  if (type === 'result') {
+    task.resolve({ result: event.data.result, timing: event.data.timing })
+  } else {
+    task.reject(new Error(event.data.message))
+  }
+}
+
+function handleWorkerError(event) {
+  event.preventDefault?.()
+  const error = new Error(`Worker 錯誤: ${event.message || '未知錯誤'}`)
+  for (const task of pendingTasks.values()) {
+    task.reject(error)
+  }
+  pendingTasks.clear()
+  worker?.terminate()
+  worker = null
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/pipeline.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = handleWorkerMessage
+    worker.onerror = handleWorkerError
+  }
+  return worker
+}
+
+/**
+ * Run a pipeline stage in the worker
+ *
+ * @param {string} stage - 'inspect', 'parse', 'detect' or 'match'
+ * @param {object} payload - Stage input (structured-cloneable)
+ * @param {object} options - { onProgress(message, fraction), tag } - tag groups tasks for cancelPipelineTasks
+ * @returns {Promise<{result: *, timing: object}>}
+ */
+export function runPipelineTask(stage, payload, options = {}) {
+  const { onProgress = () => {}, tag = null } = options
+
+  if (typeof Worker === 'undefined') {
+    return new Promise(resolve => resolve(runPipelineStage(stage, payload, onProgress)))
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextTaskId++
+    pendingTasks.set(id, { resolve, reject, onProgress, stage, payload, tag })
+    getWorker().postMessage({ id, stage, payload })
+  })
+}
+
+/**
+ * Cancel running and queued tasks
+ * Pending promises reject with a cancelled error (see isCancelledError).
+ * With a tag, only tasks carrying it are cancelled; the worker is still restarted,
+ * so the other pending tasks are posted again to the fresh worker in their original order
+ *
+ * @param {string|null} tag - Task tag to cancel, or null for every task
+ */
+export function cancelPipelineTasks(tag = null) {
+  const error = createCancelledError()
+  let cancelled = 0
+  for (const [id, task] of pendingTasks) {
+    if (tag !== null && task.tag !== tag) continue
+    pendingTasks.delete(id)
+    task.reject(error)
+    cancelled++
+  }
+  if (!worker || (tag !== null && cancelled === 0)) return
+
+  worker.terminate()
+  worker = null
+  for (const [id, task] of pendingTasks) {
+    getWorker().postMessage({ id, stage: task.stage, payload: task.payload })
+  }
+}
+
+/**
+ * Export all for testing
+ */
+export const pipelineClientFunctions = {
+  runPipelineTask,
+  cancelPipelineTasks,
+  isCancelledError
+}
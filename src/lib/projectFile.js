@@ -0,0 +1,268 @@
+/**
+ * Project File (.ftirproj) Save / Load
+ *
+ * Versioned JSON snapshot of a review session:
+ * spectra + metadata, detection / matching parameters (with the uploaded
+ * vapor reference), peaks with the baseline, noise and compensation they were
+ * measured on, annotations, review decisions and the rules DB version
+ *
+ * Older files are upgraded step by step through PROJECT_MIGRATIONS
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import rulesDb from '../data/ftir-rules-database.json'
+import { medianSpacing } from './resampler'
+
+export const PROJECT_FORMAT = 'ftir-annotator-project'
+export const PROJECT_VERSION = 3
+export const PROJECT_EXTENSION = '.ftirproj'
+
+/**
+ * Migrations: PROJECT_MIGRATIONS[n] upgrades a version-n project to version n+1
+ *
+ * Version 0: `exportAsJSON` output ({spectrum, peaks, annotations, exportedAt}),
+ * which predates the project format but holds the same session data
+ * Version 1: review decisions keyed by annotation order instead of peak index
+ * Version 2: smoothing window in points (smoothingWindow) instead of cm⁻¹ (smoothingWidth)
+ */
+export const PROJECT_MIGRATIONS = {
+  0: (data) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    savedAt: data.exportedAt || null,
+    rulesDbVersion: null,
+    spectra: data.spectrum ? [data.spectrum] : [],
+    activeSpectrumIndex: 0,
+    peakDetectionParams: null,
+    ruleMatchingParams: null,
+    peaks: data.peaks || null,
+    annotations: data.annotations || null,
+    ambiguities: null,
+    peakAnnotations: {}
+  }),
+  1: (data) => {
+    const peakAnnotations = {}
+    Object.entries(data.peakAnnotations || {}).forEach(([idx, review]) => {
+      const ann = data.annotations?.[idx]
+      if (ann && review) peakAnnotations[ann.peakIndex] = review
+    })
+    return { ...data, version: 2, peakAnnotations }
+  },
+  2: (data) => {
+    const params = data.peakDetectionParams
+    if (!params || params.smoothingWindow === undefined) return { ...data, version: 3 }
+
+    // p points span (p − 1) × spacing of the spectrum they were used on
+    const { smoothingWindow, ...rest } = params
+    const spectrum = data.spectra?.[data.activeSpectrumIndex || 0]
+    const spacing = spectrum?.wavenumber?.length > 1 ? medianSpacing(spectrum.wavenumber) : 2
+    return {
+      ...data,
+      version: 3,
+      peakDetectionParams: { ...rest, smoothingWidth: Math.max(2, Math.round(((smoothingWindow - 1) * spacing) / 2) * 2) }
+    }
+  }
+}
+
+/**
+ * Build a project snapshot from store state
+ *
+ * @param {object} state - App store state
+ * @returns {object} Current-version project
+ */
+export function createProject(state) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    rulesDbVersion: rulesDb.metadata.version,
+    spectra: state.spectra,
+    activeSpectrumIndex: state.activeSpectrumIndex,
+    peakDetectionParams: state.peakDetectionParams,
+    compensationReference: state.compensationReference || null,
+    ruleMatchingParams: state.ruleMatchingParams,
+    peaks: state.peaks,
+    baseline: state.baseline || null,
+    noiseEstimate: state.noiseEstimate || null,
+    compensation: state.compensation || null,
+    annotations: state.annotations,
+    ambiguities: state.ambiguities,
+    peakAnnotations: state.peakAnnotations
+  }
+}
+
+/**
+ * Serialize store state as .ftirproj text
+ *
+ * @param {object} state - App store state
+ * @returns {string} JSON string
+ */
+export function serializeProject(state) {
+  return JSON.stringify(createProject(state))
+}
+
+/**
+ * Detect the version of a parsed project file
+ *
+ * @param {object} data
+ * @returns {number}
+ * @throws {Error} If the file is not a project
+ */
+function detectProjectVersion(data) {
+  if (data.format === PROJECT_FORMAT && Number.isInteger(data.version)) {
+    return data.version
+  }
+  if (data.spectrum && data.exportedAt) {
+    return 0
+  }
+  throw new Error('不是有效的 FTIR 專案檔')
+}
+
+/**
+ * Upgrade a project to PROJECT_VERSION
+ *
+ * @param {object} data - Parsed project JSON (any supported version)
+ * @returns {object} Current-version project
+ * @throws {Error} If the version is newer than this app or has no migration
+ */
+export function migrateProject(data) {
+  let version = detectProjectVersion(data)
+
+  if (version > PROJECT_VERSION) {
+    throw new Error(`專案檔版本 ${version} 比目前程式支援的版本 ${PROJECT_VERSION} 新，請更新 FTIR Annotator`)
+  }
+
+  let project = data
+  while (version < PROJECT_VERSION) {
+    const migrate = PROJECT_MIGRATIONS[version]
+    if (!migrate) {
+      throw new Error(`無法升級專案檔版本 ${version}`)
+    }
+    project = migrate(project)
+    version = project.version
+  }
+
+  return project
+}
+
+/**
+ * Validate the spectrum arrays of a project
+ *
+ * @param {object} project
+ * @throws {Error} If spectra are missing or inconsistent
+ */
+function validateProject(project) {
+  if (!Array.isArray(project.spectra) || project.spectra.length === 0) {
+    throw new Error('專案檔中沒有光譜數據')
+  }
+
+  project.spectra.forEach((spectrum, idx) => {
+    if (!Array.isArray(spectrum?.wavenumber) || !Array.isArray(spectrum?.transmittance)) {
+      throw new Error(`專案檔光譜 ${idx + 1} 缺少波數或傳輸率數據`)
+    }
+    if (spectrum.wavenumber.length !== spectrum.transmittance.length) {
+      throw new Error(`專案檔光譜 ${idx + 1} 的波數與傳輸率長度不一致`)
+    }
+  })
+
+  if (!project.spectra[project.activeSpectrumIndex]) {
+    project.activeSpectrumIndex = 0
+  }
+}
+
+/**
+ * Migrate and validate a parsed project object (file or autosaved session)
+ *
+ * @param {object} data - Project object of any supported version
+ * @returns {{project: object, warnings: string[]}} Current-version project and load warnings
+ * @throws {Error} If the project is invalid
+ */
+export function restoreProject(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('不是有效的 FTIR 專案檔')
+  }
+
+  const project = migrateProject(data)
+  validateProject(project)
+
+  const warnings = []
+  const currentRulesVersion = rulesDb.metadata.version
+  if (project.annotations && project.rulesDbVersion !== currentRulesVersion) {
+    warnings.push(
+      `標註使用規則庫 ${project.rulesDbVersion || '未知版本'}，目前為 ${currentRulesVersion}；重新標註可能得到不同結果`
+    )
+  }
+
+  // Files saved before the reference was stored cannot compensate with it
+  const compensation = project.peakDetectionParams?.compensation
+  if (compensation?.source === 'uploaded' && !project.compensationReference) {
+    project.peakDetectionParams = {
+      ...project.peakDetectionParams,
+      compensation: { ...compensation, source: 'bundled' }
+    }
+    warnings.push('專案未附上傳的大氣參考光譜，補償改用內建 CO₂ + H₂O 模型')
+  }
+
+  // Fit and manual peak edits measure on the detection baseline
+  if (project.peaks && !project.baseline) {
+    warnings.push('專案未含偵測基線；擬合與手動加入 / 移動的峰在重新偵測前使用未扣除基線的吸光度')
+  }
+
+  return { project, warnings }
+}
+
+/**
+ * Parse .ftirproj text
+ *
+ * @param {string} text - File contents
+ * @returns {{project: object, warnings: string[]}} Current-version project and load warnings
+ * @throws {Error} If the file is invalid
+ */
+export function parseProject(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('專案檔不是有效的 JSON')
+  }
+  return restoreProject(data)
+}
+
+/**
+ * Read a .ftirproj File
+ *
+ * @param {File} file
+ * @returns {Promise<{project: object, warnings: string[]}>}
+ */
+export function readProjectFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+
+    reader.onload = (e) => {
+      try {
+        resolve(parseProject(e.target.result))
+      } catch (error) {
+        reject(error)
+      }
+    }
+
+    reader.onerror = () => {
+      reject(new Error('文件讀取失敗'))
+    }
+
+    reader.readAsText(file)
+  })
+}
+
+/**
+ * Export all for testing
+ */
+export const projectFileFunctions = {
+  createProject,
+  serializeProject,
+  migrateProject,
+  restoreProject,
+  parseProject
+}
@@ -0,0 +1,232 @@
+/**
+ * Spectrum Resampler
+ *
+ * Interpolates spectra onto a uniform wavenumber grid
+ * - linear or natural cubic spline interpolation
+ * - user-chosen spacing (cm⁻¹) on a grid aligned to multiples of the spacing,
+ *   so spectra recorded at different resolutions land on the same points
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+/**
+ * Build an ascending uniform grid
+ *
+ * @param {number} start - First grid value
+ * @param {number} end - Last grid value
+ * @param {number} count - Number of points
+ * @returns {number[]}
+ */
+export function uniformGrid(start, end, count) {
+  if (count < 2) return [start]
+  const step = (end - start) / (count - 1)
+  return Array.from({ length: count }, (_, i) => start + i * step)
+}
+
+/**
+ * Linear interpolation of (x, y) at the given grid
+ * x must be ascending; grid values outside [x0, xn] are clamped to the edge values
+ *
+ * @param {number[]} x - Ascending X values
+ * @param {number[]} y - Y values
+ * @param {number[]} grid - Target X values
+ * @returns {number[]} Interpolated Y values
+ */
+export function linearInterpolate(x, y, grid) {
+  const result = new Array(grid.length)
+  let j = 0
+
+  for (let i = 0; i < grid.length; i++) {
+    const g = grid[i]
+    while (j < x.length - 2 && x[j + 1] < g) j++
+
+    if (g <= x[0]) {
+      result[i] = y[0]
+    } else if (g >= x[x.length - 1]) {
+      result[i] = y[y.length - 1]
+    } else {
+      const span = x[j + 1] - x[j]
+      const t = span > 0 ? (g - x[j]) / span : 0
+      result[i] = y[j] + t * (y[j + 1] - y[j])
+    }
+  }
+
+  return result
+}
+
+/**
+ * Natural cubic spline interpolation of (x, y) at the given grid
+ * x must be ascending; grid values outside [x0, xn] are clamped to the edge values
+ *
+ * @param {number[]} x - Ascending X values
+ * @param {number[]} y - Y values
+ * @param {number[]} grid - Target X values
+ * @returns {number[]} Interpolated Y values
+ */
+export function cubicSplineInterpolate(x, y, grid) {
+  const n = x.length
+  if (n < 3) return linearInterpolate(x, y, grid)
+
+  // Second derivatives M with M[0] = M[n-1] = 0 (tridiagonal, Thomas algorithm)
+  const M = new Array(n).fill(0)
+  const c = new Array(n).fill(0)
+  const d = new Array(n).fill(0)
+  for (let i = 1; i < n - 1; i++) {
+    const hPrev = x[i] - x[i - 1]
+    const hNext = x[i + 1] - x[i]
+    const rhs = 6 * ((y[i + 1] - y[i]) / hNext - (y[i] - y[i - 1]) / hPrev)
+    const diag = 2 * (hPrev + hNext) - hPrev * c[i - 1]
+    c[i] = hNext / diag
+    d[i] = (rhs - hPrev * d[i - 1]) / diag
+  }
+  for (let i = n - 2; i >= 1; i--) {
+    M[i] = d[i] - c[i] * M[i + 1]
+  }
+
+  const result = new Array(grid.length)
+  let j = 0
+
+  for (let i = 0; i < grid.length; i++) {
+    const g = grid[i]
+    while (j < n - 2 && x[j + 1] < g) j++
+
+    if (g <= x[0]) {
+      result[i] = y[0]
+    } else if (g >= x[n - 1]) {
+      result[i] = y[n - 1]
+    } else {
+      const h = x[j + 1] - x[j]
+      const a = (x[j + 1] - g) / h
+      const b = (g - x[j]) / h
+      result[i] = a * y[j] + b * y[j + 1] +
+        ((a * a * a - a) * M[j] + (b * b * b - b) * M[j + 1]) * (h * h) / 6
+    }
+  }
+
+  return result
+}
+
+export const RESAMPLE_METHODS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'cubic', label: 'Cubic spline' }
+]
+
+/**
+ * Median point spacing of ascending x
+ *
+ * @param {number[]} x
+ * @returns {number}
+ */
+export function medianSpacing(x) {
+  const steps = []
+  for (let i = 1; i < x.length; i++) steps.push(Math.abs(x[i] - x[i - 1]))
+  steps.sort((a, b) => a - b)
+  return steps.length > 0 ? steps[Math.floor(steps.length / 2)] : 0
+}
+
+/**
+ * Whether x is evenly spaced (every step within `tolerance` of the median, relative)
+ *
+ * @param {number[]} x
+ * @param {number} tolerance - Relative tolerance (default 1%)
+ * @returns {boolean}
+ */
+export function isUniformSpacing(x, tolerance = 0.01) {
+  const median = medianSpacing(x)
+  if (!(median > 0)) return false
+  for (let i = 1; i < x.length; i++) {
+    if (Math.abs(Math.abs(x[i] - x[i - 1]) - median) > tolerance * median) return false
+  }
+  return true
+}
+
+/**
+ * Interpolate ascending (x, y) onto a uniform grid with the given spacing
+ * The grid covers multiples of the spacing inside [x0, xn]
+ *
+ * @param {number[]} x - Ascending X values
+ * @param {number[]} y - Y values
+ * @param {number} spacing - Grid spacing (cm⁻¹)
+ * @param {string} method - 'linear' (default) or 'cubic'
+ * @returns {{wavenumber: number[], yValues: number[]}}
+ * @throws {Error} On a non-positive spacing or one wider than the data range
+ */
+export function resampleToSpacing(x, y, spacing, method = 'linear') {
+  if (!(spacing > 0)) {
+    throw new Error('重新取樣間距必須大於 0')
+  }
+
+  const start = Math.ceil(x[0] / spacing - 1e-9) * spacing
+  const end = Math.floor(x[x.length - 1] / spacing + 1e-9) * spacing
+  const count = Math.round((end - start) / spacing) + 1
+  if (count < 2) {
+    throw new Error(`重新取樣間距 ${spacing} cm⁻¹ 超過光譜範圍`)
+  }
+
+  const grid = Array.from({ length: count }, (_, i) => parseFloat((start + i * spacing).toFixed(6)))
+  const interpolate = method === 'cubic' ? cubicSplineInterpolate : linearInterpolate
+  return { wavenumber: grid, yValues: interpolate(x, y, grid) }
+}
+
+/**
+ * Resample a cleaned spectrum (ascending, see csvParser.cleanSpectrum) onto a uniform grid
+ * Transmittance and absorbance are interpolated independently; metadata is kept
+ *
+ * @param {object} spectrum
+ * @param {object} options
+ * @param {number} options.spacing - Grid spacing (cm⁻¹)
+ * @param {string} options.method - 'linear' (default) or 'cubic'
+ * @returns {object} Spectrum on the new grid, with resampling = {method, spacing, originalPoints}
+ */
+export function resampleSpectrum(spectrum, { spacing, method = 'linear' } = {}) {
+  const { wavenumber, yValues: transmittance } = resampleToSpacing(
+    spectrum.wavenumber, spectrum.transmittance, spacing, method
+  )
+  const { yValues: absorbance } = resampleToSpacing(
+    spectrum.wavenumber, spectrum.absorbance, spacing, method
+  )
+
+  return {
+    ...spectrum,
+    wavenumber,
+    transmittance,
+    absorbance,
+    dataPoints: wavenumber.length,
+    wavenumberRange: [wavenumber[0], wavenumber[wavenumber.length - 1]],
+    transmittanceRange: [Math.min(...transmittance), Math.max(...transmittance)],
+    absorbanceRange: [Math.min(...absorbance), Math.max(...absorbance)],
+    resampling: {
+      method,
+      spacing,
+      originalPoints: spectrum.resampling?.originalPoints || spectrum.wavenumber.length
+    }
+  }
+}
+
+/**
+ * Resample ascending (x, y) data onto a uniform grid spanning the same range
+ *
+ * @param {number[]} x - Ascending X values
+ * @param {number[]} y - Y values
+ * @param {number} count - Number of grid points (default: same as input)
+ * @returns {{wavenumber: number[], yValues: number[]}}
+ */
+export function resampleUniform(x, y, count = x.length) {
+  const grid = uniformGrid(x[0], x[x.length - 1], count)
+  return { wavenumber: grid, yValues: linearInterpolate(x, y, grid) }
+}
+
+/**
+ * Export all for testing
+ */
+export const resamplerFunctions = {
+  uniformGrid,
+  linearInterpolate,
+  cubicSplineInterpolate,
+  medianSpacing,
+  isUniformSpacing,
+  resampleToSpacing,
+  resampleSpectrum,
+  resampleUniform
+}
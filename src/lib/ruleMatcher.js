@@ -234,13 +234,18 @@ function matchPeakCandidates(peakIdx, peak, rulesDb, allPeaks) {
  * 
  * @param {object[]} peaks - Array of detected peaks
  * @param {object} rulesDb - Rules database (JSON)
+ * @param {function} onProgress - Optional (message, fraction) callback per peak
+ * @param {number[]} peakIndices - Only match these peaks (others still count as context); default all
  * @returns {object[]} Annotations with Top 5 candidates per peak
  */
-export function matchAllPeaks(peaks, rulesDb) {
+export function matchAllPeaks(peaks, rulesDb, onProgress = () => {}, peakIndices = null) {
   const annotations = []
+  const indices = peakIndices || peaks.map((_, idx) => idx)
 
-  for (let peakIdx = 0; peakIdx < peaks.length; peakIdx++) {
+  for (let n = 0; n < indices.length; n++) {
+    const peakIdx = indices[n]
     const peak = peaks[peakIdx]
+    onProgress(`匹配峰 ${n + 1} / ${indices.length}...`, n / indices.length)
 
     const candidates = matchPeakCandidates(peakIdx, peak, rulesDb, peaks)
 
@@ -251,6 +256,10 @@ export function matchAllPeaks(peaks, rulesDb) {
         peakIntensity: parseFloat(peak.intensity.toFixed(4)),
         peakFwhm: parseFloat(peak.fwhm.toFixed(2)),
         peakSNR: parseFloat(peak.snr.toFixed(2)),
+        isSubPeak: Boolean(peak.subPeak),
+        peakType: peak.type || 'peak',
+        manual: peak.manual || null,
+        isSaturated: Boolean(peak.saturated),
         primaryMatch: candidates[0],
         topFiveCandidates: candidates,
         numCandidates: candidates.length,
@@ -0,0 +1,150 @@
+/**
+ * Detection Sensitivity Analysis
+ *
+ * Runs peak detection over a grid of smoothing windows and threshold levels,
+ * clusters the detected positions across settings and scores each cluster by
+ * the fraction of settings in which it appears (stability). Peaks that only
+ * show up at one particular setting are flagged as unstable.
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { detectPeaksWithEnhancement } from './resolutionEnhancement'
+import { medianSpacing } from './resampler'
+
+export const DEFAULT_SWEEP = {
+  smoothingWidths: [8, 12, 16, 20, 28], // cm⁻¹
+  // Multipliers of the height threshold and the prominence criterion (minSNR or percent)
+  thresholdFactors: [0.5, 1, 2]
+}
+
+// Peaks found in fewer than this fraction of settings are flagged
+export const UNSTABLE_THRESHOLD = 0.5
+
+/**
+ * Cluster detected positions across settings (single linkage on sorted positions)
+ *
+ * @param {{position: number, setting: number}[]} detections
+ * @param {number} tolerance - Maximum gap between neighbours in a cluster (cm⁻¹)
+ * @param {number} settingCount - Number of settings in the sweep
+ * @returns {{position: number, spread: number, count: number, stability: number}[]}
+ *   position = median of the cluster; count = distinct settings; descending position
+ */
+export function clusterDetections(detections, tolerance, settingCount) {
+  const sorted = [...detections].sort((a, b) => a.position - b.position)
+  const groups = []
+
+  for (const detection of sorted) {
+    const current = groups[groups.length - 1]
+    if (current && detection.position - current[current.length - 1].position <= tolerance) {
+      current.push(detection)
+    } else {
+      groups.push([detection])
+    }
+  }
+
+  return groups
+    .map(group => {
+      const positions = group.map(d => d.position)
+      const count = new Set(group.map(d => d.setting)).size
+      return {
+        position: parseFloat(positions[Math.floor(positions.length / 2)].toFixed(2)),
+        spread: parseFloat((positions[positions.length - 1] - positions[0]).toFixed(2)),
+        count,
+        stability: Math.min(1, count / settingCount)
+      }
+    })
+    .sort((a, b) => b.position - a.position)
+}
+
+/**
+ * Detect peaks at every sweep setting and score their stability
+ *
+ * @param {number[]} wavenumber - Wavenumber values (cm⁻¹)
+ * @param {number[]} values - Transmittance (%) or absorbance (baseOptions.yAxisUnit)
+ * @param {object} baseOptions - Detection options of the current settings, including
+ *   enhancement (see detectPeaksWithEnhancement)
+ * @param {object} sweep - See DEFAULT_SWEEP, plus tolerance (cm⁻¹, default max(2 × spacing, 4))
+ * @param {function} onProgress - Optional (message, fraction) callback
+ * @returns {{settings: object[], clusters: object[], tolerance: number}}
+ *   settings: {smoothWidth, thresholdFactor, peakCount}
+ */
+export function runSensitivitySweep(wavenumber, values, baseOptions = {}, sweep = {}, onProgress = () => {}) {
+  const { smoothingWidths, thresholdFactors } = { ...DEFAULT_SWEEP, ...sweep }
+  const tolerance = sweep.tolerance || Math.max(2 * medianSpacing(wavenumber), 4)
+  const { minHeight = 0.005, minSNR = null, prominencePercent = 5 } = baseOptions
+
+  const settings = []
+  const detections = []
+  const total = smoothingWidths.length * thresholdFactors.length
+
+  for (const smoothWidth of smoothingWidths) {
+    for (const thresholdFactor of thresholdFactors) {
+      onProgress(`視窗 ${smoothWidth} cm⁻¹・門檻 ×${thresholdFactor}...`, settings.length / total)
+
+      const { peaks } = detectPeaksWithEnhancement(wavenumber, values, {
+        ...baseOptions,
+        smoothWidth,
+        minHeight: minHeight * thresholdFactor,
+        minSNR: minSNR > 0 ? minSNR * thresholdFactor : null,
+        prominencePercent: prominencePercent * thresholdFactor,
+        onProgress: () => {}
+      })
+
+      const setting = settings.length
+      settings.push({ smoothWidth, thresholdFactor, peakCount: peaks.length })
+      peaks.forEach(p => detections.push({ position: p.position, setting }))
+    }
+  }
+
+  return {
+    settings,
+    clusters: clusterDetections(detections, tolerance, settings.length),
+    tolerance
+  }
+}
+
+/**
+ * Stability of a peak: the nearest cluster within the tolerance, else 0
+ * Manually placed peaks are not detector output, so no setting can reproduce them
+ *
+ * @param {{position: number, manual?: string}} peak
+ * @param {object|null} sensitivity - From runSensitivitySweep
+ * @returns {number|null} Fraction of settings, or null without a sweep or for manual peaks
+ */
+export function peakStability(peak, sensitivity) {
+  if (!sensitivity || peak.manual) return null
+  const { position } = peak
+
+  let best = null
+  for (const cluster of sensitivity.clusters) {
+    const distance = Math.abs(cluster.position - position)
+    if (distance <= sensitivity.tolerance && (!best || distance < Math.abs(best.position - position))) {
+      best = cluster
+    }
+  }
+  return best ? best.stability : 0
+}
+
+/**
+ * Whether a peak should be flagged as unstable
+ *
+ * @param {{position: number, manual?: string}} peak
+ * @param {object|null} sensitivity
+ * @returns {boolean}
+ */
+export function isUnstablePeak(peak, sensitivity) {
+  const stability = peakStability(peak, sensitivity)
+  return stability !== null && stability < UNSTABLE_THRESHOLD
+}
+
+/**
+ * Export all for testing
+ */
+export const sensitivityAnalysisFunctions = {
+  clusterDetections,
+  runSensitivitySweep,
+  peakStability,
+  isUnstablePeak
+}
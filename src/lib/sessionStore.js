@@ -0,0 +1,250 @@
+/**
+ * Session Autosave (IndexedDB)
+ *
+ * Persists the review session to IndexedDB on store changes (debounced)
+ * so a crashed or accidentally closed tab can be restored
+ * Sessions use the .ftirproj project snapshot (see projectFile.js)
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { createProject, restoreProject } from './projectFile'
+
+const DB_NAME = 'ftir-annotator'
+const DB_VERSION = 1
+const STORE_NAME = 'sessions'
+
+// Oldest sessions beyond this count are pruned on save
+const MAX_SESSIONS = 20
+
+// Store slices that make up a session; autosave triggers when any of them changes
+export const SESSION_SLICES = [
+  'spectra',
+  'activeSpectrumIndex',
+  'peakDetectionParams',
+  'compensationReference',
+  'ruleMatchingParams',
+  'peaks',
+  'baseline',
+  'noiseEstimate',
+  'compensation',
+  'annotations',
+  'ambiguities',
+  'peakAnnotations'
+]
+
+let dbPromise = null
+
+/**
+ * Check whether IndexedDB is available (private mode / old browsers may lack it)
+ *
+ * @returns {boolean}
+ */
+export function isSessionStorageAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(new Error(`無法開啟 IndexedDB: ${request.error?.message || '未知錯誤'}`))
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Run one request in a transaction
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} makeRequest - (objectStore) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runRequest(mode, makeRequest) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode)
+    const request = makeRequest(tx.objectStore(STORE_NAME))
+    const fail = () => reject(new Error(`工作階段儲存失敗: ${tx.error?.message || '未知錯誤'}`))
+    tx.oncomplete = () => resolve(request.result)
+    tx.onerror = fail
+    // Quota errors abort the transaction without an error event
+    tx.onabort = fail
+  })
+}
+
+/**
+ * Create a new session id
+ *
+ * @returns {string}
+ */
+export function createSessionId() {
+  return `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/**
+ * Save store state as a session
+ *
+ * @param {string} id - Session id
+ * @param {object} state - App store state
+ * @param {string} createdAt - ISO timestamp of the first save
+ * @returns {Promise<void>}
+ */
+export async function saveSession(id, state, createdAt) {
+  const spectrum = state.spectra[state.activeSpectrumIndex] || state.spectra[0]
+  const reviewed = Object.values(state.peakAnnotations || {}).filter(
+    s => s && (s.skipped || s.candidateIndex !== null)
+  ).length
+
+  await runRequest('readwrite', store => store.put({
+    id,
+    createdAt,
+    updatedAt: new Date().toISOString(),
+    name: spectrum?.metadata?.sampleName || spectrum?.name || '',
+    spectrumCount: state.spectra.length,
+    peakCount: state.peaks?.length || 0,
+    annotationCount: state.annotations?.length || 0,
+    reviewedCount: reviewed,
+    project: createProject(state)
+  }))
+  await pruneSessions()
+}
+
+/**
+ * List stored sessions, newest first (without spectrum data)
+ *
+ * @returns {Promise<object[]>} {id, createdAt, updatedAt, name, spectrumCount, peakCount, annotationCount, reviewedCount}
+ */
+export async function listSessions() {
+  const records = await runRequest('readonly', store => store.getAll())
+  return records
+    .map(record => {
+      const summary = { ...record }
+      delete summary.project
+      return summary
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+}
+
+/**
+ * Load a stored session
+ *
+ * @param {string} id
+ * @returns {Promise<{project: object, warnings: string[], createdAt: string}>}
+ * @throws {Error} If the session does not exist or is invalid
+ */
+export async function loadSession(id) {
+  const record = await runRequest('readonly', store => store.get(id))
+  if (!record) {
+    throw new Error('找不到此工作階段')
+  }
+  return { ...restoreProject(record.project), createdAt: record.createdAt }
+}
+
+/**
+ * Delete a stored session
+ *
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(id) {
+  await runRequest('readwrite', store => store.delete(id))
+}
+
+async function pruneSessions() {
+  const sessions = await listSessions()
+  for (const session of sessions.slice(MAX_SESSIONS)) {
+    await deleteSession(session.id)
+  }
+}
+
+/**
+ * Autosave a zustand store on changes to SESSION_SLICES
+ * New data (spectraSource changes on a file upload or opened project) starts a
+ * new session, so it never overwrites the record of a restored one
+ *
+ * @param {object} store - Zustand store hook (getState / subscribe)
+ * @param {object} options - { delay = 1000 } debounce in ms, { onError } save failure callback
+ * @returns {{stop: function, getSessionId: function, resumeSession: function}}
+ *   resumeSession(id, createdAt) continues saving into a restored session
+ *   (call it after loading the session into the store)
+ */
+export function startSessionAutosave(store, options = {}) {
+  const {
+    delay = 1000,
+    onError = error => console.warn('Session autosave failed:', error)
+  } = options
+  let sessionId = createSessionId()
+  let createdAt = null
+  let timer = null
+
+  const save = (state = store.getState()) => {
+    timer = null
+    if (!state.spectra || state.spectra.length === 0) return
+
+    createdAt = createdAt || new Date().toISOString()
+    saveSession(sessionId, state, createdAt).catch(onError)
+  }
+
+  const unsubscribe = store.subscribe((state, prevState) => {
+    if (state.spectraSource !== prevState.spectraSource) {
+      // The pending change belongs to the previous session
+      if (timer !== null) {
+        clearTimeout(timer)
+        save(prevState)
+      }
+      sessionId = createSessionId()
+      createdAt = null
+    }
+    if (SESSION_SLICES.some(key => state[key] !== prevState[key])) {
+      clearTimeout(timer)
+      timer = setTimeout(save, delay)
+    }
+  })
+
+  // Closing the tab inside the debounce window would drop the last change
+  const flush = () => {
+    if (timer !== null) {
+      clearTimeout(timer)
+      save()
+    }
+  }
+  window.addEventListener('pagehide', flush)
+
+  return {
+    stop: () => {
+      clearTimeout(timer)
+      window.removeEventListener('pagehide', flush)
+      unsubscribe()
+    },
+    getSessionId: () => sessionId,
+    resumeSession: (id, created) => {
+      sessionId = id
+      createdAt = created
+    }
+  }
+}
+
+/**
+ * Export all for testing
+ */
+export const sessionStoreFunctions = {
+  saveSession,
+  listSessions,
+  loadSession,
+  deleteSession,
+  startSessionAutosave
+}
@@ -0,0 +1,422 @@
+/**
+ * SPC Parser for FTIR Spectra
+ *
+ * Reads Thermo/Galactic SPC binary files from an ArrayBuffer
+ * - New format (0x4B little-endian, 0x4C big-endian)
+ * - Old format (0x4D)
+ * - Evenly spaced X (ffirst/flast) and explicit X arrays (TXVALS, TXYXYS)
+ * - Single and multi-file (multiple subfiles)
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { buildSpectrum } from './csvParser'
+import { convertToWavenumber } from './unitConverter'
+import { createMetadata } from './spectrumMetadata'
+
+// File type flags (ftflgs)
+const FLAG_TSPREC = 0x01 // 16-bit Y integers
+const FLAG_TMULTI = 0x04 // Multiple subfiles
+const FLAG_TXYXYS = 0x40 // Each subfile has its own X array
+const FLAG_TXVALS = 0x80 // Non-evenly spaced X array after main header
+
+const NEW_HEADER_SIZE = 512
+const OLD_HEADER_SIZE = 256
+const SUBHEADER_SIZE = 32
+const FLOAT_Y_EXPONENT = -128 // 0x80 as signed char
+
+const X_UNITS = {
+  0: 'Arbitrary',
+  1: 'Wavenumber (cm-1)',
+  2: 'Micrometers (um)',
+  3: 'Nanometers (nm)',
+  13: 'Raman Shift (cm-1)'
+}
+
+const Y_UNITS = {
+  0: 'Arbitrary Intensity',
+  2: 'Absorbance',
+  3: 'Kubelka-Munk',
+  4: 'Counts',
+  10: 'Log(1/R)',
+  11: 'Percent',
+  12: 'Intensity',
+  128: 'Transmission',
+  129: 'Reflectance',
+  131: 'Emission'
+}
+
+/**
+ * Read a NUL-terminated ASCII string from a fixed-size field
+ *
+ * @param {DataView} view
+ * @param {number} offset - Byte offset
+ * @param {number} length - Field size in bytes
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+  let text = ''
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    const code = view.getUint8(offset + i)
+    if (code === 0) break
+    text += String.fromCharCode(code)
+  }
+  return text.trim()
+}
+
+/**
+ * Decode packed new-format date (year:12 month:4 day:5 hour:5 minute:6)
+ *
+ * @param {number} packed - fdate value
+ * @returns {string|null} ISO-like date string
+ */
+function decodePackedDate(packed) {
+  if (!packed) return null
+  const year = (packed >>> 20) & 0xfff
+  const month = (packed >>> 16) & 0xf
+  const day = (packed >>> 11) & 0x1f
+  const hour = (packed >>> 6) & 0x1f
+  const minute = packed & 0x3f
+  return formatDate(year, month, day, hour, minute)
+}
+
+function formatDate(year, month, day, hour, minute) {
+  if (!year || !month || !day) return null
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`
+}
+
+/**
+ * Read the main file header
+ *
+ * @param {DataView} view
+ * @returns {object} Header fields
+ * @throws {Error} If the version byte is not a known SPC format
+ */
+function readMainHeader(view) {
+  if (view.byteLength < OLD_HEADER_SIZE) {
+    throw new Error('SPC 文件過短（缺少檔頭）')
+  }
+
+  const flags = view.getUint8(0)
+  const version = view.getUint8(1)
+
+  if (version === 0x4b || version === 0x4c) {
+    if (view.byteLength < NEW_HEADER_SIZE) {
+      throw new Error('SPC 文件過短（缺少檔頭）')
+    }
+    const le = version === 0x4b
+
+    return {
+      format: 'new',
+      littleEndian: le,
+      flags,
+      version,
+      exponent: view.getInt8(3),
+      pointCount: view.getUint32(4, le),
+      firstX: view.getFloat64(8, le),
+      lastX: view.getFloat64(16, le),
+      subfileCount: view.getUint32(24, le),
+      xType: view.getUint8(28),
+      yType: view.getUint8(29),
+      date: decodePackedDate(view.getUint32(32, le)),
+      resolution: readString(view, 36, 9),
+      source: readString(view, 45, 9),
+      comment: readString(view, 88, 130),
+      axisLabels: readString(view, 218, 30),
+      method: readString(view, 264, 48),
+      scans: null,
+      headerSize: NEW_HEADER_SIZE
+    }
+  }
+
+  if (version === 0x4d) {
+    // Old format: little-endian, first subheader embedded at offset 224
+    return {
+      format: 'old',
+      littleEndian: true,
+      flags,
+      version,
+      exponent: view.getInt16(2, true),
+      pointCount: Math.round(view.getFloat32(4, true)),
+      firstX: view.getFloat32(8, true),
+      lastX: view.getFloat32(12, true),
+      subfileCount: (flags & FLAG_TMULTI) ? 0 : 1, // Unknown for old multifile: read until EOF
+      xType: view.getUint8(16),
+      yType: view.getUint8(17),
+      date: formatDate(
+        view.getUint16(18, true),
+        view.getUint8(20),
+        view.getUint8(21),
+        view.getUint8(22),
+        view.getUint8(23)
+      ),
+      resolution: readString(view, 24, 8),
+      source: '',
+      comment: readString(view, 64, 130),
+      axisLabels: readString(view, 194, 30),
+      method: '',
+      scans: view.getUint16(34, true) || null,
+      headerSize: OLD_HEADER_SIZE - SUBHEADER_SIZE
+    }
+  }
+
+  throw new Error(`不支援的 SPC 版本 (0x${version.toString(16).toUpperCase()})`)
+}
+
+/**
+ * Read a 32-byte subfile header
+ */
+function readSubheader(view, offset, le) {
+  if (offset + SUBHEADER_SIZE > view.byteLength) {
+    throw new Error('SPC 子檔頭超出文件範圍')
+  }
+  return {
+    flags: view.getUint8(offset),
+    exponent: view.getInt8(offset + 1),
+    index: view.getUint16(offset + 2, le),
+    zStart: view.getFloat32(offset + 4, le),
+    zEnd: view.getFloat32(offset + 8, le),
+    pointCount: view.getUint32(offset + 16, le),
+    scans: view.getUint32(offset + 20, le)
+  }
+}
+
+/**
+ * Read an array of float32 values
+ */
+function readFloat32Array(view, offset, count, le) {
+  if (offset + count * 4 > view.byteLength) {
+    throw new Error('SPC X 數據超出文件範圍')
+  }
+  const values = new Array(count)
+  for (let i = 0; i < count; i++) {
+    values[i] = view.getFloat32(offset + i * 4, le)
+  }
+  return values
+}
+
+/**
+ * Read Y values of one subfile
+ *
+ * @returns {{y: number[], byteLength: number}}
+ */
+function readYValues(view, offset, count, exponent, header) {
+  const le = header.littleEndian
+  const isFloat = exponent === FLOAT_Y_EXPONENT
+  const is16Bit = !isFloat && (header.flags & FLAG_TSPREC) !== 0
+  const bytesPerPoint = is16Bit ? 2 : 4
+
+  if (offset + count * bytesPerPoint > view.byteLength) {
+    throw new Error('SPC Y 數據超出文件範圍')
+  }
+
+  const y = new Array(count)
+  for (let i = 0; i < count; i++) {
+    const pos = offset + i * bytesPerPoint
+    if (isFloat) {
+      y[i] = view.getFloat32(pos, le)
+    } else if (is16Bit) {
+      y[i] = view.getInt16(pos, le) * Math.pow(2, exponent - 16)
+    } else if (header.format === 'old') {
+      // Old format stores 32-bit integers with swapped 16-bit words
+      const raw = (view.getUint8(pos + 1) << 24) | (view.getUint8(pos) << 16) |
+        (view.getUint8(pos + 3) << 8) | view.getUint8(pos + 2)
+      y[i] = raw * Math.pow(2, exponent - 32)
+    } else {
+      y[i] = view.getInt32(pos, le) * Math.pow(2, exponent - 32)
+    }
+  }
+
+  return { y, byteLength: count * bytesPerPoint }
+}
+
+/**
+ * Build an evenly spaced X axis
+ */
+function evenlySpacedX(firstX, lastX, count) {
+  if (count < 2) return [firstX]
+  const step = (lastX - firstX) / (count - 1)
+  return Array.from({ length: count }, (_, i) => firstX + i * step)
+}
+
+/**
+ * Read all subfiles from an SPC buffer
+ *
+ * @param {ArrayBuffer} buffer - SPC file contents
+ * @returns {{header: object, subfiles: {index: number, x: number[], y: number[], zStart: number, zEnd: number}[]}}
+ * @throws {Error} If the buffer is not a readable SPC file
+ */
+export function readSPC(buffer) {
+  const view = new DataView(buffer)
+  const header = readMainHeader(view)
+  const le = header.littleEndian
+
+  const hasOwnX = (header.flags & FLAG_TXYXYS) !== 0
+  const hasSharedX = !hasOwnX && (header.flags & FLAG_TXVALS) !== 0
+
+  let offset = header.headerSize
+  let sharedX = null
+
+  if (hasSharedX) {
+    sharedX = readFloat32Array(view, offset, header.pointCount, le)
+    offset += header.pointCount * 4
+  } else if (!hasOwnX) {
+    sharedX = evenlySpacedX(header.firstX, header.lastX, header.pointCount)
+  }
+
+  const subfiles = []
+  const expected = header.subfileCount || Infinity
+
+  while (subfiles.length < expected && offset + SUBHEADER_SIZE <= view.byteLength) {
+    const sub = readSubheader(view, offset, le)
+    offset += SUBHEADER_SIZE
+
+    const count = hasOwnX ? sub.pointCount : header.pointCount
+    if (!count) break
+
+    let x = sharedX
+    if (hasOwnX) {
+      x = readFloat32Array(view, offset, count, le)
+      offset += count * 4
+    }
+
+    // Single-file new format uses the main exponent; multifile/old format carry it per subfile
+    const exponent = header.format === 'new' && !(header.flags & FLAG_TMULTI)
+      ? header.exponent
+      : (sub.exponent || header.exponent)
+
+    const { y, byteLength } = readYValues(view, offset, count, exponent, header)
+    offset += byteLength
+
+    subfiles.push({
+      index: subfiles.length,
+      x,
+      y,
+      zStart: sub.zStart,
+      zEnd: sub.zEnd,
+      scans: sub.scans || null
+    })
+  }
+
+  if (subfiles.length === 0) {
+    throw new Error('SPC 文件中沒有可解析的子檔')
+  }
+
+  return {
+    header: {
+      format: header.format === 'new' ? `SPC 0x${header.version.toString(16).toUpperCase()}` : 'SPC 0x4D (old)',
+      xUnits: X_UNITS[header.xType] || `Type ${header.xType}`,
+      yUnits: Y_UNITS[header.yType] || `Type ${header.yType}`,
+      xType: header.xType,
+      yType: header.yType,
+      resolution: header.resolution,
+      source: header.source,
+      comment: header.comment,
+      method: header.method,
+      axisLabels: header.axisLabels,
+      date: header.date,
+      scans: header.scans,
+      subfileCount: subfiles.length,
+      evenlySpaced: !hasOwnX && !hasSharedX
+    },
+    subfiles
+  }
+}
+
+// fxtype → X-axis unit
+const X_TYPE_UNITS = { 1: 'wavenumber', 2: 'micrometer', 3: 'nanometer' }
+
+/**
+ * Convert one SPC subfile into the common spectrum object
+ */
+function subfileToSpectrum(subfile, header, xUnit = 'auto') {
+  const resolvedXUnit = xUnit === 'auto' ? (X_TYPE_UNITS[header.xType] || 'wavenumber') : xUnit
+
+  // SPC transmission is often stored as a 0-1 fraction; the app works in %T
+  let y = subfile.y
+  if (header.yType === 128 && Math.max(...y.filter(v => Number.isFinite(v))) <= 1.5) {
+    y = y.map(v => v * 100)
+  }
+
+  const xValid = []
+  const yValid = []
+  subfile.x.forEach((xv, i) => {
+    if (Number.isFinite(xv) && Number.isFinite(y[i])) {
+      xValid.push(xv)
+      yValid.push(y[i])
+    }
+  })
+
+  const { wavenumber, yValues } = convertToWavenumber(xValid, yValid, resolvedXUnit)
+
+  const spectrum = buildSpectrum(wavenumber, yValues, {
+    headerLine: header.yUnits,
+    report: {
+      format: header.format,
+      headerFound: true,
+      xAxisUnit: resolvedXUnit,
+      totalRows: subfile.y.length,
+      parsedRows: xValid.length,
+      skippedPoints: subfile.y.length - xValid.length,
+      warnings: []
+    }
+  })
+  return {
+    ...spectrum,
+    xAxisUnit: resolvedXUnit,
+    name: header.subfileCount > 1 ? `Subfile ${subfile.index + 1}` : header.comment,
+    header: { ...header, subfileIndex: subfile.index, scans: subfile.scans || header.scans },
+    metadata: createMetadata({
+      sampleName: header.comment,
+      instrument: header.source,
+      resolution: header.resolution,
+      scans: subfile.scans || header.scans,
+      acquisitionDate: header.date
+    })
+  }
+}
+
+/**
+ * Parse every subfile of an SPC buffer
+ *
+ * @param {ArrayBuffer} buffer - SPC file contents
+ * @param {object} options - { xUnit = 'auto' } to override fxtype
+ * @returns {object[]} One spectrum per subfile, each with an SPC `header`
+ */
+export function parseSPCSpectra(buffer, options = {}) {
+  const { header, subfiles } = readSPC(buffer)
+  return subfiles.map(subfile => subfileToSpectrum(subfile, header, options.xUnit))
+}
+
+/**
+ * Parse an SPC buffer into structured data
+ * Returns the same spectrum shape as parseCSVText plus the SPC `header`
+ *
+ * @param {ArrayBuffer} buffer - SPC file contents
+ * @param {object} options - { subfileIndex = 0, xUnit = 'auto' }
+ * @returns {object} Parsed spectrum with transmittance and absorbance
+ * @throws {Error} If the buffer is invalid or the subfile does not exist
+ */
+export function parseSPCBuffer(buffer, options = {}) {
+  const { subfileIndex = 0, xUnit = 'auto' } = options
+  const { header, subfiles } = readSPC(buffer)
+
+  const subfile = subfiles[subfileIndex]
+  if (!subfile) {
+    throw new Error(`SPC 子檔 ${subfileIndex + 1} 不存在（共 ${subfiles.length} 個）`)
+  }
+
+  return subfileToSpectrum(subfile, header, xUnit)
+}
+
+/**
+ * Export all for testing
+ */
+export const spcParserFunctions = {
+  readSPC,
+  parseSPCBuffer,
+  parseSPCSpectra,
+  decodePackedDate
+}
@@ -0,0 +1,116 @@
+/**
+ * SPC Parser fixture tests
+ *
+ * Fixtures are built byte by byte in the new little-endian (0x4B) layout:
+ * one evenly spaced file (ffirst/flast) and one whose subfile carries its own X values (TXYXYS)
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { describe, it, expect } from 'vitest'
+import { readSPC, parseSPCBuffer } from './spcParser'
+
+const FLOAT_Y = -128
+
+// Y values are exact in float32 so they round-trip without tolerance
+const EVEN_FIXTURE = {
+  x: Array.from({ length: 12 }, (_, i) => 4000 - 2 * i),
+  y: [0.125, 0.25, 0.5, 0.375, 0.25, 0.125, 0.125, 0.25, 0.75, 1, 0.5, 0.25],
+  evenlySpaced: true,
+  comment: 'Even sample'
+}
+
+const XY_FIXTURE = {
+  x: [1000, 1003, 1010, 1020, 1021, 1030, 1045, 1050, 1062, 1070, 1081, 1100],
+  y: [0.5, 0.75, 1.25, 0.5, 0.25, 0.125, 0.25, 0.5, 1, 1.5, 0.75, 0.5],
+  evenlySpaced: false,
+  comment: 'XY sample'
+}
+
+/**
+ * Build a single-subfile SPC 0x4B buffer with float32 Y values
+ *
+ * @param {object} fixture - { x, y, evenlySpaced, comment }
+ * @returns {ArrayBuffer}
+ */
+function buildSPC({ x, y, evenlySpaced, comment = '' }) {
+  const ownX = !evenlySpaced
+  const size = 512 + 32 + (ownX ? x.length * 4 : 0) + y.length * 4
+  const buffer = new ArrayBuffer(size)
+  const view = new DataView(buffer)
+
+  // Main header
+  view.setUint8(0, ownX ? 0x04 | 0x40 : 0) // TMULTI | TXYXYS
+  view.setUint8(1, 0x4b)
+  view.setInt8(3, FLOAT_Y)
+  view.setUint32(4, ownX ? 0 : y.length, true)
+  view.setFloat64(8, x[0], true)
+  view.setFloat64(16, x[x.length - 1], true)
+  view.setUint32(24, 1, true)
+  view.setUint8(28, 1) // Wavenumber (cm-1)
+  view.setUint8(29, 2) // Absorbance
+  for (let i = 0; i < comment.length; i++) {
+    view.setUint8(88 + i, comment.charCodeAt(i))
+  }
+
+  // Subfile header
+  let offset = 512
+  view.setInt8(offset + 1, FLOAT_Y)
+  view.setUint32(offset + 16, ownX ? x.length : 0, true)
+  offset += 32
+
+  if (ownX) {
+    x.forEach((value, i) => view.setFloat32(offset + i * 4, value, true))
+    offset += x.length * 4
+  }
+  y.forEach((value, i) => view.setFloat32(offset + i * 4, value, true))
+
+  return buffer
+}
+
+describe('readSPC', () => {
+  it('reads an evenly spaced file from ffirst / flast', () => {
+    const buffer = buildSPC(EVEN_FIXTURE)
+
+    const { header, subfiles } = readSPC(buffer)
+    expect(header.format).toBe('SPC 0x4B')
+    expect(header.evenlySpaced).toBe(true)
+    expect(header.xUnits).toBe('Wavenumber (cm-1)')
+    expect(header.yUnits).toBe('Absorbance')
+    expect(header.comment).toBe('Even sample')
+    expect(subfiles).toHaveLength(1)
+    expect(subfiles[0].x).toEqual(EVEN_FIXTURE.x)
+    expect(subfiles[0].y).toEqual(EVEN_FIXTURE.y)
+  })
+
+  it('reads a subfile with its own X values', () => {
+    const buffer = buildSPC(XY_FIXTURE)
+
+    const { header, subfiles } = readSPC(buffer)
+    expect(header.evenlySpaced).toBe(false)
+    expect(subfiles).toHaveLength(1)
+    expect(subfiles[0].x).toEqual(XY_FIXTURE.x)
+    expect(subfiles[0].y).toEqual(XY_FIXTURE.y)
+  })
+
+  it('rejects an unknown version byte', () => {
+    const buffer = new ArrayBuffer(512)
+    new DataView(buffer).setUint8(1, 0x99)
+    expect(() => readSPC(buffer)).toThrow('不支援的 SPC 版本 (0x99)')
+  })
+})
+
+describe('parseSPCBuffer', () => {
+  it('returns an absorbance spectrum in wavenumber', () => {
+    const buffer = buildSPC(XY_FIXTURE)
+
+    const spectrum = parseSPCBuffer(buffer)
+    expect(spectrum.xAxisUnit).toBe('wavenumber')
+    expect(spectrum.yAxisUnit).toBe('absorbance')
+    expect(spectrum.dataPoints).toBe(12)
+    expect(spectrum.wavenumberRange).toEqual([1000, 1100])
+    expect(spectrum.absorbance).toEqual(XY_FIXTURE.y)
+    expect(spectrum.metadata.sampleName).toBe('XY sample')
+  })
+})
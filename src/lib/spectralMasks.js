@@ -0,0 +1,169 @@
+/**
+ * Spectral Masks (excluded / include-only wavenumber windows)
+ *
+ * Atmospheric CO₂, water vapor, diamond-ATR lattice absorption and detector
+ * cutoffs produce bands that are not from the sample. Masks keep peak
+ * detection out of those regions:
+ * - exclude: peaks inside any range are ignored
+ * - include: when any include mask is enabled, only peaks inside one are kept
+ *
+ * Mask: {id, name, mode: 'exclude'|'include', ranges: [[min, max], ...], enabled, preset}
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+export const MASK_MODES = [
+  { value: 'exclude', label: '排除' },
+  { value: 'include', label: '僅包含' }
+]
+
+export const MASK_PRESETS = [
+  { id: 'co2', name: 'CO₂', mode: 'exclude', ranges: [[2280, 2400], [640, 700]] },
+  { id: 'h2o', name: 'H₂O vapor', mode: 'exclude', ranges: [[3550, 3950], [1350, 1950]] },
+  { id: 'diamond', name: 'Diamond ATR', mode: 'exclude', ranges: [[1900, 2300]] }
+]
+
+/**
+ * Create a mask from a preset id or custom ranges
+ *
+ * @param {object} options
+ * @param {string} options.preset - Preset id (see MASK_PRESETS)
+ * @param {string} options.name - Custom name
+ * @param {string} options.mode - 'exclude' (default) or 'include'
+ * @param {number[][]} options.ranges - [[min, max], ...] in cm⁻¹ (either order)
+ * @returns {object} Mask
+ * @throws {Error} On an unknown preset or without a valid range
+ */
+export function createMask({ preset = null, name, mode = 'exclude', ranges = [] } = {}) {
+  if (preset) {
+    const source = MASK_PRESETS.find(p => p.id === preset)
+    if (!source) throw new Error(`未知的遮罩預設: ${preset}`)
+    return {
+      ...source,
+      ranges: source.ranges.map(normalizeRange),
+      enabled: true,
+      preset
+    }
+  }
+
+  const normalized = ranges.map(normalizeRange).filter(r => r[1] > r[0])
+  if (normalized.length === 0) {
+    throw new Error('遮罩至少需要一個有效的波數範圍')
+  }
+
+  return {
+    id: `mask-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+    name: name || normalized.map(([lo, hi]) => `${Math.round(lo)}–${Math.round(hi)}`).join(', '),
+    mode,
+    ranges: normalized,
+    enabled: true,
+    preset: null
+  }
+}
+
+/**
+ * Order a range as [min, max]
+ */
+function normalizeRange(range) {
+  const [a, b] = range.map(Number)
+  return [Math.min(a, b), Math.max(a, b)]
+}
+
+function activeRanges(masks, mode) {
+  return (masks || [])
+    .filter(m => m.enabled !== false && m.mode === mode)
+    .flatMap(m => m.ranges.map(normalizeRange))
+}
+
+/**
+ * Whether a wavenumber is masked out
+ *
+ * @param {number} wavenumber - cm⁻¹
+ * @param {object[]} masks
+ * @returns {boolean}
+ */
+export function isMasked(wavenumber, masks) {
+  const inside = ([lo, hi]) => wavenumber >= lo && wavenumber <= hi
+  if (activeRanges(masks, 'exclude').some(inside)) return true
+
+  const include = activeRanges(masks, 'include')
+  return include.length > 0 && !include.some(inside)
+}
+
+/**
+ * Per-point mask for a wavenumber grid
+ *
+ * @param {number[]} wavenumber
+ * @param {object[]} masks
+ * @returns {boolean[]|null} true = masked; null when no mask is active
+ */
+export function maskArray(wavenumber, masks) {
+  const active = (masks || []).some(m => m.enabled !== false)
+  if (!active) return null
+  return wavenumber.map(wn => isMasked(wn, masks))
+}
+
+/**
+ * Masked-out intervals within [min, max], merged (for shading)
+ * Include windows contribute their complement
+ *
+ * @param {object[]} masks
+ * @param {number} min - Spectrum start (cm⁻¹)
+ * @param {number} max - Spectrum end (cm⁻¹)
+ * @returns {number[][]} [[lo, hi], ...] ascending
+ */
+export function maskedIntervals(masks, min, max) {
+  const low = Math.min(min, max)
+  const high = Math.max(min, max)
+  const intervals = activeRanges(masks, 'exclude')
+
+  const include = activeRanges(masks, 'include').sort((a, b) => a[0] - b[0])
+  if (include.length > 0) {
+    let cursor = low
+    for (const [lo, hi] of include) {
+      if (lo > cursor) intervals.push([cursor, lo])
+      cursor = Math.max(cursor, hi)
+    }
+    if (cursor < high) intervals.push([cursor, high])
+  }
+
+  const clipped = intervals
+    .map(([lo, hi]) => [Math.max(lo, low), Math.min(hi, high)])
+    .filter(([lo, hi]) => hi > lo)
+    .sort((a, b) => a[0] - b[0])
+
+  const merged = []
+  for (const interval of clipped) {
+    const last = merged[merged.length - 1]
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1])
+    } else {
+      merged.push([...interval])
+    }
+  }
+  return merged
+}
+
+/**
+ * Drop peaks whose position is masked out
+ *
+ * @param {object[]} peaks
+ * @param {object[]} masks
+ * @returns {object[]}
+ */
+export function filterMaskedPeaks(peaks, masks) {
+  return peaks.filter(p => !isMasked(p.position, masks))
+}
+
+/**
+ * Export all for testing
+ */
+export const spectralMasksFunctions = {
+  createMask,
+  normalizeRange,
+  isMasked,
+  maskArray,
+  maskedIntervals,
+  filterMaskedPeaks
+}
@@ -0,0 +1,123 @@
+/**
+ * Spectrum File Reader
+ *
+ * Picks the right parser for an uploaded spectrum file
+ * - CSV / TXT → csvParser
+ * - JCAMP-DX (.jdx, .dx, .jcamp) → jcampParser
+ * - Galactic SPC (.spc) → spcParser
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { parseCSVSpectra } from './csvParser'
+import { parseJCAMPText } from './jcampParser'
+import { parseSPCSpectra } from './spcParser'
+
+const JCAMP_EXTENSIONS = ['.jdx', '.dx', '.jcamp']
+
+/**
+ * Check whether a file looks like JCAMP-DX
+ *
+ * @param {File} file - File object
+ * @returns {boolean}
+ */
+export function isJCAMPFile(file) {
+  const name = file.name.toLowerCase()
+  return JCAMP_EXTENSIONS.some(ext => name.endsWith(ext))
+}
+
+/**
+ * Check whether a file looks like Galactic SPC
+ *
+ * @param {File} file - File object
+ * @returns {boolean}
+ */
+export function isSPCFile(file) {
+  return file.name.toLowerCase().endsWith('.spc')
+}
+
+/**
+ * Read a file as text using FileReader API
+ *
+ * @param {File} file - File object
+ * @returns {Promise<string>} File contents
+ */
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (e) => resolve(e.target.result)
+    reader.onerror = () => reject(new Error('文件讀取失敗'))
+    reader.readAsText(file)
+  })
+}
+
+/**
+ * Read a file as ArrayBuffer using FileReader API
+ *
+ * @param {File} file - File object
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = (e) => resolve(e.target.result)
+    reader.onerror = () => reject(new Error('文件讀取失敗'))
+    reader.readAsArrayBuffer(file)
+  })
+}
+
+/**
+ * Read an uploaded file into a parser-ready source
+ *
+ * @param {File} file - Uploaded file
+ * @returns {Promise<{format: 'csv'|'jcamp'|'spc', text?: string, buffer?: ArrayBuffer}>}
+ * @throws {Error} If the file type is not supported
+ */
+export async function readSpectrumFile(file) {
+  if (isJCAMPFile(file)) {
+    return { format: 'jcamp', text: await readFileAsText(file) }
+  }
+
+  if (isSPCFile(file)) {
+    return { format: 'spc', buffer: await readFileAsArrayBuffer(file) }
+  }
+
+  // Validate file type
+  if (!file.type.includes('text') && !file.name.endsWith('.csv') && !file.name.endsWith('.txt')) {
+    throw new Error('請上傳有效的 CSV 文件')
+  }
+
+  return { format: 'csv', text: await readFileAsText(file) }
+}
+
+/**
+ * Parse a source returned by readSpectrumFile
+ *
+ * @param {object} source - {format, text|buffer}
+ * @param {object} options - Parsing options (CSV column mapping, xUnit override)
+ * @returns {object[]} Parsed spectra (one per Y column / subfile)
+ */
+export function parseSpectrumSource(source, options = {}) {
+  if (source.format === 'jcamp') {
+    return [parseJCAMPText(source.text, options)]
+  }
+
+  if (source.format === 'spc') {
+    return parseSPCSpectra(source.buffer, options)
+  }
+
+  return parseCSVSpectra(source.text, options)
+}
+
+/**
+ * Parse any supported spectrum file
+ *
+ * @param {File} file - Uploaded file
+ * @param {object} options - Parsing options (CSV column mapping, xUnit override)
+ * @returns {Promise<object[]>} Parsed spectra
+ */
+export async function parseSpectrumFile(file, options = {}) {
+  const source = await readSpectrumFile(file)
+  return parseSpectrumSource(source, options)
+}
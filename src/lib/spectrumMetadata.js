@@ -0,0 +1,162 @@
+/**
+ * Spectrum Metadata (sample / instrument / acquisition)
+ *
+ * Normalizes instrument metadata from CSV header and comment lines,
+ * JCAMP-DX labels and SPC headers into one `metadata` block,
+ * and formats it for exports so results stay traceable to their sample
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+/**
+ * Recognized metadata fields
+ * Aliases are normalized keys (lower-case, alphanumerics only), in priority order
+ */
+export const METADATA_FIELDS = [
+  {
+    key: 'sampleName',
+    label: 'Sample',
+    aliases: ['samplename', 'sample', 'sampleid', 'title', 'sampledescription']
+  },
+  {
+    key: 'instrument',
+    label: 'Instrument',
+    aliases: ['instrument', 'spectrometer', 'spectrometerdatasystem', 'instrumentmodel', 'model']
+  },
+  {
+    key: 'resolution',
+    label: 'Resolution',
+    aliases: ['resolution', 'resolutioncm1', 'res']
+  },
+  {
+    key: 'scans',
+    label: 'Scans',
+    aliases: ['scans', 'numscans', 'numberofscans', 'noofscans', 'nscans', 'scancount', 'samplescans']
+  },
+  {
+    key: 'atrCrystal',
+    label: 'ATR crystal',
+    aliases: ['atrcrystal', 'crystal', 'atr', 'accessory']
+  },
+  {
+    key: 'acquisitionDate',
+    label: 'Acquisition date',
+    aliases: ['acquisitiondate', 'longdate', 'datetime', 'measurementdate', 'acquired', 'date']
+  }
+]
+
+/**
+ * Normalize a free-text key for alias lookup
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Create a complete metadata block (every field present, string values)
+ *
+ * @param {object} values - Partial metadata
+ * @returns {object} {sampleName, instrument, resolution, scans, atrCrystal, acquisitionDate}
+ */
+export function createMetadata(values = {}) {
+  const metadata = {}
+  for (const field of METADATA_FIELDS) {
+    const value = values?.[field.key]
+    metadata[field.key] = value === undefined || value === null ? '' : String(value).trim()
+  }
+  return metadata
+}
+
+/**
+ * Check whether a key names a recognized metadata field
+ *
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isMetadataKey(key) {
+  const normalized = normalizeKey(key)
+  return normalized.length > 0 && METADATA_FIELDS.some(field => field.aliases.includes(normalized))
+}
+
+/**
+ * Extract metadata from raw key/value entries (CSV comments, JCAMP labels)
+ *
+ * @param {object} entries - {rawKey: value}
+ * @returns {object} Metadata block
+ */
+export function extractMetadata(entries = {}) {
+  const normalized = {}
+  for (const [key, value] of Object.entries(entries)) {
+    const nk = normalizeKey(key)
+    if (nk && !(nk in normalized) && typeof value === 'string' && value.trim()) {
+      normalized[nk] = value.trim()
+    }
+  }
+
+  const values = {}
+  for (const field of METADATA_FIELDS) {
+    const alias = field.aliases.find(a => a in normalized)
+    if (alias) values[field.key] = normalized[alias]
+  }
+  return createMetadata(values)
+}
+
+/**
+ * Non-empty metadata fields as {label, value} pairs
+ *
+ * @param {object} metadata
+ * @returns {{key: string, label: string, value: string}[]}
+ */
+export function metadataEntries(metadata) {
+  if (!metadata) return []
+  return METADATA_FIELDS
+    .filter(field => metadata[field.key])
+    .map(field => ({ key: field.key, label: field.label, value: metadata[field.key] }))
+}
+
+/**
+ * Format metadata as `# Label: value` lines for CSV export headers
+ * (read back as comment metadata by the CSV tokenizer)
+ *
+ * @param {object} metadata
+ * @returns {string[]}
+ */
+export function metadataToCommentLines(metadata) {
+  return metadataEntries(metadata).map(({ label, value }) => `# ${label}: ${value.replace(/\r?\n/g, ' ')}`)
+}
+
+/**
+ * One-line chart title: sample name, then instrument details
+ *
+ * @param {object} metadata
+ * @returns {string} Empty when no metadata
+ */
+export function formatMetadataTitle(metadata) {
+  if (!metadata) return ''
+  const details = [
+    metadata.instrument,
+    metadata.atrCrystal && `ATR ${metadata.atrCrystal}`,
+    metadata.resolution && `${metadata.resolution}${/^[\d.]+$/.test(metadata.resolution) ? ' cm⁻¹' : ''}`,
+    metadata.scans && `${metadata.scans} scans`,
+    metadata.acquisitionDate
+  ].filter(Boolean)
+
+  if (!metadata.sampleName) return details.join(' · ')
+  return details.length > 0 ? `${metadata.sampleName} — ${details.join(' · ')}` : metadata.sampleName
+}
+
+/**
+ * Export all for testing
+ */
+export const spectrumMetadataFunctions = {
+  createMetadata,
+  isMetadataKey,
+  extractMetadata,
+  metadataEntries,
+  metadataToCommentLines,
+  formatMetadataTitle
+}
@@ -0,0 +1,125 @@
+/**
+ * X-Axis Unit Converter for FTIR Spectra
+ *
+ * Detects the X-axis unit (cm⁻¹, µm, nm) from header text and value range
+ * and converts wavelength data to wavenumber
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { resampleUniform } from './resampler'
+
+export const X_AXIS_UNITS = {
+  wavenumber: { label: 'Wavenumber (cm⁻¹)', short: 'cm⁻¹' },
+  micrometer: { label: 'Wavelength (µm)', short: 'µm' },
+  nanometer: { label: 'Wavelength (nm)', short: 'nm' }
+}
+
+// Accepted wavenumber window after conversion (far-IR to near-IR)
+export const WAVENUMBER_LIMITS = [100, 15000]
+
+/**
+ * Infer X-axis unit from header text, then from the value range
+ *
+ * Heuristic (no unit in header; a bare "wavelength" header means µm or nm by range):
+ * - max ≤ 50 → µm (mid-IR 2.5-25 µm, NIR 0.78-2.5 µm)
+ * - max > WAVENUMBER_LIMITS[1] → nm (mid-IR 2500-25000 nm); no IR spectrum reaches that in cm⁻¹
+ * - anything else → cm⁻¹; NIR nm files (780-2600 nm) without a header need the
+ *   manual override, because they overlap a cropped mid-IR range in cm⁻¹
+ *
+ * @param {number[]} xValues
+ * @param {string} headerText - X column header (or JCAMP/SPC unit label)
+ * @returns {{unit: 'wavenumber'|'micrometer'|'nanometer', source: 'header'|'range'|'default'}}
+ */
+export function inferXAxisUnit(xValues, headerText = '') {
+  const header = headerText.toLowerCase()
+
+  if (/cm-1|cm⁻¹|1\/cm|wavenumber|wavenum/.test(header)) {
+    return { unit: 'wavenumber', source: 'header' }
+  }
+  if (/µm|μm|\bum\b|micron|micrometer/.test(header)) {
+    return { unit: 'micrometer', source: 'header' }
+  }
+  if (/\bnm\b|nanometer/.test(header)) {
+    return { unit: 'nanometer', source: 'header' }
+  }
+
+  const valid = xValues.filter(v => Number.isFinite(v) && v > 0)
+  const max = valid.length > 0 ? Math.max(...valid) : 0
+  const isSmall = valid.length > 0 && max <= 50
+
+  // "Wavelength" without a unit: the range tells µm from nm
+  if (header.includes('wavelength')) {
+    return { unit: isSmall ? 'micrometer' : 'nanometer', source: 'header' }
+  }
+
+  if (isSmall) {
+    return { unit: 'micrometer', source: 'range' }
+  }
+  if (max > WAVENUMBER_LIMITS[1]) {
+    return { unit: 'nanometer', source: 'range' }
+  }
+
+  return { unit: 'wavenumber', source: 'default' }
+}
+
+/**
+ * Convert a single X value to wavenumber (cm⁻¹)
+ *
+ * @param {number} x
+ * @param {string} unit - 'wavenumber', 'micrometer' or 'nanometer'
+ * @returns {number}
+ */
+export function toWavenumber(x, unit) {
+  if (unit === 'micrometer') return 1e4 / x
+  if (unit === 'nanometer') return 1e7 / x
+  return x
+}
+
+/**
+ * Convert wavelength data to wavenumber and put it on an ascending uniform grid
+ * Wavenumber data is returned unchanged
+ *
+ * @param {number[]} xValues - X values in `unit`
+ * @param {number[]} yValues - Y values
+ * @param {string} unit - 'wavenumber', 'micrometer' or 'nanometer'
+ * @returns {{wavenumber: number[], yValues: number[]}}
+ */
+export function convertToWavenumber(xValues, yValues, unit) {
+  if (unit === 'wavenumber') {
+    return { wavenumber: xValues, yValues }
+  }
+
+  const pairs = xValues
+    .map((x, i) => ({ wn: toWavenumber(x, unit), y: yValues[i] }))
+    .filter(p => Number.isFinite(p.wn) && Number.isFinite(p.y))
+    .sort((a, b) => a.wn - b.wn)
+
+  // 1/λ spacing is non-uniform; the detector and chart expect an even grid
+  return resampleUniform(pairs.map(p => p.wn), pairs.map(p => p.y), pairs.length)
+}
+
+/**
+ * Map a free-text unit label (JCAMP ##XUNITS, SPC fxtype) to an X-axis unit
+ *
+ * @param {string} label
+ * @returns {'wavenumber'|'micrometer'|'nanometer'|null} null when unknown
+ */
+export function parseXUnitLabel(label = '') {
+  const upper = label.toUpperCase()
+  if (upper.includes('1/CM') || upper.includes('CM-1') || upper.includes('WAVENUMBER')) return 'wavenumber'
+  if (upper.includes('MICROMETER') || upper === 'UM' || upper.includes('(UM)')) return 'micrometer'
+  if (upper.includes('NANOMETER') || upper === 'NM' || upper.includes('(NM)')) return 'nanometer'
+  return null
+}
+
+/**
+ * Export all for testing
+ */
+export const unitConverterFunctions = {
+  inferXAxisUnit,
+  toWavenumber,
+  convertToWavenumber,
+  parseXUnitLabel
+}
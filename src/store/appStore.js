@@ -8,29 +8,330 @@
  */
 
 import { create } from 'zustand'
-import { detectPeaks as performPeakDetection } from '../lib/peakDetector'
-import { matchAllPeaks } from '../lib/ruleMatcher'
-import rulesDb from '../data/ftir-rules-database.json'
+import { runPipelineTask, cancelPipelineTasks, isCancelledError } from '../lib/pipelineClient'
+import { STAGE_LABELS } from '../lib/pipeline'
+import { DEFAULT_BASELINE_PARAMS } from '../lib/baselineCorrection'
+import { DEFAULT_ENHANCEMENT_PARAMS } from '../lib/resolutionEnhancement'
+import { DEFAULT_NOISE_OPTIONS, DEFAULT_SMOOTH_WIDTH, measurePeakAt } from '../lib/peakDetector'
+import { createMask } from '../lib/spectralMasks'
+import { DEFAULT_COMPENSATION_PARAMS, describeCompensation } from '../lib/atmosphericCompensation'
+import { readSpectrumFile } from '../lib/spectrumFile'
+import { DEFAULT_SWEEP, isUnstablePeak } from '../lib/sensitivityAnalysis'
+
+// Worker task tag of stages shown on the progress bar; cancelPipeline only cancels these
+const PROGRESS_TASK_TAG = 'progress'
+
+/**
+ * Carry annotations, ambiguities, review decisions and pending rematches
+ * across a peak list edit
+ *
+ * @param {object} state - Store state before the edit
+ * @param {number[]} oldToNew - New index of each old peak (-1 = removed or needs rematching)
+ * @param {number[]} rematch - New indices to rematch on the next annotatePeaks
+ * @returns {{annotations, ambiguities, peakAnnotations, pendingRematch}}
+ */
+function remapReviewState(state, oldToNew, rematch = []) {
+  const annotations = state.annotations ? [] : null
+  const peakAnnotations = {}
+
+  const previous = state.annotations || []
+  previous.forEach(ann => {
+    const newIndex = oldToNew[ann.peakIndex]
+    if (newIndex === undefined || newIndex < 0) return
+    if (state.peakAnnotations?.[ann.peakIndex]) {
+      peakAnnotations[newIndex] = state.peakAnnotations[ann.peakIndex]
+    }
+    annotations.push({ ...ann, peakIndex: newIndex })
+  })
+
+  const ambiguousPeaks = new Set((state.ambiguities || []).map(a => oldToNew[a.peakIndex]))
+  const pending = (state.pendingRematch || [])
+    .map(i => oldToNew[i])
+    .filter(i => i !== undefined && i >= 0)
+
+  return {
+    annotations,
+    ambiguities: state.ambiguities && annotations
+      ? annotations.filter(ann => ambiguousPeaks.has(ann.peakIndex))
+      : state.ambiguities,
+    peakAnnotations,
+    pendingRematch: [...new Set([...pending, ...rematch])].sort((a, b) => a - b)
+  }
+}
+
+/**
+ * Detection input in the representation the file was loaded in
+ * (absorbance files are not round-tripped through clamped %T)
+ */
+function detectionInput(spectrum) {
+  return spectrum.yAxisUnit === 'absorbance' && spectrum.absorbance
+    ? { values: spectrum.absorbance, yAxisUnit: 'absorbance' }
+    : { values: spectrum.transmittance, yAxisUnit: 'transmittance' }
+}
+
+/**
+ * Detection settings for measuring a manually placed peak
+ */
+function manualPeakOptions(state) {
+  return {
+    yAxisUnit: detectionInput(state.spectrum).yAxisUnit,
+    smoothWidth: state.peakDetectionParams.smoothingWidth || DEFAULT_SMOOTH_WIDTH,
+    baseline: state.baseline?.absorbance || null,
+    compensation: state.compensation?.reference || null,
+    noise: state.noiseEstimate?.value || 0
+  }
+}
+
+/**
+ * Detection options from peakDetectionParams (detection and sensitivity sweep),
+ * including resolution enhancement so both find the same sub-peaks
+ */
+function detectionOptions(state) {
+  const params = state.peakDetectionParams
+  return {
+    minHeight: params.peakHeightThreshold || 0.001,
+    smoothWidth: params.smoothingWidth || DEFAULT_SMOOTH_WIDTH,
+    prominencePercent: 5, // Auto 5%
+    minSNR: params.thresholdMode === 'snr' ? params.minSNR : null,
+    noiseOptions: params.noise,
+    masks: params.masks || [],
+    compensation: compensationOptions(state),
+    minDistance: params.minDistance,
+    shoulders: Boolean(params.shoulders),
+    shoulderSNR: params.shoulderSNR || 5,
+    baselineMethod: params.baselineMethod || 'linear',
+    baselineParams: params.baselineParams,
+    enhancement: params.enhancement
+  }
+}
+
+/**
+ * Atmospheric compensation options for the pipeline, null when disabled
+ */
+function compensationOptions(state) {
+  const params = { ...DEFAULT_COMPENSATION_PARAMS, ...state.peakDetectionParams.compensation }
+  if (!params.enabled) return null
+  return {
+    source: params.source,
+    resolution: params.resolution,
+    reference: params.source === 'uploaded' ? state.compensationReference : null
+  }
+}
+
+/**
+ * Whether a worker result belongs to a spectrum that is no longer active
+ * A stale result is dropped, and the loading status runPipelineStage set for it
+ * is cleared (unless another stage is already running)
+ */
+function isStaleResult(get, set, spectrum) {
+  if (get().spectrum === spectrum) return false
+  if (!get().pipeline.running && get().ui.status === 'loading') {
+    set(state => ({ ui: { ...state.ui, status: 'idle', message: '光譜已切換，捨棄舊結果' } }))
+  }
+  return true
+}
+
+/**
+ * Merge a partial rematch into the existing annotations (ordered by peak index)
+ * Review decisions of rematched peaks are dropped with their old candidates
+ */
+function mergeAnnotations(state, result) {
+  const rematched = new Set(result.annotations.map(ann => ann.peakIndex))
+  const annotations = [
+    ...state.annotations.filter(ann => !rematched.has(ann.peakIndex)),
+    ...result.annotations
+  ].sort((a, b) => a.peakIndex - b.peakIndex)
+
+  const peakAnnotations = {}
+  Object.entries(state.peakAnnotations || {}).forEach(([peakIndex, review]) => {
+    if (!rematched.has(Number(peakIndex))) peakAnnotations[peakIndex] = review
+  })
+
+  const ambiguousPeaks = new Set([...(state.ambiguities || []), ...result.ambiguities].map(a => a.peakIndex))
+  return {
+    annotations,
+    ambiguities: annotations.filter(ann => ambiguousPeaks.has(ann.peakIndex)),
+    peakAnnotations
+  }
+}
 
 /**
  * Main application store
  * 
  * State structure:
- * - spectrum: Raw spectrum data
+ * - spectrum: Raw spectrum data (active spectrum)
+ * - spectra: All spectra loaded from the last file (multi-column CSV, multi-file SPC)
  * - peaks: Detected peaks
  * - annotations: Rule matching results
  * - ui: UI state (loading, errors, selected peak, etc.)
+ * - pipeline: Worker stage progress, cancel state and per-stage timings
  * - settings: Detection and matching settings
  */
 export const useAppStore = create((set, get) => ({
   // ==================== Spectrum Data ====================
   spectrum: null,
   
+  spectra: [],
+  activeSpectrumIndex: 0,
+  spectraSource: null, // {type: 'file'|'project', fileName, fileSize}
+  
   setSpectrum: (spectrum) => set({ spectrum }),
+
+  /**
+   * Load a list of spectra and activate the first one
+   */
+  setSpectra: (spectra, source = null) => {
+    set({
+      spectra,
+      spectraSource: source,
+      activeSpectrumIndex: 0,
+      spectrum: spectra[0] || null,
+      peaks: null,
+      baseline: null,
+      noiseEstimate: null,
+      compensation: null,
+      paramSuggestion: null,
+      sensitivity: null,
+      pendingRematch: [],
+      fitResult: null,
+      annotations: null,
+      ambiguities: null,
+      peakAnnotations: {}
+    })
+    if (get().peakDetectionParams.auto) get().suggestDetectionParams()
+  },
+
+  /**
+   * Switch the active spectrum; detection and review results belong to the previous one
+   */
+  setActiveSpectrum: (index) => {
+    const { spectra } = get()
+    if (!spectra[index]) return
+    set({
+      activeSpectrumIndex: index,
+      spectrum: spectra[index],
+      peaks: null,
+      baseline: null,
+      noiseEstimate: null,
+      compensation: null,
+      paramSuggestion: null,
+      sensitivity: null,
+      pendingRematch: [],
+      fitResult: null,
+      annotations: null,
+      ambiguities: null,
+      peakAnnotations: {}
+    })
+  },
+  
+  /**
+   * Put the active spectrum on a uniform grid (resampler.js) in the pipeline worker
+   * Detection results refer to the old grid, so they are cleared like on a spectrum switch
+   *
+   * @param {object} options - {spacing (cm⁻¹), method: 'linear' | 'cubic'}
+   */
+  resampleSpectrum: async (options) => {
+    const { spectrum, spectra, activeSpectrumIndex } = get()
+    if (!spectrum) return
+
+    try {
+      const resampled = await get().runPipelineStage('resample', { spectrum, options })
+      if (isStaleResult(get, set, spectrum)) return
+
+      set(state => ({
+        spectrum: resampled,
+        spectra: spectra.map((s, idx) => (idx === activeSpectrumIndex ? resampled : s)),
+        peaks: null,
+        baseline: null,
+        noiseEstimate: null,
+        compensation: null,
+        paramSuggestion: null,
+        sensitivity: null,
+        pendingRematch: [],
+        fitResult: null,
+        annotations: null,
+        ambiguities: null,
+        peakAnnotations: {},
+        ui: {
+          ...state.ui,
+          status: 'success',
+          message: `✓ 已重新取樣至 ${options.spacing} cm⁻¹（${resampled.dataPoints} 點）`
+        }
+      }))
+
+      get().addToHistory({
+        action: 'resampleSpectrum',
+        count: resampled.dataPoints,
+        params: options
+      })
+    } catch (error) {
+      if (isCancelledError(error)) return
+      set(state => ({
+        ui: {
+          ...state.ui,
+          status: 'error',
+          message: error.message
+        }
+      }))
+    }
+  },
+
+  /**
+   * Edit the active spectrum's metadata (sample, instrument, ...)
+   * Detection results stay valid, so nothing else is reset
+   */
+  updateSpectrumMetadata: (patch) => {
+    const { spectrum, spectra, activeSpectrumIndex } = get()
+    if (!spectrum) return
+    const updated = { ...spectrum, metadata: { ...spectrum.metadata, ...patch } }
+    set({
+      spectrum: updated,
+      spectra: spectra.map((s, idx) => (idx === activeSpectrumIndex ? updated : s))
+    })
+  },
+  
+  /**
+   * Restore a review session from a (migrated) project file
+   * Parameters missing from older projects keep their current values
+   */
+  loadProject: (project, fileName = '') => {
+    const state = get()
+    const activeSpectrumIndex = project.activeSpectrumIndex || 0
+    set({
+      spectra: project.spectra,
+      spectraSource: { type: 'project', fileName },
+      activeSpectrumIndex,
+      spectrum: project.spectra[activeSpectrumIndex],
+      peakDetectionParams: { ...state.peakDetectionParams, ...project.peakDetectionParams },
+      compensationReference: project.compensationReference || null,
+      ruleMatchingParams: { ...state.ruleMatchingParams, ...project.ruleMatchingParams },
+      peaks: project.peaks || null,
+      baseline: project.baseline || null,
+      noiseEstimate: project.noiseEstimate || null,
+      compensation: project.compensation || null,
+      paramSuggestion: null,
+      sensitivity: null,
+      pendingRematch: [],
+      fitResult: null,
+      annotations: project.annotations || null,
+      ambiguities: project.ambiguities || null,
+      peakAnnotations: project.peakAnnotations || {}
+    })
+  },
   
   clearSpectrum: () => set({
     spectrum: null,
+    spectra: [],
+    activeSpectrumIndex: 0,
+    spectraSource: null,
     peaks: null,
+    baseline: null,
+    noiseEstimate: null,
+    compensation: null,
+    paramSuggestion: null,
+    sensitivity: null,
+    pendingRematch: [],
+    fitResult: null,
     annotations: null,
     ambiguities: null,
     ui: {
@@ -42,8 +343,93 @@ export const useAppStore = create((set, get) => ({
 
   // ==================== Peak Detection ====================
   peaks: null,
+  baseline: null, // {method, wavenumber, absorbance} from the last detection
+  noiseEstimate: null, // {value, method, region, statistic} from the last detection
+  compensation: null, // {scales, source, wavenumber, absorbance, reference} from the last detection / preview
+  compensationReference: null, // Uploaded vapor reference {name, wavenumber, absorbance}
+  paramSuggestion: null, // {params, explanations, basis} from the Auto mode (parameterSuggestion.js)
+  sensitivity: null, // {settings, clusters, tolerance} from the parameter sweep (sensitivityAnalysis.js)
+  pendingRematch: [], // Indices of manually added / moved peaks awaiting annotatePeaks
+  fitResult: null, // Band fit over a region (peakFitting.js)
   
   setPeaks: (peaks) => set({ peaks }),
+
+  // ==================== Manual Peak Editing ====================
+  // Edited peaks are tagged manual: 'added' | 'moved'; annotations of the other
+  // peaks and their review decisions are kept, and only the edited ones are rematched
+
+  /**
+   * Add a peak at a position, snapped to a nearby local maximum
+   */
+  addPeak: (position) => {
+    const state = get()
+    const { spectrum, peaks } = state
+    if (!spectrum) return
+
+    const peak = {
+      ...measurePeakAt(spectrum.wavenumber, detectionInput(spectrum).values, position, manualPeakOptions(state)),
+      manual: 'added'
+    }
+    const current = peaks || []
+    // Peak list is sorted by descending wavenumber
+    let insertAt = current.findIndex(p => p.position < peak.position)
+    if (insertAt === -1) insertAt = current.length
+
+    const oldToNew = current.map((_, i) => (i < insertAt ? i : i + 1))
+    set({
+      peaks: [...current.slice(0, insertAt), peak, ...current.slice(insertAt)],
+      ...remapReviewState(state, oldToNew, [insertAt])
+    })
+    get().addToHistory({ action: 'addPeak', position: peak.position })
+  },
+
+  /**
+   * Delete a (falsely detected) peak with its annotation and review decision
+   */
+  deletePeak: (index) => {
+    const state = get()
+    const { peaks } = state
+    if (!peaks || !peaks[index]) return
+
+    const oldToNew = peaks.map((_, i) => (i === index ? -1 : i < index ? i : i - 1))
+    set({
+      peaks: peaks.filter((_, i) => i !== index),
+      ...remapReviewState(state, oldToNew)
+    })
+    get().addToHistory({ action: 'deletePeak', position: peaks[index].position })
+  },
+
+  /**
+   * Move a peak to an exact position (no snapping) and re-measure it there
+   */
+  movePeak: (index, position) => {
+    const state = get()
+    const { spectrum, peaks } = state
+    if (!spectrum || !peaks || !peaks[index]) return
+
+    const moved = {
+      ...measurePeakAt(spectrum.wavenumber, detectionInput(spectrum).values, position, {
+        ...manualPeakOptions(state),
+        refine: false
+      }),
+      manual: peaks[index].manual === 'added' ? 'added' : 'moved'
+    }
+
+    const others = peaks.filter((_, i) => i !== index)
+    let insertAt = others.findIndex(p => p.position < moved.position)
+    if (insertAt === -1) insertAt = others.length
+
+    const oldToNew = peaks.map((_, i) => {
+      if (i === index) return -1
+      const withoutMoved = i < index ? i : i - 1
+      return withoutMoved < insertAt ? withoutMoved : withoutMoved + 1
+    })
+    set({
+      peaks: [...others.slice(0, insertAt), moved, ...others.slice(insertAt)],
+      ...remapReviewState(state, oldToNew, [insertAt])
+    })
+    get().addToHistory({ action: 'movePeak', from: peaks[index].position, to: moved.position })
+  },
   
   // ==================== Annotations ====================
   annotations: null,
@@ -140,8 +526,20 @@ export const useAppStore = create((set, get) => ({
 
   // ==================== Peak Detection Parameters ====================
   peakDetectionParams: {
-    smoothingWindow: 7,        // Default 7 (3-21, odd)
+    smoothingWidth: DEFAULT_SMOOTH_WIDTH, // Smoothing window in cm⁻¹ (4-40), independent of the point spacing
     peakHeightThreshold: 0.001, // Default 0.001 (0.00005-0.005)
+    baselineMethod: 'linear',  // none / linear / als / rubberband / polynomial / anchor
+    baselineParams: { ...DEFAULT_BASELINE_PARAMS },
+    enhancement: { ...DEFAULT_ENHANCEMENT_PARAMS }, // Resolution enhancement (sub-peaks)
+    thresholdMode: 'percent',  // Minimum prominence: 'percent' (5% of max) or 'snr'
+    minSNR: 3,                 // Used when thresholdMode = 'snr' (2-20)
+    noise: { ...DEFAULT_NOISE_OPTIONS },
+    minDistance: 20,           // Minimum peak separation in cm⁻¹ (2-100)
+    shoulders: false,          // Also report shoulders (second-derivative minima on a flank)
+    shoulderSNR: 5,            // Minimum shoulder curvature SNR (3-15)
+    auto: true,                // Fill smoothing / thresholds / distance when a file is loaded (not on switch / resample)
+    masks: [],                 // Excluded / include-only windows (spectralMasks.js)
+    compensation: { ...DEFAULT_COMPENSATION_PARAMS }, // CO₂ / vapor subtraction
   },
 
   updatePeakDetectionParams: (params) => set({
@@ -153,11 +551,235 @@ export const useAppStore = create((set, get) => ({
 
   resetPeakDetectionParams: () => set({
     peakDetectionParams: {
-      smoothingWindow: 7,
+      smoothingWidth: DEFAULT_SMOOTH_WIDTH,
       peakHeightThreshold: 0.001,
+      baselineMethod: 'linear',
+      baselineParams: { ...DEFAULT_BASELINE_PARAMS },
+      enhancement: { ...DEFAULT_ENHANCEMENT_PARAMS },
+      thresholdMode: 'percent',
+      minSNR: 3,
+      noise: { ...DEFAULT_NOISE_OPTIONS },
+      minDistance: 20,
+      shoulders: false,
+      shoulderSNR: 5,
+      auto: true,
+      masks: [],
+      compensation: { ...DEFAULT_COMPENSATION_PARAMS },
     }
   }),
 
+  /**
+   * Auto mode: estimate noise / spacing / band width and fill peakDetectionParams
+   * Runs quietly in the worker so the load message stays on screen
+   */
+  suggestDetectionParams: async () => {
+    const { spectrum, peakDetectionParams } = get()
+    if (!spectrum || !spectrum.wavenumber) return
+
+    try {
+      const { result: suggestion } = await runPipelineTask('suggest', {
+        wavenumber: spectrum.wavenumber,
+        ...detectionInput(spectrum),
+        options: {
+          noiseOptions: peakDetectionParams.noise,
+          baselineMethod: peakDetectionParams.baselineMethod || 'linear',
+          baselineParams: peakDetectionParams.baselineParams
+        }
+      })
+
+      // The active spectrum changed while the worker was busy
+      if (isStaleResult(get, set, spectrum)) return
+
+      set(state => ({
+        paramSuggestion: suggestion,
+        peakDetectionParams: {
+          ...state.peakDetectionParams,
+          ...suggestion.params
+        }
+      }))
+    } catch (error) {
+      if (isCancelledError(error)) return
+      set(state => ({
+        ui: {
+          ...state.ui,
+          status: 'error',
+          message: `參數建議失敗: ${error.message}`
+        }
+      }))
+    }
+  },
+
+  // ==================== Baseline Anchors ====================
+  // Anchors ({wavenumber, value} in absorbance) live in peakDetectionParams.baselineParams
+  // so they are saved with the detection parameters; editing them selects the anchor method
+
+  setBaselineAnchors: (anchors) => set(state => ({
+    peakDetectionParams: {
+      ...state.peakDetectionParams,
+      baselineMethod: 'anchor',
+      baselineParams: {
+        ...DEFAULT_BASELINE_PARAMS,
+        ...state.peakDetectionParams.baselineParams,
+        anchors
+      }
+    }
+  })),
+
+  addBaselineAnchor: (anchor) => {
+    const anchors = get().peakDetectionParams.baselineParams?.anchors || []
+    get().setBaselineAnchors([...anchors, anchor])
+  },
+
+  moveBaselineAnchor: (index, anchor) => {
+    const anchors = get().peakDetectionParams.baselineParams?.anchors || []
+    get().setBaselineAnchors(anchors.map((a, i) => (i === index ? anchor : a)))
+  },
+
+  removeBaselineAnchor: (index) => {
+    const anchors = get().peakDetectionParams.baselineParams?.anchors || []
+    get().setBaselineAnchors(anchors.filter((_, i) => i !== index))
+  },
+
+  // ==================== Spectral Masks ====================
+  // Masks live in peakDetectionParams so they are saved with the detection parameters
+
+  setMasks: (masks) => set(state => ({
+    peakDetectionParams: {
+      ...state.peakDetectionParams,
+      masks
+    }
+  })),
+
+  toggleMaskPreset: (presetId) => {
+    const masks = get().peakDetectionParams.masks || []
+    if (masks.some(m => m.id === presetId)) {
+      get().setMasks(masks.filter(m => m.id !== presetId))
+    } else {
+      get().setMasks([...masks, createMask({ preset: presetId })])
+    }
+  },
+
+  addMask: (options) => {
+    try {
+      const mask = createMask(options)
+      get().setMasks([...(get().peakDetectionParams.masks || []), mask])
+      return mask
+    } catch (error) {
+      set(state => ({
+        ui: {
+          ...state.ui,
+          status: 'error',
+          message: error.message
+        }
+      }))
+      return null
+    }
+  },
+
+  updateMask: (id, changes) => {
+    const masks = get().peakDetectionParams.masks || []
+    get().setMasks(masks.map(m => (m.id === id ? { ...m, ...changes } : m)))
+  },
+
+  removeMask: (id) => {
+    const masks = get().peakDetectionParams.masks || []
+    get().setMasks(masks.filter(m => m.id !== id))
+  },
+
+  // ==================== Atmospheric Compensation ====================
+
+  /**
+   * Load a measured vapor reference spectrum (CSV, JCAMP-DX or SPC) in the pipeline worker
+   */
+  loadCompensationReference: async (file) => {
+    try {
+      const source = { ...await readSpectrumFile(file), fileName: file.name }
+      const [reference] = await get().runPipelineStage('parse', { source, options: {} })
+
+      set(state => ({
+        compensationReference: {
+          name: file.name,
+          wavenumber: reference.wavenumber,
+          absorbance: reference.absorbance
+        },
+        peakDetectionParams: {
+          ...state.peakDetectionParams,
+          compensation: {
+            ...DEFAULT_COMPENSATION_PARAMS,
+            ...state.peakDetectionParams.compensation,
+            source: 'uploaded'
+          }
+        },
+        ui: {
+          ...state.ui,
+          status: 'success',
+          message: `✓ 已載入參考光譜 ${file.name}（${reference.wavenumber.length} 點）`
+        }
+      }))
+    } catch (error) {
+      if (isCancelledError(error)) return
+      set(state => ({
+        ui: {
+          ...state.ui,
+          status: 'error',
+          message: `參考光譜載入失敗: ${error.message}`
+        }
+      }))
+    }
+  },
+
+  clearCompensationReference: () => set(state => ({
+    compensationReference: null,
+    peakDetectionParams: {
+      ...state.peakDetectionParams,
+      compensation: {
+        ...DEFAULT_COMPENSATION_PARAMS,
+        ...state.peakDetectionParams.compensation,
+        source: 'bundled'
+      }
+    }
+  })),
+
+  /**
+   * Compute the compensation alone for the before / after preview
+   */
+  previewCompensation: async () => {
+    const state = get()
+    const { spectrum } = state
+    const options = compensationOptions(state)
+    if (!spectrum || !options) return
+
+    try {
+      const compensation = await get().runPipelineStage('compensate', {
+        wavenumber: spectrum.wavenumber,
+        ...detectionInput(spectrum),
+        options
+      })
+
+      if (isStaleResult(get, set, spectrum)) return
+
+      set(state => ({
+        compensation,
+        ui: {
+          ...state.ui,
+          status: 'success',
+          message: `大氣補償 ${describeCompensation(compensation)}`
+        }
+      }))
+    } catch (error) {
+      if (isCancelledError(error)) return
+      set(state => ({
+        ui: {
+          ...state.ui,
+          status: 'error',
+          message: error.message
+        }
+      }))
+    }
+  },
+
+  clearCompensationPreview: () => set({ compensation: null }),
+
   // ==================== Rule Matching Parameters ====================
   ruleMatchingParams: {
     wavenumberTolerance: 5,   // Default 5% (1-15%)
@@ -178,12 +800,71 @@ export const useAppStore = create((set, get) => ({
     }
   }),
 
+  // ==================== Pipeline (Web Worker) ====================
+  pipeline: {
+    running: false,
+    stage: null,
+    message: '',
+    progress: 0,
+    timings: {} // {stage: {stage, ms, target, withinTarget}}
+  },
+
+  /**
+   * Run one pipeline stage in the worker, reporting progress into ui / pipeline
+   * Rejects with a cancelled error when cancelPipeline is called (see isCancelledError)
+   *
+   * @param {string} stage - 'inspect', 'parse', 'detect' or 'match'
+   * @param {object} payload - Stage input
+   * @returns {Promise<*>} Stage result
+   */
+  runPipelineStage: async (stage, payload) => {
+    const label = STAGE_LABELS[stage] || stage
+    set(state => ({
+      pipeline: { ...state.pipeline, running: true, stage, message: `${label}...`, progress: 0 },
+      ui: { ...state.ui, status: 'loading', message: `${label}...` }
+    }))
+
+    try {
+      const { result, timing } = await runPipelineTask(stage, payload, {
+        tag: PROGRESS_TASK_TAG,
+        onProgress: (message, progress) => set(state => ({
+          pipeline: { ...state.pipeline, message: `${label}: ${message}`, progress },
+          ui: { ...state.ui, message: `${label}: ${message}` }
+        }))
+      })
+
+      set(state => ({
+        pipeline: {
+          ...state.pipeline,
+          timings: { ...state.pipeline.timings, [stage]: timing }
+        }
+      }))
+      return result
+    } finally {
+      set(state => ({
+        pipeline: { ...state.pipeline, running: false, stage: null, progress: 0 }
+      }))
+    }
+  },
+
+  /**
+   * Cancel the running pipeline stage
+   * Quiet tasks such as the Auto parameter suggestion keep running
+   */
+  cancelPipeline: () => {
+    cancelPipelineTasks(PROGRESS_TASK_TAG)
+    set(state => ({
+      pipeline: { ...state.pipeline, running: false, stage: null, message: '', progress: 0 },
+      ui: { ...state.ui, status: 'idle', message: '已取消' }
+    }))
+  },
+
   // ==================== Detection & Matching Actions ====================
   
   /**
-   * Detect peaks from spectrum using current parameters
+   * Detect peaks from spectrum using current parameters (in the pipeline worker)
    */
-  detectPeaks: () => {
+  detectPeaks: async () => {
     const state = get()
     const { spectrum, peakDetectionParams } = state
 
@@ -199,38 +880,41 @@ export const useAppStore = create((set, get) => ({
     }
 
     try {
-      set(state => ({
-        ui: { ...state.ui, status: 'loading', message: 'Detecting peaks...' }
-      }))
+      const { peaks: detectedPeaks, baseline, noise, compensation } = await get().runPipelineStage('detect', {
+        wavenumber: spectrum.wavenumber,
+        ...detectionInput(spectrum),
+        options: detectionOptions(state)
+      })
 
-      // Call peak detection algorithm
-      // Note: peakDetector expects (wavenumber, transmittance, options)
-      // If spectrum is already in absorbance, we need to convert back
-      // For now, assume spectrum contains wavenumber and transmittance
-      const detectedPeaks = performPeakDetection(
-        spectrum.wavenumber,
-        spectrum.transmittance, // Always run detection from transmittance
-        {
-          minHeight: peakDetectionParams.peakHeightThreshold || 0.001,
-          smoothWindowLength: peakDetectionParams.smoothingWindow || 7,
-          prominencePercent: 5, // Auto 5%
-          distancePercent: 2
-        }
-      )
-
-      set(state => {
-        const newState = {
-          peaks: detectedPeaks,
-          annotations: null,
-          ambiguities: null,
-          ui: {
-            ...state.ui,
-            status: 'success',
-            message: `Detected ${detectedPeaks.length} peaks`
-          }
+      // The active spectrum changed while the worker was busy
+      if (isStaleResult(get, set, spectrum)) return
+
+      const subPeakCount = detectedPeaks.filter(p => p.subPeak).length
+      const shoulderCount = detectedPeaks.filter(p => p.type === 'shoulder').length
+      const saturatedCount = detectedPeaks.filter(p => p.saturated).length
+      const notes = [
+        shoulderCount > 0 && `${shoulderCount} shoulders`,
+        subPeakCount > 0 && `${subPeakCount} sub-peaks`,
+        saturatedCount > 0 && `${saturatedCount} saturated`
+      ].filter(Boolean)
+      set(state => ({
+        peaks: detectedPeaks,
+        baseline,
+        noiseEstimate: noise,
+        compensation,
+        sensitivity: null,
+        pendingRematch: [],
+        fitResult: null,
+        annotations: null,
+        ambiguities: null,
+        ui: {
+          ...state.ui,
+          status: 'success',
+          message: notes.length > 0
+            ? `Detected ${detectedPeaks.length} peaks (${notes.join(', ')})`
+            : `Detected ${detectedPeaks.length} peaks`
         }
-        return newState
-      })
+      }))
 
       // Add to history
       get().addToHistory({
@@ -239,6 +923,7 @@ export const useAppStore = create((set, get) => ({
         params: peakDetectionParams
       })
     } catch (error) {
+      if (isCancelledError(error)) return
       set(state => ({
         ui: {
           ...state.ui,
@@ -250,11 +935,13 @@ export const useAppStore = create((set, get) => ({
   },
 
   /**
-   * Annotate peaks using rule matching
+   * Annotate peaks using rule matching (in the pipeline worker)
    */
-  annotatePeaks: () => {
+  annotatePeaks: async () => {
     const state = get()
-    const { peaks, ruleMatchingParams } = state
+    const { peaks, ruleMatchingParams, pendingRematch } = state
+    // After manual edits only the edited peaks are rematched
+    const partial = Boolean(state.annotations) && pendingRematch.length > 0
 
     if (!peaks || peaks.length === 0) {
       set(state => ({
@@ -268,32 +955,36 @@ export const useAppStore = create((set, get) => ({
     }
 
     try {
-      set(state => ({
-        ui: { ...state.ui, status: 'loading', message: 'Matching peaks...' }
-      }))
-
-      // Call rule matching algorithm
-      const annotations = matchAllPeaks(peaks, rulesDb)
-
-      // Detect ambiguities based on threshold
-      const ambiguities = annotations.filter(ann => {
-        const candidates = ann.topFiveCandidates || []
-        if (candidates.length < 2) return false
+      // Rule matching + ambiguity detection based on threshold
+      const result = await get().runPipelineStage('match', {
+        peaks,
+        peakIndices: partial ? pendingRematch : null,
+        ambiguityThreshold: ruleMatchingParams.ambiguityThreshold || 10
+      })
 
-        const conf1 = candidates[0].confidence
-        const conf2 = candidates[1].confidence
-        const diffPercent = (conf1 - conf2) * 100
+      // Peaks were re-detected or edited while the worker was busy
+      if (get().peaks !== peaks) return
 
-        return diffPercent < (ruleMatchingParams.ambiguityThreshold || 10)
-      })
+      let { annotations, ambiguities } = result
+      let peakAnnotations = get().peakAnnotations
+      if (partial) {
+        const merged = mergeAnnotations(get(), result)
+        annotations = merged.annotations
+        ambiguities = merged.ambiguities
+        peakAnnotations = merged.peakAnnotations
+      }
 
       set(state => ({
         annotations,
         ambiguities,
+        peakAnnotations,
+        pendingRematch: [],
         ui: {
           ...state.ui,
           status: 'success',
-          message: `Annotated ${annotations.length} peaks (${ambiguities.length} ambiguous)`
+          message: partial
+            ? `Re-annotated ${pendingRematch.length} edited peaks (${ambiguities.length} ambiguous in total)`
+            : `Annotated ${annotations.length} peaks (${ambiguities.length} ambiguous)`
         }
       }))
 
@@ -305,6 +996,7 @@ export const useAppStore = create((set, get) => ({
         params: ruleMatchingParams
       })
     } catch (error) {
+      if (isCancelledError(error)) return
       set(state => ({
         ui: {
           ...state.ui,
@@ -315,14 +1007,136 @@ export const useAppStore = create((set, get) => ({
     }
   },
 
+  // ==================== Peak Fitting ====================
+  fitParams: {
+    shape: 'pseudoVoigt', // gaussian / lorentzian / pseudoVoigt
+    regionMin: null,      // cm⁻¹, null = spectrum start
+    regionMax: null       // cm⁻¹, null = spectrum end
+  },
+
+  updateFitParams: (params) => set({
+    fitParams: {
+      ...get().fitParams,
+      ...params
+    }
+  }),
+
+  /**
+   * Re-detect over a grid of smoothing windows / threshold levels and score
+   * how stably each peak position is found (in the pipeline worker)
+   */
+  runSensitivitySweep: async () => {
+    const state = get()
+    const { spectrum, peaks } = state
+    if (!spectrum || !peaks) return
+
+    try {
+      const sensitivity = await get().runPipelineStage('sweep', {
+        wavenumber: spectrum.wavenumber,
+        ...detectionInput(spectrum),
+        options: detectionOptions(state),
+        sweep: DEFAULT_SWEEP
+      })
+
+      if (isStaleResult(get, set, spectrum)) return
+
+      const unstable = get().peaks.filter(p => isUnstablePeak(p, sensitivity)).length
+      set(state => ({
+        sensitivity,
+        ui: {
+          ...state.ui,
+          status: 'success',
+          message: `Sensitivity sweep: ${sensitivity.settings.length} settings, ${unstable} of ${state.peaks.length} peaks unstable`
+        }
+      }))
+
+      get().addToHistory({
+        action: 'sensitivitySweep',
+        count: unstable,
+        params: DEFAULT_SWEEP
+      })
+    } catch (error) {
+      if (isCancelledError(error)) return
+      set(state => ({
+        ui: {
+          ...state.ui,
+          status: 'error',
+          message: `Sensitivity sweep error: ${error.message}`
+        }
+      }))
+    }
+  },
+
+  clearFit: () => set({ fitResult: null }),
+
+  /**
+   * Fit detected peaks over the selected region (in the pipeline worker)
+   */
+  fitPeaks: async () => {
+    const { spectrum, peaks, baseline, compensation, fitParams } = get()
+
+    if (!spectrum || !peaks || peaks.length === 0) {
+      set(state => ({
+        ui: {
+          ...state.ui,
+          status: 'error',
+          message: 'No peaks to fit'
+        }
+      }))
+      return
+    }
+
+    try {
+      const fitResult = await get().runPipelineStage('fit', {
+        wavenumber: spectrum.wavenumber,
+        ...detectionInput(spectrum),
+        baseline,
+        compensation: compensation ? { reference: compensation.reference } : null,
+        peaks,
+        options: {
+          shape: fitParams.shape,
+          ...(fitParams.regionMin !== null && { regionMin: fitParams.regionMin }),
+          ...(fitParams.regionMax !== null && { regionMax: fitParams.regionMax })
+        }
+      })
+
+      // Peaks were re-detected while the worker was busy
+      if (get().peaks !== peaks) return
+
+      set(state => ({
+        fitResult,
+        ui: {
+          ...state.ui,
+          status: 'success',
+          message: `Fitted ${fitResult.components.length} bands (R² = ${fitResult.rSquared.toFixed(4)})`
+        }
+      }))
+
+      get().addToHistory({
+        action: 'fitPeaks',
+        count: fitResult.components.length,
+        params: fitParams
+      })
+    } catch (error) {
+      if (isCancelledError(error)) return
+      set(state => ({
+        ui: {
+          ...state.ui,
+          status: 'error',
+          message: `Peak fitting error: ${error.message}`
+        }
+      }))
+    }
+  },
+
   // ==================== Legacy Settings (for compatibility) ====================
   detectionSettings: {
-    smoothWindowLength: 11,
+    smoothWidth: DEFAULT_SMOOTH_WIDTH,
     smoothPolyorder: 3,
     baselineMethod: 'linear',
     minHeight: 0.005,
     prominencePercent: 5,
-    distancePercent: 2,
+    minDistance: 20,
     autoDetect: true
   },
 
@@ -335,12 +1149,12 @@ export const useAppStore = create((set, get) => ({
 
   resetDetectionSettings: () => set({
     detectionSettings: {
-      smoothWindowLength: 11,
+      smoothWidth: DEFAULT_SMOOTH_WIDTH,
       smoothPolyorder: 3,
       baselineMethod: 'linear',
       minHeight: 0.005,
       prominencePercent: 5,
-      distancePercent: 2,
+      minDistance: 20,
       autoDetect: true
     }
   }),
@@ -389,7 +1203,7 @@ export const useAppStore = create((set, get) => ({
       return null
     }
 
-    const annotation = annotations[ui.selectedPeakIndex]
+    const annotation = annotations.find(ann => ann.peakIndex === ui.selectedPeakIndex)
     if (!annotation) return null
 
     return {
@@ -461,7 +1275,18 @@ export const useAppStore = create((set, get) => ({
    */
   reset: () => set({
     spectrum: null,
+    spectra: [],
+    activeSpectrumIndex: 0,
+    spectraSource: null,
     peaks: null,
+    baseline: null,
+    noiseEstimate: null,
+    compensation: null,
+    compensationReference: null,
+    paramSuggestion: null,
+    sensitivity: null,
+    pendingRematch: [],
+    fitResult: null,
     annotations: null,
     ambiguities: null,
     ui: {
@@ -0,0 +1,37 @@
+/**
+ * Pipeline Web Worker
+ *
+ * Runs parsing, peak detection and rule matching off the main thread
+ *
+ * Messages in:  {id, stage, payload}
+ * Messages out: {id, type: 'progress', message, fraction}
+ *               {id, type: 'result', result, timing}
+ *               {id, type: 'error', message}
+ *
+ * Author: WALL·E
+ * Date: 2026-10-18
+ */
+
+import { runPipelineStage } from '../lib/pipeline'
+
+// Minimum progress step between posts; per-peak callbacks would flood the main thread
+const PROGRESS_STEP = 0.05
+
+self.onmessage = (event) => {
+  const { id, stage, payload } = event.data
+  let lastFraction = -Infinity
+
+  const onProgress = (message, fraction) => {
+    if (fraction - lastFraction >= PROGRESS_STEP || fraction >= 1) {
+      lastFraction = fraction
+      self.postMessage({ id, type: 'progress', message, fraction })
+    }
+  }
+
+  try {
+    const { result, timing } = runPipelineStage(stage, payload, onProgress)
+    self.postMessage({ id, type: 'result', result, timing })
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message })
+  }
+}